@@ -0,0 +1,178 @@
+// Closed-loop body balance for the Unitree Go1
+import * as THREE from '../node_modules/three/build/three.module.js';
+import { HIP_POSITIONS, LEG_NAMES, JOINT_NAMES, legForwardKinematics } from './legKinematics.js';
+
+const NUM_LEGS = 4;
+const ALL_STANCE = [true, true, true, true];
+
+// Free joint layout: qpos = [x y z qw qx qy qz], qvel = [vx vy vz (world), wx wy wz (trunk)]
+const QPOS_QUAT  = 3;
+const QVEL_LIN   = 0;
+const QVEL_ANG   = 3;
+
+// Beyond this tilt the robot is considered fallen and corrections are suspended (radians)
+const FALL_ANGLE = 1.0;
+// Largest correction applied to any foot (meters)
+const MAX_OFFSET = 0.06;
+// Largest shift of a touchdown point away from its nominal position (meters)
+const MAX_PLACEMENT = 0.1;
+// Time constant of the running trunk velocity that foot placement regulates towards (seconds)
+const VELOCITY_FILTER_TIME = 1.0;
+
+/** Virtual-model style stabilizer. It reads trunk orientation and angular velocity from
+ * the free joint (the same frame as the `imu` site at the trunk origin), estimates body
+ * height from the measured leg joints, and turns roll, pitch and height errors into
+ * vertical foot offsets in the trunk frame that the leg IK then tracks.
+ * Pushes that posture alone cannot absorb are caught by stepping: touchdown points
+ * are shifted in the direction the trunk is suddenly drifting (Raibert's heuristic).
+ * Placement reacts to deviations from the running average velocity rather than the
+ * command, so it rejects disturbances without fighting the gait's own speed. */
+export class BalanceController {
+    constructor(model, simulation) {
+        this.enabled = true;
+
+        // Gains: attitude terms are meters of foot travel per radian per meter of lever arm
+        this.gains = {
+            attitude  : 3.0, // proportional roll/pitch
+            attitudeD : 0.08, // damping on roll/pitch rate (s)
+            attitudeI : 1.0,  // integral roll/pitch, levels the trunk on slopes (1/s)
+            height    : 1.0,  // proportional body height
+            heightD   : 0.05, // damping on vertical velocity (s)
+            placement : 0.12  // touchdown shift per unit of velocity error (s)
+        };
+
+        this.orientation = new THREE.Quaternion();
+        this.inverseOrientation = new THREE.Quaternion();
+        this.euler = new THREE.Euler();
+        this.velocity = new THREE.Vector3();
+        this.averageVelocity = new THREE.Vector3();
+        this.footPosition = new THREE.Vector3();
+        // Measured foot positions in the trunk frame
+        this.feet = HIP_POSITIONS.map((hip) => hip.clone());
+        this.footOffsets = [0, 0, 0, 0];
+        this.legAngles = [0, 0, 0];
+        this.reset();
+        this.attach(model, simulation);
+    }
+
+    /** Finds the trunk's free joint and the leg joints of a (possibly reloaded) model by name
+     * @returns {boolean} Whether the model has all of them; measure() must not be called otherwise */
+    attach(model, simulation) {
+        this.simulation = simulation;
+        this.bound = false;
+        const trunk = model.id("body", "trunk");
+        const freeJoint = trunk < 0 ? -1 : model.body_jntadr[trunk];
+        if (freeJoint < 0 || model.jnt_type[freeJoint] !== 0) { return false; } // 0 is mjJNT_FREE
+        this.trunkQpos = model.jnt_qposadr[freeJoint];
+        this.trunkDof  = model.jnt_dofadr[freeJoint];
+        /** qpos addresses of the leg joints, in FR, FL, RR, RL order of hip, thigh and calf */
+        this.jointQpos = [];
+        for (const leg of LEG_NAMES) {
+            for (const joint of JOINT_NAMES) {
+                const id = model.id("joint", leg + "_" + joint + "_joint");
+                if (id < 0) { return false; }
+                this.jointQpos.push(model.jnt_qposadr[id]);
+            }
+        }
+        this.bound = true;
+        return true;
+    }
+
+    reset() {
+        this.roll = 0;
+        this.pitch = 0;
+        this.height = 0;
+        this.planted = NUM_LEGS;
+        this.rollIntegral = 0;
+        this.pitchIntegral = 0;
+        this.fallen = false;
+        this.averageVelocity.set(0, 0, 0);
+        this.footOffsets.fill(0);
+    }
+
+    /** Reads the trunk state from the simulation
+     * @param {boolean[]} stance Which legs are planted; only these contribute to the height estimate */
+    measure(stance = ALL_STANCE) {
+        const qpos = this.simulation.qpos;
+        const qvel = this.simulation.qvel;
+        const quat = this.trunkQpos + QPOS_QUAT, lin = this.trunkDof + QVEL_LIN, ang = this.trunkDof + QVEL_ANG;
+
+        this.orientation.set(qpos[quat + 1], qpos[quat + 2], qpos[quat + 3], qpos[quat + 0]);
+        this.euler.setFromQuaternion(this.orientation, 'ZYX');
+        this.roll  = this.euler.x;
+        this.pitch = this.euler.y;
+        this.rollRate  = qvel[ang + 0];
+        this.pitchRate = qvel[ang + 1];
+        this.verticalVelocity = qvel[lin + 2];
+        this.inverseOrientation.copy(this.orientation).invert();
+        this.velocity.set(qvel[lin + 0], qvel[lin + 1], qvel[lin + 2])
+            .applyQuaternion(this.inverseOrientation);
+
+        // Body height above the feet: leg forward kinematics rotated into the world frame
+        let height = 0, planted = 0;
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            for (let j = 0; j < 3; j++) { this.legAngles[j] = qpos[this.jointQpos[leg * 3 + j]]; }
+            legForwardKinematics(leg, this.legAngles, this.feet[leg]).add(HIP_POSITIONS[leg]);
+            if (!stance[leg]) { continue; }
+            height -= this.footPosition.copy(this.feet[leg]).applyQuaternion(this.orientation).z;
+            planted++;
+        }
+        if (planted > 0) { this.height = height / planted; }
+        this.planted = planted;
+        this.fallen = Math.abs(this.roll) > FALL_ANGLE || Math.abs(this.pitch) > FALL_ANGLE;
+    }
+
+    /** Computes per-leg vertical foot offsets (trunk frame, positive retracts the foot)
+     * @param {number} dt
+     * @param {number} targetHeight Desired distance from hips to feet (meters)
+     * @param {boolean[]} stance Which legs are planted
+     * @returns {number[]} Offsets for FR, FL, RR, RL */
+    update(dt, targetHeight, stance = ALL_STANCE) {
+        this.measure(stance);
+        if (!this.enabled || this.fallen) {
+            this.rollIntegral = 0;
+            this.pitchIntegral = 0;
+            this.footOffsets.fill(0);
+            return this.footOffsets;
+        }
+
+        this.averageVelocity.lerp(this.velocity, 1 - Math.exp(-dt / VELOCITY_FILTER_TIME));
+
+        // Leg length can only tilt the trunk about a support polygon, not a support line,
+        // so attitude control fades out as the gait lifts feet and leaves stepping to it
+        const support = Math.max(0, this.planted - 2) / 2;
+
+        const g = this.gains;
+        this.rollIntegral  = Math.max(-0.3, Math.min(0.3, this.rollIntegral  + this.roll  * dt));
+        this.pitchIntegral = Math.max(-0.3, Math.min(0.3, this.pitchIntegral + this.pitch * dt));
+        const rollCorrection  = support * (g.attitude * this.roll  + g.attitudeD * this.rollRate  + g.attitudeI * this.rollIntegral);
+        const pitchCorrection = support * (g.attitude * this.pitch + g.attitudeD * this.pitchRate + g.attitudeI * this.pitchIntegral);
+        const heightCorrection = g.height * (targetHeight - this.height) - g.heightD * this.verticalVelocity;
+
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            // Positive roll lifts the left side: retract left feet, extend right feet.
+            // Positive pitch drops the nose: extend front feet, retract rear feet.
+            const foot = this.feet[leg];
+            const offset = rollCorrection * foot.y - pitchCorrection * foot.x - heightCorrection;
+            this.footOffsets[leg] = Math.max(-MAX_OFFSET, Math.min(MAX_OFFSET, offset));
+        }
+        return this.footOffsets;
+    }
+
+    /** @returns {number} Horizontal speed of the trunk (m/s) */
+    get planarSpeed() {
+        return Math.hypot(this.velocity.x, this.velocity.y);
+    }
+
+    /** Shift of the next touchdown point that counters a sudden change in trunk velocity
+     * @param {THREE.Vector3} target
+     * @returns {THREE.Vector3} Horizontal offset in the trunk frame */
+    getFootPlacement(target = new THREE.Vector3()) {
+        if (!this.enabled || this.fallen) { return target.set(0, 0, 0); }
+        const k = this.gains.placement;
+        return target.set(
+            Math.max(-MAX_PLACEMENT, Math.min(MAX_PLACEMENT, k * (this.velocity.x - this.averageVelocity.x))),
+            Math.max(-MAX_PLACEMENT, Math.min(MAX_PLACEMENT, k * (this.velocity.y - this.averageVelocity.y))),
+            0);
+    }
+}
@@ -0,0 +1,140 @@
+// Camera modes like MuJoCo's simulate: a free orbit camera, a camera tracking a body, and the model's cameras
+import * as THREE from 'three';
+
+export const CAMERA_FREE     = -1;
+export const CAMERA_TRACKING = -2;
+
+// The free camera starts this many model extents away from the center, as in mjv_defaultFreeCamera
+const FREE_CAMERA_DISTANCE = 1.5;
+
+const xAxis = new THREE.Vector3(), yAxis = new THREE.Vector3(), zAxis = new THREE.Vector3();
+const basis = new THREE.Matrix4();
+
+/** Places a three.js camera at a model camera, using cam_xpos, cam_xmat and cam_fovy
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} id Camera id in the model */
+export function setCameraFromModel(camera, model, simulation, id) {
+    // MuJoCo cameras look down their -z axis with y up, like three.js cameras
+    const pos = simulation.cam_xpos, mat = simulation.cam_xmat;
+    const p = id * 3, m = id * 9;
+    camera.position.set(pos[p + 0], pos[p + 2], -pos[p + 1]);
+    xAxis.set(mat[m + 0], mat[m + 6], -mat[m + 3]);
+    yAxis.set(mat[m + 1], mat[m + 7], -mat[m + 4]);
+    zAxis.set(mat[m + 2], mat[m + 8], -mat[m + 5]);
+    camera.quaternion.setFromRotationMatrix(basis.makeBasis(xAxis, yAxis, zAxis));
+    camera.updateMatrixWorld();
+    const fovy = model.cam_fovy[id];
+    if (camera.fov !== fovy) {
+        camera.fov = fovy;
+        camera.updateProjectionMatrix();
+    }
+}
+
+/** Drives the three.js camera and OrbitControls from the model.
+ * Free and tracking modes keep the orbit controls; model cameras take them over
+ * and place the view at cam_xpos/cam_xmat with cam_fovy. */
+export class CameraController {
+    constructor(camera, controls, model, simulation) {
+        this.camera = camera;
+        this.controls = controls;
+        /** CAMERA_FREE, CAMERA_TRACKING or the id of a model camera */
+        this.mode = CAMERA_FREE;
+        this.trackBody = 1;
+        this.trackPoint = new THREE.Vector3();
+        this.trackDelta = new THREE.Vector3();
+        // The orbit view to return to after looking through a model camera
+        this.orbitPosition = new THREE.Vector3();
+        this.orbitTarget = new THREE.Vector3();
+        this.orbitFov = camera.fov;
+        this.attach(model, simulation);
+    }
+
+    /** Binds to a (possibly reloaded) model. Model cameras and bodies that no longer exist fall back to defaults. */
+    attach(model, simulation) {
+        this.model = model;
+        this.simulation = simulation;
+        if (this.mode >= model.ncam) { this.setMode(CAMERA_FREE); }
+        if (this.trackBody >= model.nbody) { this.trackBody = Math.min(1, model.nbody - 1); }
+    }
+
+    /** @returns {Object<string, number>} Camera mode names to modes, for a dropdown */
+    getModeOptions() {
+        const options = { "Free": CAMERA_FREE, "Tracking": CAMERA_TRACKING };
+        for (let c = 0; c < this.model.ncam; c++) {
+            options["Camera: " + (this.model.name("camera", c) || "camera " + c)] = c;
+        }
+        return options;
+    }
+
+    /** @returns {Object<string, number>} Body names to ids, for the tracking dropdown */
+    getBodyOptions() {
+        const options = {};
+        for (let b = 0; b < this.model.nbody; b++) {
+            options[(this.model.name("body", b) || (b === 0 ? "world" : "body " + b))] = b;
+        }
+        return options;
+    }
+
+    /** Places the free camera like simulate does: looking at the model's center from
+     * visual.global azimuth and elevation, at a distance proportional to its extent */
+    resetFree() {
+        const statistic = this.model.getStatistic();
+        const global = this.model.getVisual().global;
+        const azimuth = THREE.MathUtils.degToRad(global.azimuth);
+        const elevation = THREE.MathUtils.degToRad(global.elevation);
+        const distance = FREE_CAMERA_DISTANCE * statistic.extent;
+        const center = statistic.center;
+
+        // Forward direction in MuJoCo's z-up frame, then swizzled to three.js y-up
+        const forward = [Math.cos(elevation) * Math.cos(azimuth), Math.cos(elevation) * Math.sin(azimuth), Math.sin(elevation)];
+        this.controls.target.set(center[0], center[2], -center[1]);
+        this.camera.position.set(
+            center[0] - distance * forward[0],
+            center[2] - distance * forward[2],
+            -(center[1] - distance * forward[1]));
+        this.camera.fov = global.fovy;
+        this.camera.updateProjectionMatrix();
+        this.controls.update();
+        if (this.mode === CAMERA_TRACKING) { this.getTrackPoint(this.trackPoint); }
+    }
+
+    /** Switches modes, saving the orbit view while a model camera is active */
+    setMode(mode) {
+        const wasOrbiting = this.mode < 0, orbiting = mode < 0;
+        if (wasOrbiting && !orbiting) {
+            this.orbitPosition.copy(this.camera.position);
+            this.orbitTarget.copy(this.controls.target);
+            this.orbitFov = this.camera.fov;
+        } else if (!wasOrbiting && orbiting) {
+            this.camera.position.copy(this.orbitPosition);
+            this.controls.target.copy(this.orbitTarget);
+            this.camera.fov = this.orbitFov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.controls.enabled = orbiting;
+        this.mode = mode;
+        if (mode === CAMERA_TRACKING) { this.getTrackPoint(this.trackPoint); }
+        this.controls.update();
+    }
+
+    /** @returns {THREE.Vector3} The center of mass of the tracked body's subtree */
+    getTrackPoint(target) {
+        const com = this.simulation.subtree_com;
+        const b = this.trackBody * 3;
+        return target.set(com[b + 0], com[b + 2], -com[b + 1]);
+    }
+
+    /** Moves the camera for the current mode; call once per rendered frame after the controls update */
+    update() {
+        if (this.mode === CAMERA_TRACKING) {
+            // Carry the orbit view along with the body, so it can still be rotated and zoomed
+            this.getTrackPoint(this.trackDelta);
+            this.trackDelta.sub(this.trackPoint);
+            this.trackPoint.add(this.trackDelta);
+            this.camera.position.add(this.trackDelta);
+            this.controls.target.add(this.trackDelta);
+        } else if (this.mode >= 0) {
+            setCameraFromModel(this.camera, this.model, this.simulation, this.mode);
+        }
+    }
+}
@@ -0,0 +1,226 @@
+// Offscreen rendering of model cameras: RGB, linear depth and segmentation images
+import * as THREE from 'three';
+import { setCameraFromModel } from './cameraController.js';
+
+// Writes the distance along the camera's view axis into the red channel of a float target
+const depthVertexShader = `
+    #include <common>
+    varying float vViewDepth;
+    void main() {
+        #include <begin_vertex>
+        #include <project_vertex>
+        vViewDepth = -mvPosition.z;
+    }`;
+const depthFragmentShader = `
+    varying float vViewDepth;
+    void main() {
+        gl_FragColor = vec4(vViewDepth, 0.0, 0.0, 1.0);
+    }`;
+
+// Writes an object id + 1, split into bytes, so the background reads back as -1
+const segmentationVertexShader = `
+    #include <common>
+    void main() {
+        #include <begin_vertex>
+        #include <project_vertex>
+    }`;
+const segmentationFragmentShader = `
+    uniform vec3 idColor;
+    void main() {
+        gl_FragColor = vec4(idColor, 1.0);
+    }`;
+
+/** Renders MuJoCo cameras into offscreen targets and reads the images back.
+ * Images are row-major with the top row first. Scene objects are matched to geoms
+ * and bodies through the geomID and bodyID tags set by loadSceneFromURL; untagged
+ * objects occlude like any other but are labelled -1. */
+export class CameraSensor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene */
+    constructor(renderer, scene, model, simulation) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = new THREE.PerspectiveCamera(45, 1, 0.01, 100);
+        /** @type {THREE.Object3D[]} Overlays (e.g. contact arrows) to hide from the sensor */
+        this.hidden = [];
+
+        this.depthMaterial = new THREE.ShaderMaterial({
+            vertexShader: depthVertexShader, fragmentShader: depthFragmentShader });
+        this.segmentationMaterials = new Map();
+        this.targets = {};
+        this.attach(model, simulation);
+    }
+
+    attach(model, simulation) {
+        this.model = model;
+        this.simulation = simulation;
+    }
+
+    /** @returns {number} The id of a camera given by id or name, -1 if there is none */
+    getCameraId(camera) {
+        if (typeof camera === "number") { return camera >= 0 && camera < this.model.ncam ? camera : -1; }
+        return this.model.id("camera", camera);
+    }
+
+    /** @returns {THREE.WebGLRenderTarget} A render target of the given kind, resized as needed */
+    getTarget(kind, width, height, type) {
+        let target = this.targets[kind];
+        if (!target || target.width !== width || target.height !== height) {
+            if (target) { target.dispose(); }
+            target = new THREE.WebGLRenderTarget(width, height, {
+                type: type, format: THREE.RGBAFormat,
+                minFilter: THREE.NearestFilter, magFilter: THREE.NearestFilter,
+                // Match the colors seen on screen
+                encoding: kind === "rgb" ? this.renderer.outputEncoding : THREE.LinearEncoding });
+            this.targets[kind] = target;
+        }
+        return target;
+    }
+
+    /** @returns {THREE.ShaderMaterial} The flat material that labels objects with id */
+    getSegmentationMaterial(id) {
+        let material = this.segmentationMaterials.get(id);
+        if (!material) {
+            const label = id + 1;
+            material = new THREE.ShaderMaterial({
+                vertexShader: segmentationVertexShader, fragmentShader: segmentationFragmentShader,
+                uniforms: { idColor: { value: new THREE.Vector3(
+                    (label & 0xff) / 255, ((label >> 8) & 0xff) / 255, ((label >> 16) & 0xff) / 255) } } });
+            this.segmentationMaterials.set(id, material);
+        }
+        return material;
+    }
+
+    /** Renders the scene into a target and reads back its RGBA pixels */
+    renderTarget(target, pixels) {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        renderer.setRenderTarget(target);
+        renderer.render(this.scene, this.camera);
+        renderer.readRenderTargetPixels(target, 0, 0, target.width, target.height, pixels);
+        renderer.setRenderTarget(previousTarget);
+        return pixels;
+    }
+
+    /** Renders a model camera.
+     * @param {number|string} camera Camera id or name in the model
+     * @param {number} width
+     * @param {number} height
+     * @param {{depth?: boolean, segmentation?: "geom"|"body"|null, near?: number, far?: number}} options
+     * @returns {{width: number, height: number, rgb: Uint8Array, depth?: Float32Array, segmentation?: Int32Array}}
+     *   rgb holds 3 bytes per pixel; depth is the distance along the view axis in meters, 0 where
+     *   nothing was hit; segmentation holds the geom or body id of each pixel, -1 for the background */
+    render(camera, width, height, options = {}) {
+        const cameraId = this.getCameraId(camera);
+        if (cameraId < 0) {
+            throw new Error("Camera " + camera + " does not exist; the model has " + this.model.ncam + " cameras");
+        }
+        setCameraFromModel(this.camera, this.model, this.simulation, cameraId);
+        this.camera.aspect = width / height;
+        this.camera.near = options.near || 0.01;
+        this.camera.far = options.far || 100;
+        this.camera.updateProjectionMatrix();
+
+        const hiddenVisibility = this.hidden.map((object) => object.visible);
+        this.hidden.forEach((object) => { object.visible = false; });
+        const result = { width: width, height: height };
+        try {
+            const rgba = this.renderTarget(this.getTarget("rgb", width, height, THREE.UnsignedByteType),
+                new Uint8Array(width * height * 4));
+            result.rgb = new Uint8Array(width * height * 3);
+            this.forEachPixel(width, height, (source, destination) => {
+                result.rgb[destination * 3 + 0] = rgba[source * 4 + 0];
+                result.rgb[destination * 3 + 1] = rgba[source * 4 + 1];
+                result.rgb[destination * 3 + 2] = rgba[source * 4 + 2];
+            });
+
+            // The remaining passes must not see the sky color or fog
+            const background = this.scene.background, fog = this.scene.fog;
+            this.scene.background = null;
+            this.scene.fog = null;
+            const clearColor = this.renderer.getClearColor(new THREE.Color());
+            const clearAlpha = this.renderer.getClearAlpha();
+            this.renderer.setClearColor(0x000000, 0);
+            try {
+                if (options.depth !== false) {
+                    this.scene.overrideMaterial = this.depthMaterial;
+                    const values = this.renderTarget(this.getTarget("depth", width, height, THREE.FloatType),
+                        new Float32Array(width * height * 4));
+                    this.scene.overrideMaterial = null;
+                    result.depth = new Float32Array(width * height);
+                    this.forEachPixel(width, height, (source, destination) => {
+                        result.depth[destination] = values[source * 4];
+                    });
+                }
+                if (options.segmentation) {
+                    result.segmentation = this.renderSegmentation(width, height, options.segmentation === "body" ? "bodyID" : "geomID");
+                }
+            } finally {
+                this.scene.overrideMaterial = null;
+                this.scene.background = background;
+                this.scene.fog = fog;
+                this.renderer.setClearColor(clearColor, clearAlpha);
+            }
+        } finally {
+            this.hidden.forEach((object, i) => { object.visible = hiddenVisibility[i]; });
+        }
+        return result;
+    }
+
+    /** Renders every mesh in the flat color of its geom or body id */
+    renderSegmentation(width, height, key) {
+        const swapped = [];
+        this.scene.traverse((object) => {
+            if (!object.isMesh) { return; }
+            swapped.push([object, object.material]);
+            object.material = this.getSegmentationMaterial(object[key] !== undefined ? object[key] : -1);
+        });
+        let rgba;
+        try {
+            rgba = this.renderTarget(this.getTarget("segmentation", width, height, THREE.UnsignedByteType),
+                new Uint8Array(width * height * 4));
+        } finally {
+            for (const [object, material] of swapped) { object.material = material; }
+        }
+        const ids = new Int32Array(width * height);
+        this.forEachPixel(width, height, (source, destination) => {
+            ids[destination] = (rgba[source * 4] | (rgba[source * 4 + 1] << 8) | (rgba[source * 4 + 2] << 16)) - 1;
+        });
+        return ids;
+    }
+
+    /** Visits every pixel, mapping WebGL's bottom-up rows to top-down image rows */
+    forEachPixel(width, height, callback) {
+        for (let y = 0; y < height; y++) {
+            const sourceRow = (height - 1 - y) * width, destinationRow = y * width;
+            for (let x = 0; x < width; x++) { callback(sourceRow + x, destinationRow + x); }
+        }
+    }
+
+    /** Draws a model camera's view into a corner of the screen, on top of the last frame
+     * @param {number} cameraId
+     * @param {number} width  Width of the inset in CSS pixels
+     * @param {number} height Height of the inset in CSS pixels */
+    renderPreview(cameraId, width, height) {
+        if (!(cameraId >= 0 && cameraId < this.model.ncam)) { return; }
+        const renderer = this.renderer;
+        const size = renderer.getSize(new THREE.Vector2());
+        const x = size.x - width - 10, y = 10;
+        setCameraFromModel(this.camera, this.model, this.simulation, cameraId);
+        this.camera.aspect = width / height;
+        this.camera.near = 0.01;
+        this.camera.far = 100;
+        this.camera.updateProjectionMatrix();
+
+        const hiddenVisibility = this.hidden.map((object) => object.visible);
+        this.hidden.forEach((object) => { object.visible = false; });
+        renderer.setScissorTest(true);
+        renderer.setScissor(x, y, width, height);
+        renderer.setViewport(x, y, width, height);
+        renderer.render(this.scene, this.camera);
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        this.hidden.forEach((object, i) => { object.visible = hiddenVisibility[i]; });
+    }
+}
@@ -0,0 +1,150 @@
+// Overlay of active contacts: contact points, normals and force arrows
+import * as THREE from 'three';
+
+const POINT_RADIUS  = 0.008; // meters
+const NORMAL_LENGTH = 0.08;  // meters
+const POINT_COLOR  = 0xffdd33;
+const NORMAL_COLOR = 0x33ddff;
+const FORCE_COLOR  = 0xff4422;
+
+/** Draws simulation.contact over the scene. Forces come from mj_contactForce, rotated
+ * out of the contact frame, and act on geom2; for ground contacts that is the robot. */
+export class ContactVisualizer {
+    constructor(scene, model, simulation) {
+        this.enabled = false;
+        this.showPoints  = true;
+        this.showNormals = true;
+        this.showForces  = true;
+        this.forceScale  = 0.002; // meters of arrow per newton
+        // Only contacts involving this geom or body are drawn; -1 draws all
+        this.geomFilter = -1;
+        this.bodyFilter = -1;
+
+        this.group = new THREE.Group();
+        this.group.name = "Contacts";
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.pointGeometry = new THREE.SphereGeometry(POINT_RADIUS, 8, 6);
+        this.pointMaterial = new THREE.MeshBasicMaterial({ color: POINT_COLOR, depthTest: false });
+        this.points = [];
+        this.normals = [];
+        this.forces = [];
+
+        this.position = new THREE.Vector3();
+        this.normal = new THREE.Vector3();
+        this.tangent1 = new THREE.Vector3();
+        this.tangent2 = new THREE.Vector3();
+        this.force = new THREE.Vector3();
+        /** Force:torque of a contact in its contact frame, written by mj_contactForce */
+        this.contactForce = new Float64Array(6);
+        this.attach(model, simulation);
+    }
+
+    /** Binds to a (possibly reloaded) model and resets the filters */
+    attach(model, simulation) {
+        this.model = model;
+        this.simulation = simulation;
+        this.geomFilter = -1;
+        this.bodyFilter = -1;
+    }
+
+    /** @returns {Object<string, number>} Geom names to ids, for a filter dropdown */
+    getGeomOptions() {
+        const options = { "All": -1 };
+        for (let g = 0; g < this.model.ngeom; g++) {
+            options[(this.model.name("geom", g) || "geom " + g)] = g;
+        }
+        return options;
+    }
+
+    /** @returns {Object<string, number>} Body names to ids, for a filter dropdown */
+    getBodyOptions() {
+        const options = { "All": -1 };
+        for (let b = 1; b < this.model.nbody; b++) {
+            options[(this.model.name("body", b) || "body " + b)] = b;
+        }
+        return options;
+    }
+
+    /** @returns {boolean} Whether a contact passes the geom and body filters */
+    isShown(contact) {
+        if (this.geomFilter >= 0 && contact.geom1 !== this.geomFilter && contact.geom2 !== this.geomFilter) {
+            return false;
+        }
+        if (this.bodyFilter >= 0) {
+            const bodies = this.model.geom_bodyid;
+            if (bodies[contact.geom1] !== this.bodyFilter && bodies[contact.geom2] !== this.bodyFilter) { return false; }
+        }
+        return true;
+    }
+
+    /** Returns the pooled object at index, creating it on first use */
+    getPooled(pool, index, create) {
+        if (index >= pool.length) {
+            const object = create();
+            object.renderOrder = 1;
+            this.group.add(object);
+            pool.push(object);
+        }
+        pool[index].visible = true;
+        return pool[index];
+    }
+
+    createArrow(color) {
+        const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, color);
+        arrow.line.material.depthTest = false;
+        arrow.cone.material.depthTest = false;
+        return arrow;
+    }
+
+    /** Rebuilds the overlay from the current contacts; call once per rendered frame */
+    update() {
+        this.group.visible = this.enabled;
+        if (!this.enabled) { return; }
+
+        let points = 0, normals = 0, forces = 0;
+        const contacts = this.simulation.contact;
+        for (let i = 0; i < contacts.length; i++) {
+            const contact = contacts[i];
+            if (!this.isShown(contact)) { continue; }
+
+            // MuJoCo is z-up, three.js is y-up
+            const pos = contact.pos, frame = contact.frame;
+            this.position.set(pos[0], pos[2], -pos[1]);
+            this.normal  .set(frame[0], frame[2], -frame[1]);
+            this.tangent1.set(frame[3], frame[5], -frame[4]);
+            this.tangent2.set(frame[6], frame[8], -frame[7]);
+
+            if (this.showPoints) {
+                const point = this.getPooled(this.points, points++,
+                    () => new THREE.Mesh(this.pointGeometry, this.pointMaterial));
+                point.position.copy(this.position);
+            }
+            if (this.showNormals) {
+                const arrow = this.getPooled(this.normals, normals++, () => this.createArrow(NORMAL_COLOR));
+                arrow.position.copy(this.position);
+                arrow.setDirection(this.normal);
+                arrow.setLength(NORMAL_LENGTH, NORMAL_LENGTH * 0.3, NORMAL_LENGTH * 0.15);
+            }
+            if (this.showForces) {
+                // Normal and tangential components, from the contact frame to the world frame
+                const f = this.contactForce;
+                this.simulation.contactForce(i, f);
+                this.force.copy(this.normal).multiplyScalar(f[0])
+                    .addScaledVector(this.tangent1, f[1])
+                    .addScaledVector(this.tangent2, f[2]);
+                const length = this.force.length() * this.forceScale;
+                if (length < 1e-4) { continue; }
+                const arrow = this.getPooled(this.forces, forces++, () => this.createArrow(FORCE_COLOR));
+                arrow.position.copy(this.position);
+                arrow.setDirection(this.force.normalize());
+                arrow.setLength(length, Math.min(0.04, length * 0.3), Math.min(0.02, length * 0.15));
+            }
+        }
+
+        for (let i = points;  i < this.points.length;  i++) { this.points[i].visible = false; }
+        for (let i = normals; i < this.normals.length; i++) { this.normals[i].visible = false; }
+        for (let i = forces;  i < this.forces.length;  i++) { this.forces[i].visible = false; }
+    }
+}
@@ -0,0 +1,103 @@
+// Gait scheduler for quadruped locomotion
+// Legs are ordered FR, FL, RR, RL like the Go1 actuators.
+
+/** Gait presets.
+ * phaseOffsets: where each leg sits in the cycle relative to the global phase;
+ *               a leg is in stance while (phase + offset) mod 1 < dutyFactor
+ * dutyFactor:   fraction of the cycle each foot spends on the ground
+ * cycleDuration: seconds per full gait cycle
+ * stepHeight:   peak swing foot clearance (meters) */
+export const GAITS = {
+    walk : { phaseOffsets: [0.0, 0.5, 0.25, 0.75], dutyFactor: 0.75, cycleDuration: 0.8, stepHeight: 0.08 },
+    trot : { phaseOffsets: [0.5, 0.0, 0.0,  0.5 ], dutyFactor: 0.5 , cycleDuration: 0.6, stepHeight: 0.1  },
+    pace : { phaseOffsets: [0.5, 0.0, 0.5,  0.0 ], dutyFactor: 0.5 , cycleDuration: 0.4, stepHeight: 0.06 },
+    bound: { phaseOffsets: [0.0, 0.0, 0.5,  0.5 ], dutyFactor: 0.5 , cycleDuration: 0.4, stepHeight: 0.08 },
+    pronk: { phaseOffsets: [0.0, 0.0, 0.0,  0.0 ], dutyFactor: 0.5 , cycleDuration: 0.4, stepHeight: 0.06 }
+};
+
+// Display names for the GUI
+export const GAIT_NAMES = {
+    "Walk" : "walk",
+    "Trot" : "trot",
+    "Pace" : "pace",
+    "Bound": "bound",
+    "Pronk": "pronk"
+};
+
+/** Wraps a phase difference into [-0.5, 0.5) so blends take the short way around the cycle */
+function wrapPhaseDelta(delta) {
+    return delta - Math.floor(delta + 0.5);
+}
+
+export class GaitScheduler {
+    constructor(gait = "trot") {
+        this.phase = 0;
+        this.gaitName = gait;
+        this.current = GaitScheduler.copyGait(GAITS[gait]);
+        this.blendFrom = null;
+        this.blendTo = null;
+        this.blendTime = 0;
+        this.blendDuration = 0;
+        this.legState = { inSwing: false, progress: 0 };
+    }
+
+    static copyGait(gait) {
+        return { ...gait, phaseOffsets: gait.phaseOffsets.slice() };
+    }
+
+    reset() {
+        this.phase = 0;
+    }
+
+    /** Switches to another gait, blending phase offsets and timing over blendDuration seconds
+     * @param {string} name Key of GAITS
+     * @param {number} blendDuration */
+    setGait(name, blendDuration = 0.5) {
+        if (name === this.gaitName || !(name in GAITS)) { return; }
+        this.gaitName = name;
+        this.blendFrom = GaitScheduler.copyGait(this.current);
+        this.blendTo = GAITS[name];
+        this.blendTime = 0;
+        this.blendDuration = Math.max(1e-6, blendDuration);
+    }
+
+    /** Advances the global phase and any gait transition in progress
+     * @param {number} dt */
+    update(dt) {
+        if (this.blendTo) {
+            this.blendTime += dt;
+            const t = Math.min(1, this.blendTime / this.blendDuration);
+            const s = t * t * (3 - 2 * t); // smoothstep
+            for (let leg = 0; leg < this.current.phaseOffsets.length; leg++) {
+                const from = this.blendFrom.phaseOffsets[leg];
+                const delta = wrapPhaseDelta(this.blendTo.phaseOffsets[leg] - from);
+                this.current.phaseOffsets[leg] = ((from + delta * s) % 1 + 1) % 1;
+            }
+            for (const key of ["dutyFactor", "cycleDuration", "stepHeight"]) {
+                this.current[key] = this.blendFrom[key] + (this.blendTo[key] - this.blendFrom[key]) * s;
+            }
+            if (t >= 1) { this.blendTo = null; }
+        }
+
+        // Integrate the phase rather than taking time modulo the cycle, so
+        // changing the cycle duration never makes the phase jump.
+        this.phase = (this.phase + dt / this.current.cycleDuration) % 1;
+    }
+
+    get dutyFactor()     { return this.current.dutyFactor; }
+    get cycleDuration()  { return this.current.cycleDuration; }
+    get stepHeight()     { return this.current.stepHeight; }
+    get stanceDuration() { return this.current.cycleDuration * this.current.dutyFactor; }
+
+    /** Where a leg is in its own stance/swing cycle. The returned object is reused.
+     * @param {number} leg
+     * @returns {{inSwing: boolean, progress: number}} progress runs from 0 to 1 within the current stance or swing */
+    getLegState(leg) {
+        const legPhase = (this.phase + this.current.phaseOffsets[leg]) % 1;
+        const duty = this.current.dutyFactor;
+        this.legState.inSwing = legPhase >= duty;
+        this.legState.progress = this.legState.inSwing ?
+            (legPhase - duty) / (1 - duty) : legPhase / duty;
+        return this.legState;
+    }
+}
@@ -0,0 +1,99 @@
+// Gamepad (Web Gamepad API) teleoperation
+
+/** Default bindings for the "standard" gamepad layout (Xbox-style names).
+ * Axes are indices into Gamepad.axes, buttons are indices into Gamepad.buttons. */
+export const DEFAULT_GAMEPAD_MAPPING = {
+    moveXAxis       : 1, // Left stick vertical: forward/backward
+    moveYAxis       : 0, // Left stick horizontal: strafe
+    turnAxis        : 2, // Right stick horizontal: yaw
+    nextGaitButton  : 5, // Right bumper
+    prevGaitButton  : 4, // Left bumper
+    standSitButton  : 0, // A
+    resetPoseButton : 3, // Y
+    pauseButton     : 9  // Start
+};
+
+// Button bindings and the action each one triggers
+const BUTTON_ACTIONS = {
+    nextGaitButton : "nextGait",
+    prevGaitButton : "prevGait",
+    standSitButton : "standSit",
+    resetPoseButton: "resetPose",
+    pauseButton    : "pause"
+};
+
+/** Rescales a value so the deadzone maps to 0 and full deflection stays at 1 */
+function rescale(magnitude, deadzone) {
+    return magnitude <= deadzone ? 0 : (magnitude - deadzone) / (1 - deadzone);
+}
+
+/** Polls the first connected gamepad once per frame. Sticks become continuous
+ * (vx, vy, yaw) commands in [-1, 1]; buttons fire their action handlers once per press. */
+export class GamepadController {
+    constructor() {
+        this.enabled = true;
+        this.deadzone = 0.15;
+        this.mapping = { ...DEFAULT_GAMEPAD_MAPPING };
+        this.status = "Not connected";
+
+        // Latest stick command; x forward, y left, yaw counter-clockwise
+        this.command = { vx: 0, vy: 0, yaw: 0 };
+        this.isActive = false;  // Sticks are outside the deadzone
+        this.wasActive = false;
+
+        /** @type {Object<string, function(): void>} Keyed by action name */
+        this.actionHandlers = {};
+        this.previousButtons = [];
+    }
+
+    /** @returns {Gamepad|null} The first connected gamepad, if any */
+    getGamepad() {
+        if (typeof navigator === "undefined" || !navigator.getGamepads) { return null; }
+        for (const gamepad of navigator.getGamepads()) {
+            if (gamepad && gamepad.connected) { return gamepad; }
+        }
+        return null;
+    }
+
+    /** Reads the gamepad, updates the stick command and dispatches button presses
+     * @returns {boolean} Whether a gamepad is connected and enabled */
+    poll() {
+        const gamepad = this.enabled ? this.getGamepad() : null;
+        this.wasActive = this.isActive;
+        if (!gamepad) {
+            this.status = this.enabled ? "Not connected" : "Disabled";
+            this.command.vx = this.command.vy = this.command.yaw = 0;
+            this.isActive = false;
+            this.previousButtons.length = 0;
+            return false;
+        }
+        this.status = gamepad.id;
+
+        // Stick axes point down and right, the command points forward and left
+        const axis = (index) => gamepad.axes[index] || 0;
+        const x = -axis(this.mapping.moveXAxis), y = -axis(this.mapping.moveYAxis);
+
+        // Radial deadzone on the movement stick so diagonals are not distorted
+        const magnitude = Math.min(1, Math.hypot(x, y));
+        const scale = rescale(magnitude, this.deadzone);
+        this.command.vx = scale > 0 ? x * scale / magnitude : 0;
+        this.command.vy = scale > 0 ? y * scale / magnitude : 0;
+        const turn = -axis(this.mapping.turnAxis);
+        const turnScale = rescale(Math.abs(turn), this.deadzone);
+        this.command.yaw = turnScale > 0 ? Math.sign(turn) * turnScale : 0;
+        this.isActive = this.command.vx !== 0 || this.command.vy !== 0 || this.command.yaw !== 0;
+
+        // Fire actions on the rising edge of each bound button
+        for (const [binding, action] of Object.entries(BUTTON_ACTIONS)) {
+            const index = this.mapping[binding];
+            const pressed = !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+            if (pressed && !this.previousButtons[index] && this.actionHandlers[action]) {
+                this.actionHandlers[action]();
+            }
+        }
+        for (let i = 0; i < gamepad.buttons.length; i++) {
+            this.previousButtons[i] = gamepad.buttons[i].pressed;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,310 @@
+// Headless batch runner: steps scenes with the locomotion controller in Node.js, with no DOM or GPU
+//
+// Usage:
+//   node examples/headless.js [--scene unitree_go1/scene.xml] [--duration 10] [--scenes examples/scenes]
+//                             [--set key=value]... [--sweep key=a,b,c]... [--out results.json|results.csv]
+//
+// Keys are the fields of DEFAULT_CONFIG, gait constants as "gaits.<gait>.<field>"
+// (e.g. gaits.trot.cycleDuration) and balance gains as "gains.<gain>" (e.g. gains.attitude).
+// Every --sweep multiplies the number of runs; each run starts from the scene's first keyframe.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import load_mujoco from '../dist/mujoco_wasm.js';
+import { LocomotionController } from './locomotionController.js';
+import { GAITS, GaitScheduler } from './gaitScheduler.js';
+import { findMissingFiles } from './mjcfFiles.js';
+import { installNameLookup } from './mujocoNames.js';
+
+const SCENES_DIR = fileURLToPath(new URL('./scenes/', import.meta.url));
+
+/** Settings of a single run; all of them can be given with --set or --sweep */
+export const DEFAULT_CONFIG = {
+    scene     : "unitree_go1/scene.xml",
+    duration  : 10.0,   // Simulated seconds
+    keyframe  : 0,      // Keyframe to start from, if the model has any
+    locomotion: true,   // Drive the robot with the LocomotionController
+    gait      : "trot",
+    vx        : 1.0,    // Forward command as a fraction of full speed
+    vy        : 0.0,    // Leftward command as a fraction of full speed
+    yaw       : 0.0,    // Turning rate (rad/s)
+    trajectory: "ik",
+    balance   : true
+};
+
+// The robot's root body; distance and falls are measured on it
+const ROOT_BODY = 1;
+// Tilt of the root body beyond which a run counts a fall (radians)
+const FALL_ANGLE = 1.0;
+const GRAVITY = 9.81;
+
+/** Parses a command line value into a boolean, number or string */
+function parseValue(text) {
+    if (text === "true" || text === "false") { return text === "true"; }
+    const number = Number(text);
+    return text.trim() !== "" && !isNaN(number) ? number : text;
+}
+
+/** @returns {{settings: Object, sweeps: Object<string, Array>, out: string|null, scenes: string|null}} */
+export function parseArguments(args) {
+    const settings = {}, sweeps = {};
+    let out = null, scenes = null;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) { throw new Error("Missing value for " + arg); }
+            return args[++i];
+        };
+        const split = (text) => {
+            const equals = text.indexOf("=");
+            if (equals <= 0) { throw new Error("Expected key=value after " + arg + ", got \"" + text + "\""); }
+            return [text.slice(0, equals), text.slice(equals + 1)];
+        };
+        if (arg === "--set") {
+            const [key, value] = split(next());
+            settings[key] = parseValue(value);
+        } else if (arg === "--sweep") {
+            const [key, values] = split(next());
+            sweeps[key] = values.split(",").map(parseValue);
+        } else if (arg === "--out") {
+            out = next();
+        } else if (arg === "--scenes") {
+            scenes = next();
+        } else if (arg.startsWith("--") && arg.slice(2) in DEFAULT_CONFIG) {
+            settings[arg.slice(2)] = parseValue(next());
+        } else {
+            throw new Error("Unknown argument " + arg);
+        }
+    }
+    return { settings, sweeps, out, scenes };
+}
+
+/** Expands the sweeps into one config per combination of values
+ * @returns {Object[]} */
+export function expandSweeps(settings, sweeps) {
+    let configs = [{ ...DEFAULT_CONFIG, ...settings }];
+    for (const [key, values] of Object.entries(sweeps)) {
+        configs = configs.flatMap((config) => values.map((value) => ({ ...config, [key]: value })));
+    }
+    for (const config of configs) {
+        for (const key of Object.keys(config)) {
+            const [group, name, field] = key.split(".");
+            if (group === "gaits") {
+                if (!(name in GAITS) || typeof GAITS[name][field] !== "number") {
+                    throw new Error("Unknown gait constant \"" + key + "\"");
+                }
+            } else if (!(key in DEFAULT_CONFIG) && group !== "gains") {
+                throw new Error("Unknown setting \"" + key + "\"");
+            }
+        }
+    }
+    return configs;
+}
+
+/** The host file system, as seen by findMissingFiles */
+const HOST_FILES = {
+    exists  : (file) => fs.existsSync(file),
+    readText: (file) => fs.readFileSync(file, 'utf8')
+};
+
+/** Copies a directory from disk into the Emscripten virtual file system */
+function mountDirectory(mujoco, hostDir, virtualDir) {
+    if (!mujoco.FS.analyzePath(virtualDir).exists) { mujoco.FS.mkdir(virtualDir); }
+    for (const entry of fs.readdirSync(hostDir, { withFileTypes: true })) {
+        const hostPath = path.join(hostDir, entry.name);
+        const virtualPath = virtualDir + "/" + entry.name;
+        if (entry.isDirectory()) {
+            mountDirectory(mujoco, hostPath, virtualPath);
+        } else {
+            mujoco.FS.writeFile(virtualPath, fs.readFileSync(hostPath));
+        }
+    }
+}
+
+/** Overrides gait constants for a run. GAITS is shared by every GaitScheduler,
+ * so the previous values are returned for restoreGaits(). */
+function applyGaitConstants(config) {
+    const saved = {};
+    for (const [key, value] of Object.entries(config)) {
+        const [group, name, field] = key.split(".");
+        if (group !== "gaits") { continue; }
+        if (!(name in saved)) { saved[name] = { ...GAITS[name] }; }
+        GAITS[name][field] = value;
+    }
+    return saved;
+}
+
+function restoreGaits(saved) {
+    for (const [name, gait] of Object.entries(saved)) { Object.assign(GAITS[name], gait); }
+}
+
+/** Loads MuJoCo with a scenes folder mounted at /working and steps runs on it */
+export class HeadlessRunner {
+    /** @param {string} scenesDir Folder on disk that scene paths are relative to */
+    static async create(scenesDir = SCENES_DIR) {
+        // Keep stdout clean for results
+        const mujoco = await load_mujoco({ print: (text) => console.error(text) });
+        installNameLookup(mujoco);
+        mujoco.FS.mkdir('/working');
+        mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+        mountDirectory(mujoco, scenesDir, '/working');
+        return new HeadlessRunner(mujoco, scenesDir);
+    }
+
+    constructor(mujoco, scenesDir) {
+        this.mujoco = mujoco;
+        this.scenesDir = scenesDir;
+        /** @type {Map<string, {model, state, simulation}>} Loaded scenes, reused between runs */
+        this.scenes = new Map();
+    }
+
+    getScene(scene) {
+        if (!this.scenes.has(scene)) {
+            const missing = findMissingFiles(path.join(this.scenesDir, scene), HOST_FILES);
+            if (missing.length > 0) {
+                throw new Error("Cannot load " + scene + ", missing files:\n  " + missing.join("\n  "));
+            }
+            const model = new this.mujoco.Model("/working/" + scene);
+            const state = new this.mujoco.State(model);
+            const simulation = new this.mujoco.Simulation(model, state);
+            this.scenes.set(scene, { model, state, simulation });
+        }
+        return this.scenes.get(scene);
+    }
+
+    /** Simulates one configuration and measures it. Distances are in meters, energy in joules
+     * and fallTime in seconds from the start of the run.
+     * @returns {{distance: number, pathLength: number, averageSpeed: number, falls: number,
+     *            fallTime: number|null, energy: number, costOfTransport: number|null,
+     *            simTime: number, wallTime: number}} */
+    run(config) {
+        const { model, simulation } = this.getScene(config.scene);
+        const timestep = model.getOptions().timestep;
+        if (model.nkey > config.keyframe) {
+            simulation.resetDataKeyframe(config.keyframe);
+        } else {
+            simulation.resetData();
+        }
+        simulation.forward();
+
+        if (!(config.gait in GAITS)) { throw new Error("Unknown gait \"" + config.gait + "\""); }
+        const saved = applyGaitConstants(config);
+        try {
+            let controller = null;
+            if (config.locomotion) {
+                controller = new LocomotionController(model, simulation);
+                if (!controller.isBound) { throw new Error(config.scene + " has no Go1 actuators to drive; run it with --set locomotion=false"); }
+                controller.gait = new GaitScheduler(config.gait);
+                controller.setTrajectoryMode(config.trajectory);
+                controller.setBalanceEnabled(config.balance);
+                controller.setCommand(config.vx, config.vy, config.yaw);
+                for (const [key, value] of Object.entries(config)) {
+                    const [group, name] = key.split(".");
+                    if (group !== "gains") { continue; }
+                    if (!(name in controller.balance.gains)) { throw new Error("Unknown balance gain \"" + key + "\""); }
+                    controller.balance.gains[name] = value;
+                }
+            }
+
+            let mass = 0;
+            for (let b = 0; b < model.nbody; b++) { mass += model.body_mass[b]; }
+            let xpos = simulation.xpos;
+            const startX = xpos[ROOT_BODY * 3 + 0], startY = xpos[ROOT_BODY * 3 + 1];
+            let lastX = startX, lastY = startY;
+            let pathLength = 0, energy = 0, falls = 0, fallTime = null, wasFallen = false;
+
+            const wallStart = performance.now();
+            const steps = Math.round(config.duration / timestep);
+            for (let i = 0; i < steps; i++) {
+                if (controller) { controller.update(timestep); }
+                simulation.step();
+
+                // Mechanical work of the actuators; motors do not recover the work they absorb
+                const force = simulation.actuator_force, velocity = simulation.actuator_velocity;
+                for (let a = 0; a < model.nu; a++) { energy += Math.abs(force[a] * velocity[a]) * timestep; }
+
+                xpos = simulation.xpos;
+                const x = xpos[ROOT_BODY * 3 + 0], y = xpos[ROOT_BODY * 3 + 1];
+                pathLength += Math.hypot(x - lastX, y - lastY);
+                lastX = x; lastY = y;
+
+                // The z component of the root body's up axis
+                const fallen = simulation.xmat[ROOT_BODY * 9 + 8] < Math.cos(FALL_ANGLE);
+                if (fallen && !wasFallen) {
+                    falls++;
+                    if (fallTime === null) { fallTime = (i + 1) * timestep; }
+                }
+                wasFallen = fallen;
+            }
+
+            const distance = Math.hypot(lastX - startX, lastY - startY);
+            return {
+                distance       : distance,
+                pathLength     : pathLength,
+                averageSpeed   : distance / config.duration,
+                falls          : falls,
+                fallTime       : fallTime,
+                energy         : energy,
+                costOfTransport: distance > 0 ? energy / (mass * GRAVITY * distance) : null,
+                simTime        : steps * timestep,
+                wallTime       : (performance.now() - wallStart) / 1000.0
+            };
+        } finally {
+            restoreGaits(saved);
+        }
+    }
+}
+
+/** Formats results as CSV with one row per run: the settings followed by the metrics */
+export function toCSV(results) {
+    if (results.length === 0) { return ""; }
+    const escape = (value) => {
+        const text = value === null ? "" : String(value);
+        return /[",\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+    };
+    const configKeys = Object.keys(results[0].config), metricKeys = Object.keys(results[0].metrics);
+    const lines = [[...configKeys, ...metricKeys].join(",")];
+    for (const { config, metrics } of results) {
+        lines.push([...configKeys.map((key) => escape(config[key])),
+                    ...metricKeys.map((key) => escape(metrics[key]))].join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+async function main() {
+    let configs, out, scenes;
+    try {
+        const parsed = parseArguments(process.argv.slice(2));
+        configs = expandSweeps(parsed.settings, parsed.sweeps);
+        out = parsed.out;
+        scenes = parsed.scenes ? path.resolve(parsed.scenes) : SCENES_DIR;
+    } catch (error) {
+        console.error(error.message);
+        console.error("Usage: node examples/headless.js [--scene file] [--duration s] " +
+            "[--scenes dir] [--set key=value]... [--sweep key=a,b,c]... [--out results.json|results.csv]");
+        process.exit(2);
+    }
+
+    const runner = await HeadlessRunner.create(scenes);
+    const results = [];
+    for (let i = 0; i < configs.length; i++) {
+        const metrics = runner.run(configs[i]);
+        console.error("Run " + (i + 1) + "/" + configs.length + ": distance " + metrics.distance.toFixed(3) +
+            " m, falls " + metrics.falls + ", energy " + metrics.energy.toFixed(1) + " J");
+        results.push({ config: configs[i], metrics: metrics });
+    }
+
+    const text = out && out.endsWith(".csv") ? toCSV(results) : JSON.stringify(results, null, 2) + "\n";
+    if (out) {
+        fs.writeFileSync(out, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,109 @@
+// Analytic leg kinematics and foot trajectories for the Unitree Go1
+import * as THREE from '../node_modules/three/build/three.module.js';
+
+// Link geometry from go1.xml (meters). All positions use MuJoCo's trunk frame:
+// x forward, y left, z up. Legs are ordered FR, FL, RR, RL like the actuators.
+
+/** Position of each abduction (hip) joint relative to the trunk origin */
+export const HIP_POSITIONS = [
+    new THREE.Vector3( 0.1881, -0.04675, 0), // FR
+    new THREE.Vector3( 0.1881,  0.04675, 0), // FL
+    new THREE.Vector3(-0.1881, -0.04675, 0), // RR
+    new THREE.Vector3(-0.1881,  0.04675, 0)  // RL
+];
+
+/** Names of the legs and of the joints in each leg in go1.xml. The actuator of a joint is
+ * named "<leg>_<joint>" (e.g. "FR_calf") and the joint itself "<leg>_<joint>_joint". */
+export const LEG_NAMES   = ["FR", "FL", "RR", "RL"];
+export const JOINT_NAMES = ["hip", "thigh", "calf"];
+
+/** Lateral side of each leg: -1 for right legs, +1 for left legs */
+export const LEG_SIDES = [-1, 1, -1, 1];
+
+export const ABDUCTION_OFFSET = 0.08;  // hip joint to thigh joint, along y
+export const THIGH_LENGTH     = 0.213; // thigh joint to knee joint
+export const CALF_LENGTH      = 0.213; // knee joint to foot center
+
+/** Computes the foot position of a leg in its hip frame
+ * @param {number} leg Leg index (FR, FL, RR, RL)
+ * @param {number[]} q Hip, thigh and calf joint angles
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} */
+export function legForwardKinematics(leg, q, target = new THREE.Vector3()) {
+    const lateral = LEG_SIDES[leg] * ABDUCTION_OFFSET;
+
+    // Foot in the sagittal plane of the thigh (thigh and knee both rotate about y)
+    const x = -THIGH_LENGTH * Math.sin(q[1]) - CALF_LENGTH * Math.sin(q[1] + q[2]);
+    const z = -THIGH_LENGTH * Math.cos(q[1]) - CALF_LENGTH * Math.cos(q[1] + q[2]);
+
+    // Rotate that plane about x by the abduction angle
+    const c = Math.cos(q[0]), s = Math.sin(q[0]);
+    return target.set(x, lateral * c - z * s, lateral * s + z * c);
+}
+
+/** Solves the hip, thigh and calf angles that place the foot at a point in the hip frame.
+ * Unreachable targets are projected onto the boundary of the workspace.
+ * @param {number} leg Leg index (FR, FL, RR, RL)
+ * @param {THREE.Vector3} foot Desired foot position in the hip frame
+ * @param {number[]} target
+ * @returns {number[]} Hip, thigh and calf joint angles (knee bent backwards) */
+export function legInverseKinematics(leg, foot, target = [0, 0, 0]) {
+    const lateral = LEG_SIDES[leg] * ABDUCTION_OFFSET;
+
+    // Abduction: the foot lies at distance |lateral| from the thigh plane
+    const yz2 = Math.max(foot.y * foot.y + foot.z * foot.z, lateral * lateral + 1e-6);
+    const zPlane = -Math.sqrt(yz2 - lateral * lateral);
+    target[0] = Math.atan2(foot.z, foot.y) - Math.atan2(zPlane, lateral);
+    target[0] = Math.atan2(Math.sin(target[0]), Math.cos(target[0]));
+
+    // Knee from the law of cosines, then thigh from the remaining angle
+    const minReach = Math.abs(THIGH_LENGTH - CALF_LENGTH) + 1e-3;
+    const maxReach = THIGH_LENGTH + CALF_LENGTH - 1e-3;
+    const reach = Math.min(maxReach, Math.max(minReach, Math.sqrt(foot.x * foot.x + zPlane * zPlane)));
+    const cosKnee = (reach * reach - THIGH_LENGTH * THIGH_LENGTH - CALF_LENGTH * CALF_LENGTH) /
+                    (2 * THIGH_LENGTH * CALF_LENGTH);
+    target[2] = -Math.acos(Math.max(-1, Math.min(1, cosKnee)));
+    target[1] = Math.atan2(-foot.x, -zPlane) -
+                Math.atan2(CALF_LENGTH * Math.sin(target[2]), THIGH_LENGTH + CALF_LENGTH * Math.cos(target[2]));
+    return target;
+}
+
+// Swing curve shapes
+export const SWING_CURVES = {
+    "Bezier" : "bezier",
+    "Cycloid": "cycloid"
+};
+
+/** Swing-phase foot path from liftoff to touchdown
+ * @param {number} t Swing progress in [0, 1]
+ * @param {THREE.Vector3} start Liftoff position
+ * @param {THREE.Vector3} end Touchdown position
+ * @param {number} height Peak foot clearance above the straight line between start and end
+ * @param {string} curve One of SWING_CURVES
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} */
+export function swingTrajectory(t, start, end, height, curve, target = new THREE.Vector3()) {
+    let horizontal, vertical;
+    if (curve === "cycloid") {
+        // Zero velocity and acceleration at liftoff and touchdown
+        horizontal = (2 * Math.PI * t - Math.sin(2 * Math.PI * t)) / (2 * Math.PI);
+        vertical   = (1 - Math.cos(2 * Math.PI * t)) * 0.5;
+    } else {
+        // Cubic Bezier with both inner control points lifted straight up by 4/3 height
+        horizontal = t * t * (3 - 2 * t);
+        vertical   = 3 * t * (1 - t) * (4 / 3);
+    }
+    target.lerpVectors(start, end, horizontal);
+    target.z += height * vertical;
+    return target;
+}
+
+/** Stance-phase foot path: a straight line traversed at constant speed
+ * @param {number} t Stance progress in [0, 1]
+ * @param {THREE.Vector3} start Touchdown position
+ * @param {THREE.Vector3} end Liftoff position
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} */
+export function stanceTrajectory(t, start, end, target = new THREE.Vector3()) {
+    return target.lerpVectors(start, end, t);
+}
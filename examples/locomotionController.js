@@ -1,5 +1,10 @@
 // Locomotion Controller for Unitree Go1 robot
-import * as THREE from 'three';
+// By path rather than 'three', since the physics worker has no import map (likewise in its imports)
+import * as THREE from '../node_modules/three/build/three.module.js';
+import { HIP_POSITIONS, LEG_NAMES, JOINT_NAMES, legForwardKinematics, legInverseKinematics,
+         swingTrajectory, stanceTrajectory } from './legKinematics.js';
+import { GaitScheduler } from './gaitScheduler.js';
+import { BalanceController } from './balanceController.js';
 
 // Constants for the Go1 robot
 const NUM_LEGS = 4;
@@ -29,102 +34,359 @@ const DEFAULT_POSE = [
     0.0,  0.9, -1.8
 ];
 
-// Trotting gait parameters
-const TROT_CYCLE_DURATION = 0.6; // seconds
-const TROT_STEP_HEIGHT = 0.1;    // meters
-const TROT_STEP_LENGTH = 0.15;   // meters
-const TROT_PAIRS = [
-    [FL, RR], // Diagonal pair 1
-    [FR, RL]  // Diagonal pair 2
+// Crouched resting pose used when sitting
+const SIT_POSE = [
+    // FR
+    0.0,  1.2, -2.4,
+    // FL
+    0.0,  1.2, -2.4,
+    // RR
+    0.0,  1.2, -2.4,
+    // RL
+    0.0,  1.2, -2.4
 ];
 
+// Stride length at full speed; timing and clearance come from the gait scheduler
+const STEP_LENGTH = 0.15; // meters
+
+// Turning limits
+const MAX_YAW_RATE = 1.5;   // rad/s
+const YAW_DEADBAND = 0.05;  // rad/s
+
+// Commanded speeds at or below this fraction of full speed count as standing still; sticks apply their own deadzone
+const SPEED_DEADBAND = 0.01;
+
+// Body whose orientation gives the robot's heading
+const TRUNK_BODY = "trunk";
+
+// How quickly the feet settle back under the hips when standing with balance control (1/s)
+const STAND_SETTLE_RATE = 5.0;
+
+// Trunk speed that makes a standing robot start stepping to catch itself (m/s)
+const RECOVERY_SPEED = 0.25;
+
+// How fast the body rises or lowers when switching between standing and sitting (m/s)
+const POSTURE_SPEED = 0.15;
+
+// Foot trajectory generators
+export const TRAJECTORY_MODES = {
+    "Inverse Kinematics": "ik",       // Cartesian foot paths solved with leg IK
+    "Joint Heuristic"   : "heuristic" // Step offsets added directly to joint angles
+};
+
+/** Drives the Go1's position actuators. It finds them by name, so it works with any model
+ * that has the Go1's actuator, joint and trunk names, whatever their order. */
 export class LocomotionController {
-    constructor(simulation) {
-        this.simulation = simulation;
+    constructor(model, simulation) {
         this.time = 0;
         this.phase = 0;
         this.isMoving = false;
-        this.direction = new THREE.Vector3(1, 0, 0); // Forward direction
+        this.isTranslating = false;
+        this.direction = new THREE.Vector3(1, 0, 0); // Forward direction (trunk frame)
         this.speed = 0.5; // Movement speed (0-1)
+        this.yawRate = 0; // Turning rate (rad/s, counter-clockwise seen from above)
+        this.trajectoryMode = "ik";
+        this.swingCurve = "bezier";
+        this.gait = new GaitScheduler("trot");
+        this.balance = new BalanceController(model, simulation);
+
+        // Neutral foot positions (hip frame) at the default standing pose
+        this.nominalFeet = [];
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            this.nominalFeet.push(legForwardKinematics(leg,
+                DEFAULT_POSE.slice(leg * JOINTS_PER_LEG, (leg + 1) * JOINTS_PER_LEG)));
+        }
+        // Body heights (hips above feet) of the two postures
+        this.standHeight = -this.nominalFeet[0].z;
+        this.sitHeight = -legForwardKinematics(0, SIT_POSE.slice(0, JOINTS_PER_LEG)).z;
+        this.posture = "stand";
+        this.bodyHeight = this.standHeight;
+        this.standFoot = new THREE.Vector3();
+
+        // Last commanded foot positions (hip frame, before balance corrections)
+        this.feet = this.nominalFeet.map((foot) => foot.clone());
+        // Where each foot was at its last liftoff or touchdown
+        this.phaseStart = this.nominalFeet.map((foot) => foot.clone());
+        this.wasSwinging = [false, false, false, false];
+        this.recoveryTime = 0;
+        this.footPlacement = new THREE.Vector3();
+        this.footTarget = new THREE.Vector3();
+        this.liftoff = new THREE.Vector3();
+        this.touchdown = new THREE.Vector3();
+        this.strideVector = new THREE.Vector3();
+        this.jointTargets = [0, 0, 0];
+        this.stance = [true, true, true, true];
         
-        // Initialize controller
+        // Bind to the model and initialize controller
+        this.attach(model, simulation);
+    }
+
+    /** Looks up the actuators and trunk of a (possibly reloaded) model by name and resets.
+     * Models that lack any of them are left alone: update() and reset() do nothing.
+     * @returns {boolean} Whether the controller is bound */
+    attach(model, simulation) {
+        this.simulation = simulation;
+        /** @type {number[]} Actuator ids, in FR, FL, RR, RL order of hip, thigh and calf; null if unbound */
+        this.actuators = [];
+        for (const leg of LEG_NAMES) {
+            for (const joint of JOINT_NAMES) { this.actuators.push(model.id("actuator", leg + "_" + joint)); }
+        }
+        this.trunk = model.id("body", TRUNK_BODY);
+        if (this.actuators.includes(-1) || this.trunk < 0 || !this.balance.attach(model, simulation)) {
+            this.actuators = null;
+        }
         this.reset();
+        return this.isBound;
+    }
+
+    /** @returns {boolean} Whether the model has everything the controller drives */
+    get isBound() {
+        return this.actuators !== null;
     }
     
     reset() {
         // Set default pose
-        for (let i = 0; i < NUM_MOTORS; i++) {
-            this.simulation.ctrl[i] = DEFAULT_POSE[i];
+        if (this.isBound) {
+            for (let i = 0; i < NUM_MOTORS; i++) {
+                this.simulation.ctrl[this.actuators[i]] = DEFAULT_POSE[i];
+            }
+        }
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            this.feet[leg].copy(this.nominalFeet[leg]);
+            this.phaseStart[leg].copy(this.nominalFeet[leg]);
+            this.wasSwinging[leg] = false;
         }
+        this.recoveryTime = 0;
+        this.posture = "stand";
+        this.bodyHeight = this.standHeight;
+        this.balance.reset();
     }
     
     setDirection(x, y) {
         // Convert joystick input to direction vector
         this.direction.set(x, y, 0).normalize();
-        this.isMoving = (Math.abs(x) > 0.1 || Math.abs(y) > 0.1);
+        this.isTranslating = (Math.abs(x) > 0.1 || Math.abs(y) > 0.1);
+        this.isMoving = this.isTranslating || Math.abs(this.yawRate) > YAW_DEADBAND;
     }
     
     setSpeed(speed) {
         this.speed = Math.max(0, Math.min(1, speed));
     }
+
+    /** @param {number} yawRate Turning rate in rad/s; positive turns left */
+    setYawRate(yawRate) {
+        this.yawRate = Math.max(-MAX_YAW_RATE, Math.min(MAX_YAW_RATE, yawRate));
+        this.isMoving = this.isTranslating || Math.abs(this.yawRate) > YAW_DEADBAND;
+    }
+
+    /** Sets the full planar command in the trunk frame
+     * @param {number} vx Forward velocity as a fraction of full speed (-1 to 1)
+     * @param {number} vy Leftward velocity as a fraction of full speed (-1 to 1)
+     * @param {number} yawRate Turning rate in rad/s */
+    setCommand(vx, vy, yawRate) {
+        // setDirection's deadzone is for unscaled directions; a slow command is still a command
+        const speed = Math.hypot(vx, vy);
+        this.direction.set(vx, vy, 0).normalize();
+        this.isTranslating = speed > SPEED_DEADBAND;
+        this.setSpeed(speed);
+        this.setYawRate(yawRate);
+    }
+
+    /** Like setCommand, but with the planar velocity given in the world frame.
+     * It is rotated into the trunk frame using the trunk's current heading. */
+    setWorldCommand(vx, vy, yawRate) {
+        const heading = this.getHeading();
+        const c = Math.cos(heading), s = Math.sin(heading);
+        this.setCommand(c * vx + s * vy, -s * vx + c * vy, yawRate);
+    }
+
+    /** @returns {number} Yaw of the trunk in the world frame (radians), from its xquat */
+    getHeading() {
+        const q = this.simulation.xquat;
+        const w = q[this.trunk * 4 + 0], x = q[this.trunk * 4 + 1],
+              y = q[this.trunk * 4 + 2], z = q[this.trunk * 4 + 3];
+        return Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+    }
+
+    /** Switches gaits, blending smoothly from the current one
+     * @param {string} name Key of GAITS
+     * @param {number} blendDuration Seconds over which to blend */
+    setGait(name, blendDuration = 0.5) {
+        this.gait.setGait(name, blendDuration);
+    }
+    
+    /** Selects how foot motion is generated
+     * @param {string} mode One of TRAJECTORY_MODES
+     * @param {string} swingCurve One of SWING_CURVES (IK mode only) */
+    setTrajectoryMode(mode, swingCurve = this.swingCurve) {
+        this.trajectoryMode = mode;
+        this.swingCurve = swingCurve;
+    }
+
+    /** Enables or disables body balance feedback (IK mode only) */
+    setBalanceEnabled(enabled) {
+        this.balance.enabled = enabled;
+    }
+
+    /** Lowers the body into a crouch or raises it back up; walking resumes once fully standing
+     * @param {string} posture "stand" or "sit" */
+    setPosture(posture) {
+        if (posture === "stand" || posture === "sit") { this.posture = posture; }
+    }
+
+    /** @returns {boolean} True once the body has fully risen into the standing posture */
+    get isStanding() {
+        return this.posture === "stand" && this.bodyHeight === this.standHeight;
+    }
+
+    /** @returns {boolean} True when the trunk has tipped past recovery */
+    isFallen() {
+        return this.balance.fallen;
+    }
     
     update(dt) {
+        if (!this.isBound) { return; }
         this.time += dt;
-        
-        if (!this.isMoving) {
-            // If not moving, gradually return to standing pose
-            this.returnToStandingPose(dt);
+
+        // Ease the body height towards the current posture
+        const targetHeight = this.posture === "sit" ? this.sitHeight : this.standHeight;
+        const maxChange = POSTURE_SPEED * dt;
+        this.bodyHeight += Math.max(-maxChange, Math.min(maxChange, targetHeight - this.bodyHeight));
+
+        if (!(this.isMoving && this.isStanding) && !this.isRecovering(dt)) {
+            this.stance.fill(true);
+            this.balance.update(dt, this.bodyHeight, this.stance);
+            if (this.trajectoryMode === "ik" && this.balance.enabled) {
+                this.holdStance(dt);
+            } else {
+                // If not moving, gradually return to the standing (or sitting) pose
+                this.returnToStandingPose(dt);
+            }
+            for (let leg = 0; leg < NUM_LEGS; leg++) {
+                this.phaseStart[leg].copy(this.feet[leg]);
+                this.wasSwinging[leg] = false;
+            }
             return;
         }
         
         // Update phase within the gait cycle (0 to 1)
-        this.phase = (this.time % TROT_CYCLE_DURATION) / TROT_CYCLE_DURATION;
+        this.gait.update(dt);
+        this.phase = this.gait.phase;
+
+        // Feedback from the trunk state; offsets are zero when balance is disabled
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            this.stance[leg] = !this.gait.getLegState(leg).inSwing;
+        }
+        this.balance.update(dt, this.bodyHeight, this.stance);
         
-        // Calculate joint positions for each leg based on the trotting gait
-        this.applyTrottingGait();
+        // Calculate joint positions for each leg based on the current gait
+        this.applyGait();
     }
     
+    /** Whether a standing robot has been pushed hard enough that it should step in place
+     * to catch itself. Once triggered, stepping continues for at least one gait cycle. */
+    isRecovering(dt) {
+        if (this.trajectoryMode !== "ik" || !this.balance.enabled || this.balance.fallen || !this.isStanding) {
+            this.recoveryTime = 0;
+        } else if (this.balance.planarSpeed > RECOVERY_SPEED) {
+            this.recoveryTime = this.gait.cycleDuration;
+        } else {
+            this.recoveryTime = Math.max(0, this.recoveryTime - dt);
+        }
+        return this.recoveryTime > 0;
+    }
+
+    /** Keeps every foot planted and lets the balance controller level the trunk,
+     * while easing the feet back under the hips from wherever they were last commanded */
+    holdStance(dt) {
+        const settle = 1 - Math.exp(-STAND_SETTLE_RATE * dt);
+        for (let leg = 0; leg < NUM_LEGS; leg++) {
+            this.standFoot.copy(this.nominalFeet[leg]);
+            this.standFoot.z = -this.bodyHeight;
+            this.feet[leg].lerp(this.standFoot, settle);
+            this.applyFootTarget(leg, this.feet[leg]);
+        }
+    }
+
     returnToStandingPose(dt) {
         const returnSpeed = 0.5; // How quickly to return to default pose
+        const pose = this.posture === "sit" ? SIT_POSE : DEFAULT_POSE;
         
         for (let i = 0; i < NUM_MOTORS; i++) {
-            const current = this.simulation.ctrl[i];
-            const target = DEFAULT_POSE[i];
+            const actuator = this.actuators[i];
+            const current = this.simulation.ctrl[actuator];
+            const target = pose[i];
             const diff = target - current;
             
             if (Math.abs(diff) > 0.01) {
-                this.simulation.ctrl[i] += diff * returnSpeed * dt;
+                this.simulation.ctrl[actuator] += diff * returnSpeed * dt;
             }
         }
     }
     
-    applyTrottingGait() {
-        // Calculate which phase each leg is in
-        const legPhases = [0, 0, 0, 0]; // Phase for each leg (0 to 1)
-        
-        // Set phases based on trotting diagonal pairs
-        // First diagonal pair
-        if (this.phase < 0.5) {
-            // Stance phase for first pair
-            legPhases[TROT_PAIRS[0][0]] = 0;
-            legPhases[TROT_PAIRS[0][1]] = 0;
-            // Swing phase for second pair
-            legPhases[TROT_PAIRS[1][0]] = this.phase * 2;
-            legPhases[TROT_PAIRS[1][1]] = this.phase * 2;
-        } else {
-            // Swing phase for first pair
-            legPhases[TROT_PAIRS[0][0]] = (this.phase - 0.5) * 2;
-            legPhases[TROT_PAIRS[0][1]] = (this.phase - 0.5) * 2;
-            // Stance phase for second pair
-            legPhases[TROT_PAIRS[1][0]] = 0;
-            legPhases[TROT_PAIRS[1][1]] = 0;
-        }
-        
-        // Apply leg movements based on phases
+    applyGait() {
         for (let leg = 0; leg < NUM_LEGS; leg++) {
-            this.calculateLegJointPositions(leg, legPhases[leg]);
+            const { inSwing, progress } = this.gait.getLegState(leg);
+
+            if (this.trajectoryMode === "ik") {
+                this.calculateLegFootTrajectory(leg, inSwing, progress);
+            } else {
+                this.calculateLegJointPositions(leg, inSwing ? progress : 0);
+            }
         }
     }
+
+    /** Tracks a Cartesian foot path with leg IK: the foot sweeps backwards
+     * in a straight line during stance and swings forward along a raised curve */
+    calculateLegFootTrajectory(leg, inSwing, progress) {
+        const nominal = this.nominalFeet[leg];
+
+        // Displacement of the hip over the foot while the foot is planted: the
+        // commanded translation plus the arc swept by turning about the trunk center
+        const stride = this.isTranslating ? this.speed * STEP_LENGTH : 0;
+        const turn = this.yawRate * this.gait.stanceDuration;
+        const hip = HIP_POSITIONS[leg];
+        this.strideVector.set(
+            this.direction.x * stride - turn * (hip.y + nominal.y),
+            this.direction.y * stride + turn * (hip.x + nominal.x),
+            0);
+
+        this.touchdown.copy(nominal).addScaledVector(this.strideVector,  0.5);
+        this.liftoff  .copy(nominal).addScaledVector(this.strideVector, -0.5);
+
+        // Step further in whichever direction the trunk has been knocked
+        this.touchdown.add(this.balance.getFootPlacement(this.footPlacement));
+
+        // Each phase starts where the previous one actually left the foot
+        if (inSwing !== this.wasSwinging[leg]) {
+            this.phaseStart[leg].copy(this.feet[leg]);
+            this.wasSwinging[leg] = inSwing;
+        }
+
+        if (inSwing) {
+            const clearance = Math.max(this.speed, Math.abs(this.yawRate) / MAX_YAW_RATE,
+                this.recoveryTime > 0 ? 1 : 0) * this.gait.stepHeight;
+            swingTrajectory(progress, this.phaseStart[leg], this.touchdown,
+                clearance, this.swingCurve, this.footTarget);
+        } else {
+            stanceTrajectory(progress, this.phaseStart[leg], this.liftoff, this.footTarget);
+        }
+
+        this.feet[leg].copy(this.footTarget);
+        this.applyFootTarget(leg, this.footTarget);
+    }
+
+    /** Adds the balance correction to a foot position and writes the IK solution to ctrl */
+    applyFootTarget(leg, foot) {
+        const baseIdx = leg * JOINTS_PER_LEG;
+        this.footTarget.copy(foot);
+        this.footTarget.z += this.balance.footOffsets[leg];
+
+        legInverseKinematics(leg, this.footTarget, this.jointTargets);
+        this.simulation.ctrl[this.actuators[baseIdx + HIP_JOINT]] = this.jointTargets[0];
+        this.simulation.ctrl[this.actuators[baseIdx + THIGH_JOINT]] = this.jointTargets[1];
+        this.simulation.ctrl[this.actuators[baseIdx + CALF_JOINT]] = this.jointTargets[2];
+    }
     
     calculateLegJointPositions(leg, phase) {
         // Base joint indices for this leg
@@ -143,9 +405,11 @@ export class LocomotionController {
             // Forward/backward component - move from back to front during swing
             const swingProgress = phase;
             
-            // Apply leg-specific adjustments
-            let legDirectionX = this.direction.x;
-            let legDirectionY = this.direction.y;
+            // Apply leg-specific adjustments; turning adds the tangential direction at each hip
+            const hip = HIP_POSITIONS[leg];
+            const turn = this.yawRate / MAX_YAW_RATE;
+            let legDirectionX = (this.isTranslating ? this.direction.x : 0) - turn * hip.y / hip.length();
+            let legDirectionY = (this.isTranslating ? this.direction.y : 0) + turn * hip.x / hip.length();
             
             // Invert x direction for left legs
             if (leg === FL || leg === RL) {
@@ -158,9 +422,9 @@ export class LocomotionController {
             }
             
             // Calculate step offsets
-            const stepX = this.speed * TROT_STEP_LENGTH * (swingProgress - 0.5) * legDirectionX;
-            const stepY = this.speed * TROT_STEP_LENGTH * (swingProgress - 0.5) * legDirectionY;
-            const stepZ = this.speed * TROT_STEP_HEIGHT * heightFactor;
+            const stepX = this.speed * STEP_LENGTH * (swingProgress - 0.5) * legDirectionX;
+            const stepY = this.speed * STEP_LENGTH * (swingProgress - 0.5) * legDirectionY;
+            const stepZ = this.speed * this.gait.stepHeight * heightFactor;
             
             // Apply kinematics (simplified inverse kinematics for demo)
             // Hip joint - controls side-to-side motion
@@ -174,8 +438,8 @@ export class LocomotionController {
         }
         
         // Set the joint positions
-        this.simulation.ctrl[baseIdx + HIP_JOINT] = hipPos;
-        this.simulation.ctrl[baseIdx + THIGH_JOINT] = thighPos;
-        this.simulation.ctrl[baseIdx + CALF_JOINT] = calfPos;
+        this.simulation.ctrl[this.actuators[baseIdx + HIP_JOINT]] = hipPos;
+        this.simulation.ctrl[this.actuators[baseIdx + THIGH_JOINT]] = thighPos;
+        this.simulation.ctrl[this.actuators[baseIdx + CALF_JOINT]] = calfPos;
     }
 } 
\ No newline at end of file
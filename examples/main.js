@@ -2,29 +2,58 @@ import * as THREE           from 'three';
 import { GUI              } from '../node_modules/three/examples/jsm/libs/lil-gui.module.min.js';
 import { OrbitControls    } from '../node_modules/three/examples/jsm/controls/OrbitControls.js';
 import { DragStateManager } from './utils/DragStateManager.js';
-import { setupGUI, downloadExampleScenesFolder, loadSceneFromURL, getPosition, getQuaternion, toMujocoPos, standardNormal } from './mujocoUtils.js';
+import { setupGUI, reloadFunc, loadSceneManifest, downloadSceneFiles, loadSceneFromURL, getPosition, getQuaternion, toMujocoPos, standardNormal } from './mujocoUtils.js';
 import { LocomotionController } from './locomotionController.js';
+import { GamepadController } from './gamepadController.js';
+import { TrajectoryRecorder } from './trajectoryRecorder.js';
+import { SensorTelemetry, SensorPlotPanel } from './sensorTelemetry.js';
+import { ContactVisualizer } from './contactVisualizer.js';
+import { PhysicsOptions    } from './physicsOptions.js';
+import { ModelParameters   } from './modelParameters.js';
+import { CameraController } from './cameraController.js';
+import { CameraSensor } from './cameraSensor.js';
+import { VideoCapture } from './videoCapture.js';
+import { ModelDropLoader } from './modelDropLoader.js';
+import { WarningMonitor, isMuJoCoError } from './warningMonitor.js';
+import { installNameLookup } from './mujocoNames.js';
+import { WorkerSimulation, FRAME_FIELDS } from './workerSimulation.js';
+import { Debug            } from './utils/Debug.js';
 import { createLivingRoomEnvironment } from './gltfLoader.js';
 import   load_mujoco        from '../dist/mujoco_wasm.js';
 
+// Show errors and MuJoCo warnings in a banner on the page
+const debug = new Debug();
+
 // Load the MuJoCo Module
 const mujoco = await load_mujoco();
+// model.id/name and simulation.joint(name) etc.
+installNameLookup(mujoco);
 
 // Get scene from URL or use default
+const defaultScene = "unitree_go1/scene.xml";
 let urlParams = new URLSearchParams(window.location.search);
-var initialScene = urlParams.get('scene') || "unitree_go1/scene.xml";
-console.log("Initial scene set to:", initialScene);
+var initialScene = urlParams.get('scene') || defaultScene;
+// ?worker=1 steps the physics in a Web Worker instead of in render()
+const useWorker = urlParams.get('worker') === '1';
 
 // Set up Emscripten's Virtual File System
 mujoco.FS.mkdir('/working');
 mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
 
-// Download all example files first
-await downloadExampleScenesFolder(mujoco);
+// Fetch the list of example scenes; each scene's files are downloaded when it is first loaded
+const sceneManifest = await loadSceneManifest();
+// Only scenes of the manifest can be downloaded; any other ?scene= starts the default scene instead
+if (!sceneManifest.scenes.some((scene) => scene.file === initialScene)) {
+  console.error("Scene " + initialScene + " is not in the scene manifest; loading " + defaultScene + " instead");
+  initialScene = defaultScene;
+}
+console.log("Initial scene set to:", initialScene);
+await downloadSceneFiles(mujoco, sceneManifest, initialScene);
 
 export class MuJoCoDemo {
   constructor() {
     this.mujoco = mujoco;
+    this.sceneManifest = sceneManifest;
 
     // Load in the state from XML
     this.model      = new mujoco.Model("/working/" + initialScene);
@@ -33,13 +62,19 @@ export class MuJoCoDemo {
     
     // Create locomotion controller
     this.locomotionController = null;
+
+    // Gamepad teleoperation, polled once per frame in render()
+    this.gamepad = new GamepadController();
     
     // Living room environment flag
     this.livingRoomEnabled = false;
 
     // Define Random State Variables
-    this.params = { scene: initialScene, paused: false, help: false, ctrlnoiserate: 0.0, ctrlnoisestd: 0.0, keyframeNumber: 0 };
+    this.params = { scene: initialScene, paused: false, help: false, ctrlnoiserate: 0.0, ctrlnoisestd: 0.0, keyframeNumber: 0,
+                    terrainType: "hills", terrainSeed: 1, terrainDifficulty: 0.3, gamepadMaxYawRate: 1.0,
+                    recording: false, replaying: false, replayFrame: 0, pipEnabled: false, pipCamera: 0 };
     this.mujoco_time = 0.0;
+    this.lastRenderTime = 0.0;
     this.bodies  = {}, this.lights = {};
     this.tmpVec  = new THREE.Vector3();
     this.tmpQuat = new THREE.Quaternion();
@@ -101,16 +136,57 @@ export class MuJoCoDemo {
     // Initialize the locomotion controller if we're using the Go1 robot
     if (initialScene.includes("unitree_go1") || initialScene === "living_room.xml") {
       console.log("Initializing locomotion controller for:", initialScene);
-      this.locomotionController = new LocomotionController(this.simulation);
+      this.locomotionController = new LocomotionController(this.model, this.simulation);
       this.params.enableLocomotion = true; // Add parameter to control locomotion
       this.params.locomotionSpeed = 0.5;   // Default speed
       this.params.locomotionDirX = 1.0;    // Default direction (forward)
       this.params.locomotionDirY = 0.0;
+      this.params.locomotionYawRate = 0.0; // rad/s, positive turns left
+      this.params.locomotionGait = "trot";
+      this.params.locomotionTrajectory = "ik";
+      this.params.locomotionSwingCurve = "bezier";
+      this.params.locomotionBalance = true;
+      this.params.locomotionSit = false;
     } else {
       this.locomotionController = null;
       this.params.enableLocomotion = false;
     }
     
+    // Counters of mjData warnings are shown in the banner; messages go to the console
+    this.warnings = new WarningMonitor(mujoco, this.simulation);
+    this.warnings.addEventListener('warning', (event) => {
+      debug.display("MuJoCo warning " + event.warning + " at t = " + event.time.toFixed(3) + " s (info " + event.lastinfo +
+                    "), raised " + event.count + " times", "warning", "mjWARN_" + event.warning);
+    });
+    this.warnings.addEventListener('message', (event) => { console.warn(event.message); });
+
+    // Records every physics step for replay; rebound to the model on reload
+    this.recorder = new TrajectoryRecorder(this.model, this.simulation);
+
+    // WebM and PNG-sequence capture of the canvas, in the Video folder
+    this.videoCapture = new VideoCapture(this.renderer.domElement);
+
+    // Rolling sensordata history and its plots; sensors are picked in the Telemetry folder
+    this.telemetry   = new SensorTelemetry(mujoco, this.model, this.simulation);
+    this.sensorPlots = new SensorPlotPanel(this.telemetry);
+
+    // Contact points, normals and forces, toggled in the Contacts folder
+    this.contactVisualizer = new ContactVisualizer(this.scene, this.model, this.simulation);
+
+    // Timestep, gravity, integrator, solver and flags of the model, edited in the Physics folder
+    this.physicsOptions = new PhysicsOptions(mujoco, this.model);
+
+    // Masses, friction, gains, ... edited in place in the Model Parameters folder, and randomized on reset
+    this.modelParameters = new ModelParameters(mujoco, this.model, this.simulation);
+
+    // Free, tracking and model camera modes; starts from the model's free camera
+    this.cameraController = new CameraController(this.camera, this.controls, this.model, this.simulation);
+    this.cameraController.resetFree();
+
+    // Offscreen rendering of model cameras for renderCamera() and the picture-in-picture view
+    this.cameraSensor = new CameraSensor(this.renderer, this.scene, this.model, this.simulation);
+    this.cameraSensor.hidden.push(this.contactVisualizer.group);
+
     // Add living room environment option
     this.params.livingRoomEnabled = false;
     this.params.useLivingRoomScene = initialScene === "living_room.xml";
@@ -131,8 +207,47 @@ export class MuJoCoDemo {
       }
     }
 
+    // Physics steps in a worker at its own rate; the page keeps its model for rendering and the GUI
+    if (useWorker) {
+      this.physicsWorker = new WorkerSimulation();
+      await this.physicsWorker.load(mujoco, this.model, this.params.scene, { locomotion: !!this.locomotionController && this.locomotionController.isBound });
+      this.sendModelToWorker();
+      console.log("Physics runs in a Web Worker, " + (this.physicsWorker.shared ? "sharing memory" : "posting frames"));
+      // Contacts and warnings are read from the worker's frames, which the page's simulation has no room for
+      this.contactVisualizer.attach(this.model, this.physicsWorker);
+      this.warnings.attach(this.physicsWorker);
+      // Edits of the page's model are repeated in the worker's copy
+      this.physicsOptions.addEventListener('change', () => { this.physicsWorker.setOptions(this.model.getOptions()); });
+      this.modelParameters.addEventListener('change', () => { this.physicsWorker.setParameters(this.modelParameters.getValues()); });
+    }
+
     this.gui = new GUI();
     setupGUI(this);
+
+    // Models dropped onto the page are copied into /working and loaded in place of the scene
+    this.dropLoader = new ModelDropLoader(mujoco, (file) => {
+      // The locomotion controller is bound to the Go1 scene
+      this.params.enableLocomotion = false;
+      return this.loadScene(file);
+    });
+  }
+
+  /** Loads a scene from /working, keeping the current one if it fails to load.
+   * Scenes of the manifest are downloaded first.
+   * @param {string} file Path of the MJCF file relative to /working */
+  async loadScene(file) {
+    if (this.sceneManifest.scenes.some((scene) => scene.file === file)) {
+      await downloadSceneFiles(mujoco, this.sceneManifest, file);
+    }
+    let previous = this.params.scene;
+    this.params.scene = file;
+    try {
+      await reloadFunc.call(this);
+    } catch (error) {
+      this.params.scene = previous;
+      await reloadFunc.call(this);
+      throw error;
+    }
   }
 
   onWindowResize() {
@@ -141,76 +256,154 @@ export class MuJoCoDemo {
     this.renderer.setSize( window.innerWidth, window.innerHeight );
   }
 
-  render(timeMS) {
-    this.controls.update();
+  /** Sends the physics options and model parameters of the page's model to the worker after it loads,
+   * since its copy is compiled from the scene's files when the bindings cannot write an mjb */
+  sendModelToWorker() {
+    if (this.physicsOptions.supported) { this.physicsWorker.setOptions(this.model.getOptions()); }
+    this.physicsWorker.setParameters(this.modelParameters.getValues());
+  }
 
-    if (!this.params["paused"]) {
-      let timestep = this.model.getOptions().timestep;
-      if (timeMS - this.mujoco_time > 35.0) { this.mujoco_time = timeMS; }
-      while (this.mujoco_time < timeMS) {
-
-        // Update locomotion controller if enabled
-        if (this.locomotionController && this.params.enableLocomotion) {
-          this.locomotionController.setDirection(
-            this.params.locomotionDirX,
-            this.params.locomotionDirY
-          );
-          this.locomotionController.setSpeed(this.params.locomotionSpeed);
-          this.locomotionController.update(timestep);
-        }
-        // Otherwise use the standard control approach
-        else {
-          // Jitter the control state with gaussian random noise
-          if (this.params["ctrlnoisestd"] > 0.0) {
-            let rate  = Math.exp(-timestep / Math.max(1e-10, this.params["ctrlnoiserate"]));
-            let scale = this.params["ctrlnoisestd"] * Math.sqrt(1 - rate * rate);
-            let currentCtrl = this.simulation.ctrl;
-            for (let i = 0; i < currentCtrl.length; i++) {
-              currentCtrl[i] = rate * currentCtrl[i] + scale * standardNormal();
-              this.params["Actuator " + i] = currentCtrl[i];
-            }
-          }
+  /** @returns {{body: number, force: THREE.Vector3, point: THREE.Vector3}|null} The force pulling
+   * the dragged body towards the mouse, and where it acts, in MuJoCo's frame; null when nothing is dragged */
+  getDragPerturbation() {
+    let dragged = this.dragStateManager.physicsObject;
+    if (!dragged || !dragged.bodyID) { return null; }
+    for (let b = 0; b < this.model.nbody; b++) {
+      if (this.bodies[b]) {
+        getPosition  (this.simulation.xpos , b, this.bodies[b].position);
+        getQuaternion(this.simulation.xquat, b, this.bodies[b].quaternion);
+        this.bodies[b].updateWorldMatrix();
+      }
+    }
+    let bodyID = dragged.bodyID;
+    this.dragStateManager.update(); // Update the world-space force origin
+    let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(this.model.body_mass[bodyID] * 250));
+    let point = toMujocoPos(this.dragStateManager.worldHit.clone());
+    return { body: bodyID, force: force, point: point };
+  }
+
+  /** Sends the inputs to the physics worker and shows its frames: the interpolated arrays of
+   * FRAME_FIELDS and time are written into the page's simulation, which is not stepped */
+  updateFromWorker(timeMS) {
+    let controller = this.locomotionController;
+    let settings = { enabled: false };
+    if (controller && controller.isBound) {
+      settings = {
+        enabled   : !!this.params.enableLocomotion,
+        gait      : this.params.locomotionGait,
+        posture   : this.params.locomotionSit ? "sit" : "stand",
+        trajectory: this.params.locomotionTrajectory,
+        swingCurve: this.params.locomotionSwingCurve,
+        balance   : this.params.locomotionBalance,
+        gains     : Object.assign({}, controller.balance.gains) };
+    }
+    let perturbation = this.getDragPerturbation();
+    this.physicsWorker.send({
+      paused: this.params.paused,
+      vx    : this.params.locomotionDirX * this.params.locomotionSpeed || 0,
+      vy    : this.params.locomotionDirY * this.params.locomotionSpeed || 0,
+      yaw   : this.params.locomotionYawRate || 0,
+      ctrl  : this.simulation.ctrl,
+      perturbation: perturbation && { body: perturbation.body, force: perturbation.force.toArray(), point: perturbation.point.toArray() }
+    }, settings);
+
+    if (this.physicsWorker.interpolate(timeMS)) {
+      this.simulation.time = this.physicsWorker.time;
+      for (const field of FRAME_FIELDS) { this.simulation[field.name].set(this.physicsWorker[field.name]); }
+    }
+  }
+
+  /** Advances the simulation by one timestep: control, perturbations, recording, then mj_step */
+  step(timestep) {
+    // Update locomotion controller if enabled
+    if (this.locomotionController && this.params.enableLocomotion) {
+      // Direction sets the heading and, for analog input, the fraction of the speed
+      this.locomotionController.setCommand(
+        this.params.locomotionDirX * this.params.locomotionSpeed,
+        this.params.locomotionDirY * this.params.locomotionSpeed,
+        this.params.locomotionYawRate);
+      this.locomotionController.setPosture(this.params.locomotionSit ? "sit" : "stand");
+      this.locomotionController.setGait(this.params.locomotionGait);
+      this.locomotionController.update(timestep);
+    }
+    // Otherwise use the standard control approach
+    else {
+      // Jitter the control state with gaussian random noise
+      if (this.params["ctrlnoisestd"] > 0.0) {
+        let rate  = Math.exp(-timestep / Math.max(1e-10, this.params["ctrlnoiserate"]));
+        let scale = this.params["ctrlnoisestd"] * Math.sqrt(1 - rate * rate);
+        let currentCtrl = this.simulation.ctrl;
+        for (let i = 0; i < currentCtrl.length; i++) {
+          currentCtrl[i] = rate * currentCtrl[i] + scale * standardNormal();
+          this.params["Actuator " + i] = currentCtrl[i];
         }
+      }
+    }
 
-        // Clear old perturbations, apply new ones.
-        if (this.simulation.qfrc_applied && this.simulation.qfrc_applied.length > 0) {
-          try {
-            for (let i = 0; i < this.simulation.qfrc_applied.length; i++) { 
-              this.simulation.qfrc_applied[i] = 0.0; 
-            }
-          } catch (e) {
-            console.error("Error clearing perturbations:", e);
-          }
+    // Clear old perturbations, apply new ones.
+    if (this.simulation.qfrc_applied && this.simulation.qfrc_applied.length > 0) {
+      try {
+        for (let i = 0; i < this.simulation.qfrc_applied.length; i++) { 
+          this.simulation.qfrc_applied[i] = 0.0; 
         }
-        
-        let dragged = this.dragStateManager.physicsObject;
-        if (dragged && dragged.bodyID) {
-          try {
-            for (let b = 0; b < this.model.nbody; b++) {
-              if (this.bodies[b]) {
-                getPosition  (this.simulation.xpos , b, this.bodies[b].position);
-                getQuaternion(this.simulation.xquat, b, this.bodies[b].quaternion);
-                this.bodies[b].updateWorldMatrix();
-              }
-            }
-            let bodyID = dragged.bodyID;
-            this.dragStateManager.update(); // Update the world-space force origin
-            let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(this.model.body_mass[bodyID] * 250));
-            let point = toMujocoPos(this.dragStateManager.worldHit.clone());
-            this.simulation.applyForce(force.x, force.y, force.z, 0, 0, 0, point.x, point.y, point.z, bodyID);
-          } catch (e) {
-            console.error("Error applying force:", e);
-          }
-          // TODO: Apply pose perturbations (mocap bodies only).
+      } catch (e) {
+        console.error("Error clearing perturbations:", e);
+      }
+    }
+    
+    if (this.dragStateManager.physicsObject) {
+      try {
+        let perturbation = this.getDragPerturbation();
+        if (perturbation) {
+          let force = perturbation.force, point = perturbation.point;
+          this.simulation.applyForce(force.x, force.y, force.z, 0, 0, 0, point.x, point.y, point.z, perturbation.body);
         }
+      } catch (e) {
+        console.error("Error applying force:", e);
+      }
+      // TODO: Apply pose perturbations (mocap bodies only).
+    }
 
-        try {
-          this.simulation.step();
-        } catch (e) {
-          console.error("Error stepping simulation:", e);
-        }
+    // Record the state together with the inputs that advance it
+    if (this.params.recording) {
+      this.recorder.record();
+    }
 
-        this.mujoco_time += timestep * 1000.0;
+    try {
+      this.simulation.step();
+    } catch (e) {
+      console.error("Error stepping simulation:", e);
+      // mju_error leaves mjData in an undefined state; stop stepping until the scene is reset
+      if (isMuJoCoError(e)) { this.params.paused = true; }
+    }
+  }
+
+  render(timeMS) {
+    this.controls.update();
+    this.pollGamepad();
+    let frameTime = Math.min(0.1, (timeMS - this.lastRenderTime) / 1000.0);
+    this.lastRenderTime = timeMS;
+
+    if (this.physicsWorker) {
+      // The worker steps the physics; recording, replay and frame-exact capture need the page's loop and are disabled
+      this.updateFromWorker(timeMS);
+    } else if (this.params.replaying) {
+      // Replay restores recorded frames instead of stepping the physics
+      this.recorder.update(this.videoCapture.capturingFrames ? this.videoCapture.getReplayInterval() : frameTime);
+      this.params.replayFrame = this.recorder.playhead;
+    } else if (!this.params["paused"]) {
+      let timestep = this.model.getOptions().timestep;
+      if (this.videoCapture.capturingFrames) {
+        // Advance by exactly one video frame per rendered frame, whatever the wall-clock time
+        let steps = this.videoCapture.getStepsForNextFrame(timestep, this.simulation.time);
+        for (let i = 0; i < steps; i++) { this.step(timestep); }
+        this.mujoco_time = timeMS;
+      } else {
+        if (timeMS - this.mujoco_time > 35.0) { this.mujoco_time = timeMS; }
+        while (this.mujoco_time < timeMS) {
+          this.step(timestep);
+          this.mujoco_time += timestep * 1000.0;
+        }
       }
 
     } else if (this.params["paused"]) {
@@ -240,6 +433,10 @@ export class MuJoCoDemo {
       this.mujoco_time = 0;
     }
 
+    this.warnings.check();
+    this.telemetry.sample();
+    this.sensorPlots.update();
+
     // Update body transforms.
     for (let b = 0; b < this.model.nbody; b++) {
       if (this.bodies[b]) {
@@ -249,6 +446,9 @@ export class MuJoCoDemo {
       }
     }
 
+    this.contactVisualizer.update();
+    this.cameraController.update();
+
     // Update light transforms.
     for (let l = 0; l < this.model.nlight; l++) {
       if (this.lights[l]) {
@@ -292,12 +492,40 @@ export class MuJoCoDemo {
 
     // Render!
     this.renderer.render( this.scene, this.camera );
+    if (this.params.pipEnabled) {
+      this.cameraSensor.renderPreview(this.params.pipCamera, 320, 240);
+    }
+    this.videoCapture.captureFrame();
+  }
+
+  /** Renders a model camera offscreen, e.g. as the input of a vision policy
+   * @param {number|string} camera Camera id or name in the model
+   * @param {number} width
+   * @param {number} height
+   * @param {{depth?: boolean, segmentation?: "geom"|"body"|null, near?: number, far?: number}} options
+   * @returns {{width: number, height: number, rgb: Uint8Array, depth?: Float32Array, segmentation?: Int32Array}} */
+  renderCamera(camera, width, height, options = {}) {
+    return this.cameraSensor.render(camera, width, height, options);
+  }
+
+  /** Reads the gamepad sticks into the locomotion command; buttons are
+   * dispatched to the handlers registered in setupGUI */
+  pollGamepad() {
+    if (!this.gamepad.poll()) { return; }
+    if (!this.locomotionController || !this.params.enableLocomotion) { return; }
+
+    // Only write while the sticks are in use (and once on release), so the keyboard still works
+    if (this.gamepad.isActive || this.gamepad.wasActive) {
+      this.params.locomotionDirX    = this.gamepad.command.vx;
+      this.params.locomotionDirY    = this.gamepad.command.vy;
+      this.params.locomotionYawRate = this.gamepad.command.yaw * this.params.gamepadMaxYawRate;
+    }
   }
 
   handleKeyDown(event) {
     if (!this.locomotionController || !this.params.enableLocomotion) return;
     
-    // Arrow keys for direction
+    // Arrow keys for direction; left/right turn, or strafe while holding Shift
     switch (event.code) {
       case 'ArrowUp':
         this.params.locomotionDirX = 1.0;
@@ -308,12 +536,20 @@ export class MuJoCoDemo {
         this.params.locomotionDirY = 0.0;
         break;
       case 'ArrowLeft':
-        this.params.locomotionDirX = 0.0;
-        this.params.locomotionDirY = 1.0;
+        if (event.shiftKey) {
+          this.params.locomotionDirX = 0.0;
+          this.params.locomotionDirY = 1.0;
+        } else {
+          this.params.locomotionYawRate = 1.0;
+        }
         break;
       case 'ArrowRight':
-        this.params.locomotionDirX = 0.0;
-        this.params.locomotionDirY = -1.0;
+        if (event.shiftKey) {
+          this.params.locomotionDirX = 0.0;
+          this.params.locomotionDirY = -1.0;
+        } else {
+          this.params.locomotionYawRate = -1.0;
+        }
         break;
       // Speed control
       case 'KeyQ':
@@ -322,6 +558,12 @@ export class MuJoCoDemo {
       case 'KeyE':
         this.params.locomotionSpeed = Math.min(1, this.params.locomotionSpeed + 0.1);
         break;
+      // Gait selection
+      case 'Digit1': this.params.locomotionGait = "walk";  break;
+      case 'Digit2': this.params.locomotionGait = "trot";  break;
+      case 'Digit3': this.params.locomotionGait = "pace";  break;
+      case 'Digit4': this.params.locomotionGait = "bound"; break;
+      case 'Digit5': this.params.locomotionGait = "pronk"; break;
     }
   }
   
@@ -332,6 +574,9 @@ export class MuJoCoDemo {
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.code)) {
       this.params.locomotionDirX = 0.0;
       this.params.locomotionDirY = 0.0;
+      if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+        this.params.locomotionYawRate = 0.0;
+      }
     }
   }
 }
@@ -0,0 +1,106 @@
+// Files of MJCF models: includes and assets, checked before handing a model to MuJoCo,
+// and copied into the Emscripten file system. There are no DOM or Node dependencies.
+
+/** @returns {string} A "/"-separated path with "." and ".." segments resolved against a directory */
+export function resolvePath(directory, relative) {
+    const segments = [];
+    const joined = relative.startsWith("/") ? relative : directory + "/" + relative;
+    for (const segment of joined.replace(/\\/g, "/").split("/")) {
+        if (segment === "" || segment === ".") { continue; }
+        if (segment === "..") { segments.pop(); } else { segments.push(segment); }
+    }
+    return (joined.startsWith("/") ? "/" : "") + segments.join("/");
+}
+
+/** @returns {string} The directory part of a "/"-separated path */
+export function dirname(file) {
+    const slash = file.lastIndexOf("/");
+    return slash < 0 ? "." : slash === 0 ? "/" : file.slice(0, slash);
+}
+
+/** @returns {string|undefined} An attribute of an XML start tag */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp("\\b" + name + "=\"([^\"]*)\""));
+    return match ? match[1] : undefined;
+}
+
+/** @returns {string[]} The files included by an MJCF document, resolved against its directory */
+export function getIncludes(xml, directory) {
+    const includes = [];
+    for (const [tag] of xml.replace(/<!--[\s\S]*?-->/g, "").matchAll(/<include\b[^>]*>/g)) {
+        const file = getAttribute(tag, "file");
+        if (file !== undefined) { includes.push(resolvePath(directory, file)); }
+    }
+    return includes;
+}
+
+/** Lists the files an MJCF model and its includes reference that do not exist.
+ * MuJoCo stops at the first missing file, so this is checked up front to report them all.
+ * @param {string} modelFile
+ * @param {{exists: (file: string) => boolean, readText: (file: string) => string}} fileSystem
+ * @returns {string[]} */
+export function findMissingFiles(modelFile, fileSystem) {
+    const root = dirname(modelFile);
+    const documents = [], missing = [];
+    const pending = [modelFile];
+    while (pending.length > 0) {
+        const file = pending.shift();
+        if (!fileSystem.exists(file)) { missing.push(file); continue; }
+        const xml = fileSystem.readText(file).replace(/<!--[\s\S]*?-->/g, "");
+        documents.push(xml);
+        pending.push(...getIncludes(xml, root));
+    }
+
+    // Asset directories are set by the compiler element of any of the documents
+    const dirs = { mesh: root, texture: root };
+    for (const xml of documents) {
+        for (const [tag] of xml.matchAll(/<compiler\b[^>]*>/g)) {
+            const assetdir = getAttribute(tag, "assetdir");
+            if (assetdir !== undefined) { dirs.mesh = dirs.texture = resolvePath(root, assetdir); }
+            const meshdir = getAttribute(tag, "meshdir");
+            if (meshdir !== undefined) { dirs.mesh = resolvePath(root, meshdir); }
+            const texturedir = getAttribute(tag, "texturedir");
+            if (texturedir !== undefined) { dirs.texture = resolvePath(root, texturedir); }
+        }
+    }
+    for (const xml of documents) {
+        for (const [tag, element] of xml.matchAll(/<(mesh|skin|texture|hfield)\b[^>]*>/g)) {
+            const file = getAttribute(tag, "file");
+            if (file === undefined) { continue; }
+            const resolved = resolvePath(element === "texture" || element === "hfield" ? dirs.texture : dirs.mesh, file);
+            if (!fileSystem.exists(resolved)) { missing.push(resolved); }
+        }
+    }
+    return missing;
+}
+
+/** Picks the model to load among a set of MJCF files: one that no other file includes,
+ * preferring files named like scene*.xml, then the shallowest path.
+ * @param {Object<string, string>} documents XML text keyed by "/"-separated path
+ * @returns {string|undefined} */
+export function findMainModel(documents) {
+    const included = new Set();
+    const models = [];
+    for (const [file, xml] of Object.entries(documents)) {
+        if (!/<mujoco\b/.test(xml)) { continue; }
+        models.push(file);
+        for (const include of getIncludes(xml, dirname(file))) { included.add(include); }
+    }
+    const depth = (file) => file.split("/").length;
+    const isScene = (file) => /(^|\/)scene[^/]*\.xml$/i.test(file);
+    return models.filter((file) => !included.has(file))
+        .sort((a, b) => (isScene(b) - isScene(a)) || (depth(a) - depth(b)) || a.localeCompare(b))[0];
+}
+
+/** Writes files into the Emscripten file system under a directory, creating subdirectories as needed */
+export function writeFiles(mujoco, files, directory = "/working") {
+    for (const file of files) {
+        const split = file.name.split("/");
+        let folder = directory;
+        for (let f = 0; f < split.length - 1; f++) {
+            folder += "/" + split[f];
+            if (!mujoco.FS.analyzePath(folder).exists) { mujoco.FS.mkdir(folder); }
+        }
+        mujoco.FS.writeFile(directory + "/" + file.name, file.data);
+    }
+}
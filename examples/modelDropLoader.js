@@ -0,0 +1,123 @@
+// Drag-and-drop loading of user models: an MJCF file, a folder, or a zip with its meshes and textures
+import { readZip } from './utils/Zip.js';
+import { findMainModel, findMissingFiles, writeFiles } from './mjcfFiles.js';
+
+/** @returns {Promise<File>} */
+function getFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+/** @returns {Promise<FileSystemEntry[]>} Every entry of a directory; readEntries returns them in batches */
+async function getDirectoryEntries(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) { return entries; }
+        entries.push(...batch);
+    }
+}
+
+/** Reads a dropped file or folder into `files`, unpacking zips in place */
+async function readEntry(entry, files) {
+    if (entry.isDirectory) {
+        for (const child of await getDirectoryEntries(entry)) { await readEntry(child, files); }
+        return;
+    }
+    const data = new Uint8Array(await (await getFile(entry)).arrayBuffer());
+    // fullPath is relative to the drop, with a leading "/"
+    const name = entry.fullPath.replace(/^\/+/, "");
+    if (name.toLowerCase().endsWith(".zip")) {
+        const folder = name.slice(0, name.lastIndexOf("/") + 1);
+        for (const file of await readZip(data)) { files.push({ name: folder + file.name, data: file.data }); }
+    } else {
+        files.push({ name: name, data: data });
+    }
+}
+
+/** Reads everything dropped onto the page, keeping the paths relative to the drop
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{name: string, data: Uint8Array}[]>} */
+export async function readDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop data is still accessible
+    const entries = Array.from(dataTransfer.items)
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.webkitGetAsEntry());
+    const files = [];
+    for (const entry of entries) {
+        if (entry) { await readEntry(entry, files); }
+    }
+    // Skip files from the OS that are never part of a model
+    return files.filter((file) => !/(^|\/)(__MACOSX\/|\.DS_Store$)/.test(file.name));
+}
+
+/** Lets users drop models onto the page. Files are copied into /working with their
+ * relative paths, the main MJCF file is picked with findMainModel and handed to `load`.
+ * Anything that goes wrong is logged with console.error, which the Debug banner shows. */
+export class ModelDropLoader {
+    /**
+     * @param {object} mujoco The loaded MuJoCo module
+     * @param {(file: string) => Promise<void>} load Loads a scene, given its path in /working */
+    constructor(mujoco, load) {
+        this.mujoco = mujoco;
+        this.load = load;
+
+        this.overlay = document.createElement('div');
+        this.overlay.textContent = 'Drop an MJCF model, a folder or a zip to load it';
+        Object.assign(this.overlay.style, {
+            position: 'fixed', inset: '0', display: 'none', alignItems: 'center', justifyContent: 'center',
+            backgroundColor: 'rgba(0, 0, 0, 0.5)', border: '4px dashed white', boxSizing: 'border-box',
+            color: 'white', font: '24px Arial', pointerEvents: 'none', zIndex: '100' });
+        document.body.appendChild(this.overlay);
+
+        // dragleave also fires when moving between child elements, so count nested enters
+        this.dragDepth = 0;
+        const isFileDrag = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+        window.addEventListener('dragenter', (event) => {
+            if (!isFileDrag(event)) { return; }
+            event.preventDefault();
+            this.dragDepth++;
+            this.overlay.style.display = 'flex';
+        });
+        window.addEventListener('dragover', (event) => {
+            if (isFileDrag(event)) { event.preventDefault(); }
+        });
+        window.addEventListener('dragleave', () => {
+            if (--this.dragDepth <= 0) { this.dragDepth = 0; this.overlay.style.display = 'none'; }
+        });
+        window.addEventListener('drop', (event) => {
+            if (!isFileDrag(event)) { return; }
+            event.preventDefault();
+            this.dragDepth = 0;
+            this.overlay.style.display = 'none';
+            this.loadDropped(event.dataTransfer);
+        });
+    }
+
+    /** Copies dropped files into /working and loads the main model among them */
+    async loadDropped(dataTransfer) {
+        try {
+            const files = await readDroppedFiles(dataTransfer);
+            const decoder = new TextDecoder("utf-8");
+            const documents = {};
+            for (const file of files) {
+                if (file.name.toLowerCase().endsWith(".xml")) { documents[file.name] = decoder.decode(file.data); }
+            }
+            const main = findMainModel(documents);
+            if (!main) { throw new Error("No MJCF model (an .xml file with a <mujoco> root) among the dropped files"); }
+
+            writeFiles(this.mujoco, files);
+            const missing = findMissingFiles("/working/" + main, {
+                exists  : (file) => this.mujoco.FS.analyzePath(file).exists,
+                readText: (file) => this.mujoco.FS.readFile(file, { encoding: 'utf8' })
+            });
+            if (missing.length > 0) {
+                throw new Error("Cannot load " + main + ", missing files:\n  " +
+                    missing.map((file) => file.replace(/^\/working\//, "")).join("\n  "));
+            }
+            await this.load(main);
+        } catch (error) {
+            console.error("Failed to load dropped model:", error);
+        }
+    }
+}
@@ -0,0 +1,222 @@
+// Validated editing of model parameters in place, and domain randomization of them on reset
+
+// MuJoCo's limits on solimp: dmin, dmax and midpoint in (0, 1), a non-negative width, and a power of at least 1
+const SOLIMP_MIN = [0.0001, 0.0001, 0, 0.0001, 1];
+const SOLIMP_MAX = [0.9999, 0.9999, Infinity, 0.9999, Infinity];
+
+/** Editable parameters by the name of their model array. Each one belongs to objects of an MJCF type
+ * and has `size` values per object (joints have one per dof), which are clamped to [min, max] when
+ * randomized and rejected by set() outside of it. Randomized parameters of the same `group` are scaled
+ * by the same draw, e.g. gainprm and biasprm, so position actuators keep their setpoint.
+ * set() also rejects diagonal inertias that MuJoCo's compiler would, see checkInertia(). */
+export const MODEL_PARAMETERS = {
+    body_mass       : { type: "body"    , size: 1 , min: 0 },
+    body_inertia    : { type: "body"    , size: 3 , min: 0 },
+    geom_friction   : { type: "geom"    , size: 3 , min: 0 },
+    geom_solref     : { type: "geom"    , size: 2 },
+    geom_solimp     : { type: "geom"    , size: 5 , min: SOLIMP_MIN, max: SOLIMP_MAX },
+    geom_rgba       : { type: "geom"    , size: 4 , min: 0, max: 1 },
+    geom_size       : { type: "geom"    , size: 3 , min: 0 },
+    actuator_gainprm: { type: "actuator", size: 10, group: "actuator_gain" },
+    actuator_biasprm: { type: "actuator", size: 10, group: "actuator_gain" },
+    dof_damping     : { type: "joint"   , min: 0 },
+    dof_armature    : { type: "joint"   , min: 0 }
+};
+
+/** @returns {{start: number, count: number}} Where an object's values are in its parameter array */
+function getRange(model, parameter, id) {
+    if (parameter.type !== "joint") { return { start: id * parameter.size, count: parameter.size }; }
+    // Dofs are ordered by joint, so a joint's dofs end where the next joint's begin
+    const start = model.jnt_dofadr[id];
+    const end = id + 1 < model.njnt ? model.jnt_dofadr[id + 1] : model.nv;
+    return { start: start, count: end - start };
+}
+
+/** Throws unless a diagonal inertia satisfies the triangle inequality (A + B >= C for every order),
+ * which the inertia of every physical body does */
+function checkInertia(values, id) {
+    for (let c = 0; c < 3; c++) {
+        if (values[c] + values[(c + 1) % 3] < values[(c + 2) % 3]) {
+            throw new Error("body_inertia of body " + id + " must satisfy A + B >= C for its diagonal, got " + values.join(", "));
+        }
+    }
+}
+
+/** @returns {number} The bound of one component; bounds are either one number or one per component */
+function getBound(bound, component, fallback) {
+    if (bound === undefined) { return fallback; }
+    return Array.isArray(bound) ? bound[component] : bound;
+}
+
+/** Writes model parameters through the live arrays of the model and re-runs mj_setConst, so the
+ * quantities MuJoCo derives from them at compile time (subtree masses, inverse weights, ...) follow.
+ * The values the model was compiled with are kept, so edits can be undone and randomization is
+ * always relative to them. A "change" event follows every update of the model.
+ * It has no DOM dependencies, so headless runs can randomize too. */
+export class ModelParameters extends EventTarget {
+    constructor(mujoco, model, simulation) {
+        super();
+        this.mujoco = mujoco;
+        /** Whether reset() samples new parameters */
+        this.randomizeOnReset = false;
+        /** Scale factors drawn uniformly from [min, max] of the compiled values, by parameter name */
+        this.randomization = {};
+        for (const name of Object.keys(MODEL_PARAMETERS)) {
+            this.randomization[name] = { enabled: false, min: 0.8, max: 1.2 };
+        }
+        this.attach(model, simulation);
+    }
+
+    /** Binds to a (possibly reloaded) model and keeps a copy of its compiled parameters */
+    attach(model, simulation) {
+        this.model = model;
+        this.simulation = simulation;
+        /** @type {Object<string, Float64Array>} */
+        this.compiled = {};
+        for (const name of Object.keys(MODEL_PARAMETERS)) { this.compiled[name] = Float64Array.from(model[name]); }
+        this.compiledRbound = Float64Array.from(model.geom_rbound);
+    }
+
+    /** @returns {number} How many objects a parameter has values for */
+    count(name) {
+        const type = this.getParameter(name).type;
+        return { body: this.model.nbody, geom: this.model.ngeom, actuator: this.model.nu, joint: this.model.njnt }[type];
+    }
+
+    /** @returns {Object<string, number>} Object ids of a parameter by name, for dropdowns */
+    getObjectOptions(name) {
+        const type = this.getParameter(name).type, options = {};
+        for (let i = 0; i < this.count(name); i++) { options[this.model.name(type, i) || type + " " + i] = i; }
+        return options;
+    }
+
+    getParameter(name) {
+        const parameter = MODEL_PARAMETERS[name];
+        if (!parameter) {
+            throw new Error("Unknown model parameter \"" + name + "\"; expected one of " + Object.keys(MODEL_PARAMETERS).join(", "));
+        }
+        return parameter;
+    }
+
+    /** @returns {number[]} A copy of an object's values of a parameter */
+    get(name, id) {
+        this.checkId(name, id);
+        const { start, count } = getRange(this.model, this.getParameter(name), id);
+        return Array.from(this.model[name].subarray(start, start + count));
+    }
+
+    /** Sets an object's values of a parameter and updates the model; throws if any value is out of range
+     * @param {string} name A key of MODEL_PARAMETERS, e.g. "body_mass"
+     * @param {number} id The id of the body, geom, actuator or joint
+     * @param {number[]|number} values One value per component */
+    set(name, id, values) {
+        this.checkId(name, id);
+        const parameter = this.getParameter(name);
+        const { count } = getRange(this.model, parameter, id);
+        values = typeof values === 'number' ? [values] : Array.from(values);
+        if (values.length !== count) {
+            throw new Error(name + " of " + parameter.type + " " + id + " has " + count + " values, got " + values.length);
+        }
+        for (let c = 0; c < count; c++) {
+            const min = getBound(parameter.min, c, -Infinity), max = getBound(parameter.max, c, Infinity);
+            if (!Number.isFinite(values[c]) || values[c] < min || values[c] > max) {
+                const bounds = max === Infinity ? (min === -Infinity ? "a finite number" : "at least " + min) : "in [" + min + ", " + max + "]";
+                throw new Error(name + "[" + c + "] of " + parameter.type + " " + id + " must be " + bounds + ", got " + values[c]);
+            }
+        }
+        if (name === "body_inertia") { checkInertia(values, id); }
+        this.write(name, id, values);
+        this.update();
+    }
+
+    /** Writes the values the model was compiled with back */
+    restore() {
+        for (const name of Object.keys(MODEL_PARAMETERS)) { this.model[name].set(this.compiled[name]); }
+        this.model.geom_rbound.set(this.compiledRbound);
+        this.update();
+    }
+
+    /** Scales every enabled parameter of every object by a factor drawn from its range, relative to the compiled values
+     * @param {function(): number} random Uniform random numbers in [0, 1), e.g. createRandom(seed) */
+    randomize(random = Math.random) {
+        // One draw per group and object, so parameters of a group are scaled alike when their ranges match.
+        // Every component of an object is scaled by its draw, so inertias keep satisfying A + B >= C.
+        const draws = {};
+        for (const [name, parameter] of Object.entries(MODEL_PARAMETERS)) {
+            const range = this.randomization[name];
+            if (!range.enabled) { continue; }
+            const group = parameter.group || name;
+            draws[group] = draws[group] || [];
+            for (let id = 0; id < this.count(name); id++) {
+                if (draws[group][id] === undefined) { draws[group][id] = random(); }
+                const scale = range.min + draws[group][id] * (range.max - range.min);
+                const { start, count } = getRange(this.model, parameter, id);
+                const values = [];
+                for (let c = 0; c < count; c++) {
+                    const min = getBound(parameter.min, c, -Infinity), max = getBound(parameter.max, c, Infinity);
+                    values.push(Math.min(max, Math.max(min, this.compiled[name][start + c] * scale)));
+                }
+                this.write(name, id, values);
+            }
+        }
+        this.update();
+    }
+
+    /** @returns {Object<string, Float64Array>} Copies of the current values of every parameter and of
+     * geom_rbound, e.g. to send to another copy of the model in a worker */
+    getValues() {
+        const values = { geom_rbound: Float64Array.from(this.model.geom_rbound) };
+        for (const name of Object.keys(MODEL_PARAMETERS)) { values[name] = Float64Array.from(this.model[name]); }
+        return values;
+    }
+
+    /** Writes values from getValues() of another copy of the same model, and updates the model */
+    setValues(values) {
+        for (const [name, array] of Object.entries(values)) { this.model[name].set(array); }
+        this.update();
+    }
+
+    /** Samples new parameters if randomizeOnReset is set; call before resetting the simulation */
+    reset(random = Math.random) {
+        if (this.randomizeOnReset) { this.randomize(random); }
+    }
+
+    checkId(name, id) {
+        if (!Number.isInteger(id) || id < 0 || id >= this.count(name)) {
+            throw new Error("No " + this.getParameter(name).type + " with id " + id + " for " + name);
+        }
+    }
+
+    /** Writes values without validating them */
+    write(name, id, values) {
+        const { start } = getRange(this.model, MODEL_PARAMETERS[name], id);
+        this.model[name].set(values, start);
+        // The bounding sphere is only computed when compiling; grow it with the size so broadphase keeps finding contacts
+        if (name === "geom_size") {
+            let ratio = 1;
+            for (let c = 0; c < values.length; c++) {
+                const compiled = this.compiled.geom_size[start + c];
+                if (compiled > 0) { ratio = Math.max(ratio, values[c] / compiled); }
+            }
+            this.model.geom_rbound[id] = this.compiledRbound[id] * ratio;
+        }
+    }
+
+    /** Re-runs mj_setConst, which works from qpos0, and puts the simulation back where it was.
+     * Builds without it keep the derived quantities of the compiled model. */
+    update() {
+        const simulation = this.simulation;
+        if (typeof simulation.setConst === 'function') {
+            if (typeof simulation.getState === 'function') {
+                const spec = this.mujoco.mjtState.mjSTATE_INTEGRATION.value;
+                const state = simulation.getState(spec);
+                simulation.setConst();
+                simulation.setState(state, spec);
+            } else {
+                simulation.setConst();
+            }
+            simulation.forward();
+        }
+        this.dispatchEvent(new Event("change"));
+    }
+}
@@ -0,0 +1,172 @@
+// Name-based access to MuJoCo objects, so controllers and tools don't depend on the order of a model:
+//   model.id("actuator", "FR_calf"), model.name("body", 1), simulation.joint("FR_hip_joint").qpos
+// There are no DOM dependencies, so headless runs can use it too.
+
+// Object types by the names used in MJCF: their mjtObj value (without "mjOBJ_") and the name address array
+const OBJECT_TYPES = {
+    body    : ["BODY"    , "name_bodyadr"    ],
+    joint   : ["JOINT"   , "name_jntadr"     ],
+    geom    : ["GEOM"    , "name_geomadr"    ],
+    site    : ["SITE"    , "name_siteadr"    ],
+    camera  : ["CAMERA"  , "name_camadr"     ],
+    light   : ["LIGHT"   , "name_lightadr"   ],
+    mesh    : ["MESH"    , "name_meshadr"    ],
+    skin    : ["SKIN"    , "name_skinadr"    ],
+    hfield  : ["HFIELD"  , "name_hfieldadr"  ],
+    texture : ["TEXTURE" , "name_texadr"     ],
+    material: ["MATERIAL", "name_matadr"     ],
+    pair    : ["PAIR"    , "name_pairadr"    ],
+    exclude : ["EXCLUDE" , "name_excludeadr" ],
+    equality: ["EQUALITY", "name_eqadr"      ],
+    tendon  : ["TENDON"  , "name_tendonadr"  ],
+    actuator: ["ACTUATOR", "name_actuatoradr"],
+    sensor  : ["SENSOR"  , "name_sensoradr"  ],
+    numeric : ["NUMERIC" , "name_numericadr" ],
+    text    : ["TEXT"    , "name_textadr"    ],
+    tuple   : ["TUPLE"   , "name_tupleadr"   ],
+    key     : ["KEY"     , "name_keyadr"     ]
+};
+
+// Sizes of a joint's qpos and qvel entries, by mjtJoint: free, ball, slide, hinge
+const JOINT_NQ = [7, 4, 1, 1];
+const JOINT_NV = [6, 3, 1, 1];
+
+const textDecoder = new TextDecoder("utf-8");
+
+/** @returns {string[]} The object type names accepted by model.id and model.name */
+export function getObjectTypes() { return Object.keys(OBJECT_TYPES); }
+
+function getObjectType(type) {
+    const objectType = OBJECT_TYPES[type];
+    if (!objectType) { throw new Error("Unknown object type \"" + type + "\"; expected one of " + getObjectTypes().join(", ")); }
+    return objectType;
+}
+
+/** @returns {string} The null-terminated name starting at `address` in model.names */
+function decodeName(names, address) {
+    const end = names.indexOf(0, address);
+    return textDecoder.decode(names.subarray(address, end < 0 ? names.length : end));
+}
+
+/** Live views of one object's entries in the simulation's arrays. Arrays are looked up on every
+ * access, since their views are replaced when the WASM memory grows; the subarrays can be written to. */
+class ObjectView {
+    constructor(simulation, id, name) {
+        this.simulation = simulation;
+        this.id = id;
+        this.name = name;
+    }
+
+    /** @returns {Float64Array} `size` entries of a simulation array, starting at `address` */
+    slice(array, address, size) {
+        return this.simulation[array].subarray(address, address + size);
+    }
+}
+
+class JointView extends ObjectView {
+    constructor(simulation, model, id, name) {
+        super(simulation, id, name);
+        const type = model.jnt_type[id];
+        this.qposadr = model.jnt_qposadr[id];
+        this.dofadr  = model.jnt_dofadr[id];
+        this.nq = JOINT_NQ[type];
+        this.nv = JOINT_NV[type];
+    }
+    get qpos        () { return this.slice("qpos"        , this.qposadr, this.nq); }
+    get qvel        () { return this.slice("qvel"        , this.dofadr , this.nv); }
+    get qacc        () { return this.slice("qacc"        , this.dofadr , this.nv); }
+    get qfrc_applied() { return this.slice("qfrc_applied", this.dofadr , this.nv); }
+}
+
+class ActuatorView extends ObjectView {
+    get ctrl    () { return this.simulation.ctrl[this.id]; }
+    set ctrl    (value) { this.simulation.ctrl[this.id] = value; }
+    get force   () { return this.simulation.actuator_force   [this.id]; }
+    get length  () { return this.simulation.actuator_length  [this.id]; }
+    get velocity() { return this.simulation.actuator_velocity[this.id]; }
+}
+
+class BodyView extends ObjectView {
+    get xpos        () { return this.slice("xpos"        , this.id * 3, 3); }
+    get xquat       () { return this.slice("xquat"       , this.id * 4, 4); }
+    get xmat        () { return this.slice("xmat"        , this.id * 9, 9); }
+    get subtree_com () { return this.slice("subtree_com" , this.id * 3, 3); }
+    get xfrc_applied() { return this.slice("xfrc_applied", this.id * 6, 6); }
+}
+
+class FrameView extends ObjectView {
+    constructor(simulation, id, name, prefix) {
+        super(simulation, id, name);
+        this.prefix = prefix;
+    }
+    get xpos() { return this.slice(this.prefix + "_xpos", this.id * 3, 3); }
+    get xmat() { return this.slice(this.prefix + "_xmat", this.id * 9, 9); }
+}
+
+class SensorView extends ObjectView {
+    constructor(simulation, model, id, name) {
+        super(simulation, id, name);
+        this.adr = model.sensor_adr[id];
+        this.dim = model.sensor_dim[id];
+    }
+    get data() { return this.slice("sensordata", this.adr, this.dim); }
+}
+
+/** Adds the name lookups to the Model and Simulation classes of a loaded MuJoCo module:
+ *  - model.id(type, name), -1 if there is no such object, and model.name(type, id), "" if it is unnamed,
+ *  - simulation.joint(name), .actuator, .body, .site, .geom and .sensor, which throw if the name is
+ *    missing and return views of the object's entries, e.g. joint(name).qpos at its jnt_qposadr.
+ * Builds without Model.name2id fall back to reading model.names.
+ * @param {object} mujoco The loaded MuJoCo module */
+export function installNameLookup(mujoco) {
+    const Model = mujoco.Model.prototype, Simulation = mujoco.Simulation.prototype;
+    if (Model.id) { return; }
+    const hasLookups = typeof Model.name2id === 'function';
+
+    /** @returns {number} The id of a named object, or -1 */
+    Model.id = function (type, name) {
+        const [objectType, adr] = getObjectType(type);
+        if (hasLookups) { return this.name2id(mujoco.mjtObj["mjOBJ_" + objectType].value, name); }
+        const addresses = this[adr], names = this.names;
+        for (let i = 0; i < addresses.length; i++) {
+            if (decodeName(names, addresses[i]) === name) { return i; }
+        }
+        return -1;
+    };
+
+    /** @returns {string} The name of an object, or "" if it has none */
+    Model.name = function (type, id) {
+        const [objectType, adr] = getObjectType(type);
+        if (hasLookups) { return this.id2name(mujoco.mjtObj["mjOBJ_" + objectType].value, id); }
+        const addresses = this[adr];
+        return id >= 0 && id < addresses.length ? decodeName(this.names, addresses[id]) : "";
+    };
+
+    /** @returns {number} The id of a named object; throws if it does not exist */
+    const requireId = (model, type, name) => {
+        const id = model.id(type, name);
+        if (id < 0) { throw new Error("No " + type + " named \"" + name + "\" in the model"); }
+        return id;
+    };
+
+    Simulation.joint = function (name) {
+        const model = this.model();
+        return new JointView(this, model, requireId(model, "joint", name), name);
+    };
+    Simulation.actuator = function (name) {
+        return new ActuatorView(this, requireId(this.model(), "actuator", name), name);
+    };
+    Simulation.body = function (name) {
+        return new BodyView(this, requireId(this.model(), "body", name), name);
+    };
+    Simulation.site = function (name) {
+        return new FrameView(this, requireId(this.model(), "site", name), name, "site");
+    };
+    Simulation.geom = function (name) {
+        return new FrameView(this, requireId(this.model(), "geom", name), name, "geom");
+    };
+    Simulation.sensor = function (name) {
+        const model = this.model();
+        return new SensorView(this, model, requireId(model, "sensor", name), name);
+    };
+}
@@ -2,6 +2,15 @@ import * as THREE from 'three';
 import { Reflector  } from './utils/Reflector.js';
 import { MuJoCoDemo } from './main.js';
 import { createLivingRoomEnvironment } from './gltfLoader.js';
+import { TERRAIN_TYPES, generateTerrain } from './terrainGenerator.js';
+import { TRAJECTORY_MODES } from './locomotionController.js';
+import { SWING_CURVES } from './legKinematics.js';
+import { GAIT_NAMES } from './gaitScheduler.js';
+import { DEFAULT_GAMEPAD_MAPPING } from './gamepadController.js';
+import { CAMERA_FREE, CAMERA_TRACKING } from './cameraController.js';
+import { VideoCapture } from './videoCapture.js';
+import { writeFiles } from './mjcfFiles.js';
+import { MODEL_PARAMETERS } from './modelParameters.js';
 
 export async function reloadFunc() {
   // Delete the old scene and load the new scene
@@ -12,6 +21,11 @@ export async function reloadFunc() {
   for (let i = 0; i < this.updateGUICallbacks.length; i++) {
     this.updateGUICallbacks[i](this.model, this.simulation, this.params);
   }
+  if (this.physicsWorker) {
+    let controller = this.locomotionController;
+    await this.physicsWorker.load(this.mujoco, this.model, this.params.scene, { locomotion: !!controller && controller.isBound });
+    this.sendModelToWorker();
+  }
 }
 
 /** @param {MuJoCoDemo} parentContext*/
@@ -20,25 +34,43 @@ export function setupGUI(parentContext) {
   // Make sure we reset the camera when the scene is changed or reloaded.
   parentContext.updateGUICallbacks.length = 0;
   parentContext.updateGUICallbacks.push((model, simulation, params) => {
-    // TODO: Use free camera parameters from MuJoCo
-    parentContext.camera.position.set(2.0, 1.7, 1.7);
-    parentContext.controls.target.set(0, 0.7, 0);
-    parentContext.controls.update(); });
+    parentContext.cameraController.attach(model, simulation);
+    parentContext.cameraController.resetFree();
+    // With a physics worker, warnings and contacts come from its frames
+    parentContext.warnings.attach(parentContext.physicsWorker || simulation); });
 
   // Add scene selection dropdown.
   let reload = reloadFunc.bind(parentContext);
   
+  let manifest = parentContext.sceneManifest;
+
   // Add living room direct load button
-  parentContext.gui.add({
-    loadLivingRoom: function() {
-      console.log("Loading living room scene directly");
-      window.location.href = window.location.pathname + "?scene=living_room.xml";
-    }
-  }, 'loadLivingRoom').name('Load Living Room');
+  if (manifest.scenes.some((scene) => scene.file === "living_room.xml")) {
+    parentContext.gui.add({
+      loadLivingRoom: function() {
+        console.log("Loading living room scene directly");
+        window.location.href = window.location.pathname + "?scene=living_room.xml";
+      }
+    }, 'loadLivingRoom').name('Load Living Room');
+  }
 
-  parentContext.gui.add(parentContext.params, 'scene', {
-    "Unitree Go1": "unitree_go1/scene.xml"
-  }).name('Example Scene').onChange(reload);
+  // The dropdown lists the scenes of the manifest, and shows the loaded scene once loading is done
+  let sceneSelection = { scene: parentContext.params.scene };
+  let sceneOptions = {};
+  for (let scene of manifest.scenes) { sceneOptions[scene.name] = scene.file; }
+  let sceneGUI = parentContext.gui.add(sceneSelection, 'scene', sceneOptions).name('Example Scene').onChange(async (value) => {
+    try {
+      await parentContext.loadScene(value);
+    } catch (error) {
+      console.error("Failed to load scene:", error);
+    }
+    sceneSelection.scene = parentContext.params.scene;
+    sceneGUI.updateDisplay();
+  });
+  parentContext.updateGUICallbacks.push((model, simulation, params) => {
+    sceneSelection.scene = params.scene;
+    sceneGUI.updateDisplay();
+  });
 
   // Add locomotion controls if available
   if (parentContext.locomotionController) {
@@ -50,14 +82,45 @@ export function setupGUI(parentContext) {
     // Speed control
     locomotionFolder.add(parentContext.params, 'locomotionSpeed', 0, 1, 0.05).name('Speed');
     
-    // Direction controls
-    locomotionFolder.add(parentContext.params, 'locomotionDirX', -1, 1, 0.1).name('Direction X');
-    locomotionFolder.add(parentContext.params, 'locomotionDirY', -1, 1, 0.1).name('Direction Y');
+    // Direction controls (trunk frame) and turning rate
+    locomotionFolder.add(parentContext.params, 'locomotionDirX', -1, 1, 0.1).name('Direction X').listen();
+    locomotionFolder.add(parentContext.params, 'locomotionDirY', -1, 1, 0.1).name('Direction Y').listen();
+    locomotionFolder.add(parentContext.params, 'locomotionYawRate', -1.5, 1.5, 0.05).name('Yaw Rate').listen();
+
+    // Gait selection; also bound to the number keys 1-5
+    locomotionFolder.add(parentContext.params, 'locomotionGait', GAIT_NAMES).name('Gait').listen();
+
+    // Foot trajectory generation
+    const setTrajectoryMode = () => {
+      parentContext.locomotionController.setTrajectoryMode(
+        parentContext.params.locomotionTrajectory, parentContext.params.locomotionSwingCurve);
+    };
+    locomotionFolder.add(parentContext.params, 'locomotionTrajectory', TRAJECTORY_MODES).name('Foot Trajectory').onChange(setTrajectoryMode);
+    locomotionFolder.add(parentContext.params, 'locomotionSwingCurve', SWING_CURVES).name('Swing Curve').onChange(setTrajectoryMode);
+
+    // Closed-loop balance from trunk orientation feedback (Inverse Kinematics mode only)
+    const balance = parentContext.locomotionController.balance;
+    locomotionFolder.add(parentContext.params, 'locomotionBalance').name('Balance Control').onChange((enabled) => {
+      parentContext.locomotionController.setBalanceEnabled(enabled);
+    });
+    locomotionFolder.add(balance.gains, 'attitude' , 0, 6  , 0.1 ).name('Attitude Gain');
+    locomotionFolder.add(balance.gains, 'height'   , 0, 3  , 0.1 ).name('Height Gain');
+    locomotionFolder.add(balance.gains, 'placement', 0, 0.3, 0.01).name('Step Placement Gain');
     
+    // Crouch down; walking resumes once the robot has stood back up
+    locomotionFolder.add(parentContext.params, 'locomotionSit').name('Sit').listen();
+
+    // Rebind the controller to the reloaded model by name; models without the Go1's actuators turn it off
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      if (!parentContext.locomotionController.attach(model, simulation)) { params.enableLocomotion = false; }
+    });
+
     // Button to reset to default pose
     locomotionFolder.add({reset: () => { 
       if (parentContext.locomotionController) {
+        parentContext.params.locomotionSit = false;
         parentContext.locomotionController.reset();
+        if (parentContext.physicsWorker) { parentContext.physicsWorker.resetController(); }
       }
     }}, 'reset').name('Reset Pose');
     
@@ -88,6 +151,37 @@ export function setupGUI(parentContext) {
     environmentFolder.open();
   }
 
+  // Add procedural terrain controls for scenes with heightfields.
+  // Regenerating rewrites hfield_data in place, so physics and the rendered mesh
+  // both pick up the new terrain without reloading the XML.
+  const applyTerrain = () => {
+    let model = parentContext.model;
+    for (let h = 0; h < model.nhfield; h++) {
+      generateTerrain(model, h, {
+        type      : parentContext.params.terrainType,
+        seed      : parentContext.params.terrainSeed,
+        difficulty: parentContext.params.terrainDifficulty });
+      let geometry = parentContext.mujocoRoot.heightfields[h];
+      if (geometry) { updateHeightfieldGeometry(model, h, geometry); }
+    }
+    if (model.nhfield > 0 && parentContext.params.paused) { parentContext.simulation.forward(); }
+  };
+  let terrainFolder = parentContext.gui.addFolder("Terrain");
+  terrainFolder.add(parentContext.params, 'terrainType', TERRAIN_TYPES).name('Terrain Type').onChange(applyTerrain);
+  let terrainSeedGUI = terrainFolder.add(parentContext.params, 'terrainSeed', 1, 1000, 1).name('Seed').onFinishChange(applyTerrain);
+  terrainFolder.add(parentContext.params, 'terrainDifficulty', 0.0, 1.0, 0.05).name('Difficulty').onFinishChange(applyTerrain);
+  terrainFolder.add({randomize: () => {
+    parentContext.params.terrainSeed = Math.floor(Math.random() * 1000) + 1;
+    terrainSeedGUI.updateDisplay();
+    applyTerrain();
+  }}, 'randomize').name('New Seed');
+  parentContext.updateGUICallbacks.push((model, simulation, params) => {
+    terrainFolder.show(model.nhfield > 0);
+    applyTerrain();
+  });
+  terrainFolder.show(parentContext.model.nhfield > 0);
+  applyTerrain();
+
   // Add a help menu.
   // Parameters:
   //  Name: "Help".
@@ -204,10 +298,13 @@ export function setupGUI(parentContext) {
       parentContext.container.removeChild(parentContext.container.lastChild);
     }
   });
+  const togglePause = () => {
+    parentContext.params.paused = !parentContext.params.paused;
+    pauseSimulation.setValue(parentContext.params.paused);
+  };
   document.addEventListener('keydown', (event) => {
     if (event.code === 'Space') {
-      parentContext.params.paused = !parentContext.params.paused;
-      pauseSimulation.setValue(parentContext.params.paused);
+      togglePause();
       event.preventDefault();
     }
   });
@@ -233,8 +330,13 @@ export function setupGUI(parentContext) {
   //  When pressed, resets the simulation to the initial state.
   //  Can also be triggered by pressing backspace.
   const resetSimulation = () => {
+    if (parentContext.modelParameters) { parentContext.modelParameters.reset(); }
+    if (parentContext.physicsWorker) { parentContext.physicsWorker.reset(); }
     parentContext.simulation.resetData();
     parentContext.simulation.forward();
+    if (parentContext.locomotionController) {
+      parentContext.locomotionController.reset();
+    }
   };
   simulationFolder.add({reset: () => { resetSimulation(); }}, 'reset').name('Reset');
   document.addEventListener('keydown', (event) => {
@@ -242,13 +344,450 @@ export function setupGUI(parentContext) {
   actionInnerHTML += 'Reset simulation<br>';
   keyInnerHTML += 'Backspace<br>';
 
+  // Add state snapshot slots.
+  // Each slot holds the full integration state (time, qpos, qvel, act, warmstart,
+  // ctrl, applied forces, mocap poses and userdata), so an experiment can be
+  // branched from the same moment as often as needed. With a physics worker,
+  // the states are the worker's.
+  const stateSpec = parentContext.mujoco.mjtState.mjSTATE_INTEGRATION.value;
+  let snapshotFolder = simulationFolder.addFolder("Snapshots");
+  let snapshotLoadGUIs = [];
+  parentContext.snapshots = [null, null, null];
+  for (let slot = 0; slot < parentContext.snapshots.length; slot++) {
+    snapshotFolder.add({save: async () => {
+      parentContext.snapshots[slot] = parentContext.physicsWorker ?
+        await parentContext.physicsWorker.getState(stateSpec) : parentContext.simulation.getState(stateSpec);
+      snapshotLoadGUIs[slot].enable();
+    }}, 'save').name('Save Slot ' + (slot + 1));
+    snapshotLoadGUIs.push(snapshotFolder.add({load: () => {
+      if (!parentContext.snapshots[slot]) { return; }
+      if (parentContext.physicsWorker) {
+        parentContext.physicsWorker.setState(parentContext.snapshots[slot], stateSpec);
+        return;
+      }
+      parentContext.simulation.setState(parentContext.snapshots[slot], stateSpec);
+      parentContext.simulation.forward();
+    }}, 'load').name('Load Slot ' + (slot + 1)).disable());
+  }
+  parentContext.updateGUICallbacks.push((model, simulation, params) => {
+    // Snapshots only fit the model they were taken from
+    parentContext.snapshots.fill(null);
+    snapshotLoadGUIs.forEach((loadGUI) => loadGUI.disable());
+  });
+  snapshotFolder.close();
+
+  // Add gamepad teleoperation controls.
+  // Sticks are polled every frame in MuJoCoDemo.pollGamepad(); buttons trigger the
+  // actions below. Bindings are indices into the standard gamepad layout.
+  if (parentContext.gamepad) {
+    let gamepad = parentContext.gamepad;
+    const gaits = Object.values(GAIT_NAMES);
+    const cycleGait = (step) => {
+      let index = gaits.indexOf(parentContext.params.locomotionGait);
+      parentContext.params.locomotionGait = gaits[(index + step + gaits.length) % gaits.length];
+    };
+    gamepad.actionHandlers = {
+      nextGait : () => { if (parentContext.locomotionController) { cycleGait( 1); } },
+      prevGait : () => { if (parentContext.locomotionController) { cycleGait(-1); } },
+      standSit : () => { parentContext.params.locomotionSit = !parentContext.params.locomotionSit; },
+      resetPose: () => {
+        if (parentContext.locomotionController) {
+          parentContext.params.locomotionSit = false;
+          parentContext.locomotionController.reset();
+          if (parentContext.physicsWorker) { parentContext.physicsWorker.resetController(); }
+        }
+      },
+      pause    : togglePause
+    };
+
+    let gamepadFolder = parentContext.gui.addFolder("Gamepad");
+    gamepadFolder.add(gamepad, 'status').name('Status').disable().listen();
+    gamepadFolder.add(gamepad, 'enabled').name('Enable Gamepad');
+    gamepadFolder.add(gamepad, 'deadzone', 0.0, 0.5, 0.01).name('Deadzone');
+    gamepadFolder.add(parentContext.params, 'gamepadMaxYawRate', 0.0, 1.5, 0.05).name('Max Yaw Rate');
+
+    let mappingFolder = gamepadFolder.addFolder("Mapping");
+    const mappingNames = {
+      moveXAxis      : 'Forward Axis',
+      moveYAxis      : 'Strafe Axis',
+      turnAxis       : 'Turn Axis',
+      nextGaitButton : 'Next Gait Button',
+      prevGaitButton : 'Prev Gait Button',
+      standSitButton : 'Stand/Sit Button',
+      resetPoseButton: 'Reset Pose Button',
+      pauseButton    : 'Pause Button'
+    };
+    for (let key in mappingNames) {
+      mappingFolder.add(gamepad.mapping, key, 0, key.endsWith('Axis') ? 7 : 16, 1).name(mappingNames[key]);
+    }
+    mappingFolder.add({restore: () => {
+      Object.assign(gamepad.mapping, DEFAULT_GAMEPAD_MAPPING);
+      mappingFolder.controllers.forEach((controller) => controller.updateDisplay());
+    }}, 'restore').name('Restore Defaults');
+    mappingFolder.close();
+    gamepadFolder.close();
+  }
+
+  // Add trajectory recording and replay controls.
+  // While recording, every physics step in render() is logged. Replaying restores
+  // the recorded frames one by one instead of stepping the physics.
+  if (parentContext.recorder) {
+    let recorder = parentContext.recorder;
+    let recordingFolder = parentContext.gui.addFolder("Recording");
+    let replayGUI, timelineGUI;
+    const updateTimeline = () => {
+      timelineGUI.max(Math.max(1, recorder.length - 1));
+      parentContext.params.replayFrame = recorder.playhead;
+      timelineGUI.updateDisplay();
+    };
+    recordingFolder.add(parentContext.params, 'recording').name('Record').listen().onChange((value) => {
+      // Recording after scrubbing back overwrites everything past the current frame
+      if (value) { replayGUI.setValue(false); recorder.truncate(recorder.playhead + 1); } else { updateTimeline(); }
+    });
+    recordingFolder.add(recorder, 'length').name('Frames').disable().listen();
+    recordingFolder.add({clear: () => {
+      parentContext.params.recording = false;
+      replayGUI.setValue(false);
+      recorder.clear();
+      updateTimeline();
+    }}, 'clear').name('Clear');
+
+    replayGUI = recordingFolder.add(parentContext.params, 'replaying').name('Replay').listen().onChange((value) => {
+      if (value) {
+        parentContext.params.recording = false;
+        updateTimeline();
+        recorder.seek(recorder.playhead);
+      } else {
+        recorder.playing = false;
+      }
+    });
+    timelineGUI = recordingFolder.add(parentContext.params, 'replayFrame', 0, 1, 1).name('Timeline').listen().onChange((value) => {
+      if (parentContext.params.replaying) { recorder.seek(value); }
+    });
+    recordingFolder.add(recorder, 'playing').name('Play').listen().onChange((value) => {
+      if (value && !parentContext.params.replaying) { replayGUI.setValue(true); }
+      if (value && recorder.playhead >= recorder.length - 1) { recorder.seek(0); }
+    });
+    recordingFolder.add({back: () => {
+      if (parentContext.params.replaying) { recorder.step(-1); }
+    }}, 'back').name('Step Back');
+    recordingFolder.add({forward: () => {
+      if (parentContext.params.replaying) { recorder.step(1); }
+    }}, 'forward').name('Step Forward');
+    recordingFolder.add(recorder, 'speed', 0.1, 4.0, 0.1).name('Playback Speed');
+
+    // Export as a binary file: JSON header (model name, nq/nv/nu, timestep) + float64 frames
+    recordingFolder.add({export: () => {
+      let blob = new Blob([recorder.toArrayBuffer()], { type: 'application/octet-stream' });
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'recording.mjtraj';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }}, 'export').name('Export Recording');
+    let importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.mjtraj';
+    importInput.addEventListener('change', async () => {
+      if (importInput.files.length === 0) { return; }
+      try {
+        parentContext.params.recording = false;
+        // The Frames controller shows how many frames were imported
+        recorder.loadArrayBuffer(await importInput.files[0].arrayBuffer());
+        replayGUI.setValue(true);
+      } catch (error) {
+        console.error("Failed to import recording:", error);
+      }
+      importInput.value = '';
+    });
+    recordingFolder.add({import: () => { importInput.click(); }}, 'import').name('Import Recording');
+
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      params.recording = false;
+      params.replaying = false;
+      recorder.attach(model, simulation);
+      updateTimeline();
+    });
+    if (parentContext.physicsWorker) {
+      // Recording and replay work on the page's physics steps, which the worker takes over
+      recordingFolder.controllersRecursive().forEach((controller) => controller.disable());
+    }
+    recordingFolder.close();
+  }
+
+  // Add video capture: real-time WebM, or a PNG sequence stepped at exact frame intervals.
+  if (parentContext.videoCapture) {
+    let capture = parentContext.videoCapture;
+    let videoFolder = parentContext.gui.addFolder("Video");
+    let download = (blob, name) => {
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    };
+    let fpsGUI = videoFolder.add(capture, 'fps', 10, 60, 1).name('Frame Rate');
+    let toggles = { video: false, frames: false };
+    let videoGUI = videoFolder.add(toggles, 'video').name('Record WebM').onChange(async (value) => {
+      if (value) {
+        capture.startVideo();
+      } else {
+        download(await capture.stopVideo(), 'capture.webm');
+      }
+      fpsGUI.enable(!toggles.video && !toggles.frames);
+    });
+    videoGUI.enable(VideoCapture.isVideoSupported());
+    // Frames are encoded as they are rendered, and zipped when the capture stops
+    let framesGUI = videoFolder.add(toggles, 'frames').name('Capture PNG Frames').onChange(async (value) => {
+      if (value) {
+        capture.startFrames();
+      } else {
+        try {
+          download(await capture.stopFrames(), 'frames.zip');
+        } catch (error) {
+          console.error("Failed to export frames:", error);
+        }
+      }
+      fpsGUI.enable(!toggles.video && !toggles.frames);
+    });
+    // Frame-exact capture steps the physics by one video frame per rendered frame, which a worker does not
+    framesGUI.enable(!parentContext.physicsWorker);
+    videoFolder.add(capture, 'frames').name('Frames').disable().listen();
+    videoFolder.close();
+  }
+
+  // Add the sensor telemetry panel: every sensor by name and type, each one
+  // can be added to the rolling plots drawn by SensorPlotPanel.
+  if (parentContext.telemetry) {
+    let telemetry = parentContext.telemetry;
+    let plots = parentContext.sensorPlots;
+    let telemetryFolder = parentContext.gui.addFolder("Telemetry");
+    telemetryFolder.add(telemetry, 'paused').name('Pause');
+    telemetryFolder.add(plots, 'autoscale').name('Autoscale').onChange((value) => {
+      minGUI.enable(!value);
+      maxGUI.enable(!value);
+    });
+    let minGUI = telemetryFolder.add(plots, 'min').name('Min').disable();
+    let maxGUI = telemetryFolder.add(plots, 'max').name('Max').disable();
+    telemetryFolder.add({clear: () => { telemetry.clear(); }}, 'clear').name('Clear');
+    telemetryFolder.add({export: () => {
+      let blob = new Blob([telemetry.toCSV()], { type: 'text/csv' });
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'telemetry.csv';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }}, 'export').name('Export CSV');
+
+    let sensorFolder = telemetryFolder.addFolder("Sensors");
+    const addSensors = () => {
+      if (telemetry.sensors.length === 0) {
+        return [sensorFolder.add({ none: "" }, 'none').name('No sensors in model').disable()];
+      }
+      return telemetry.sensors.map((sensor) => {
+        let plotted = { plot: telemetry.plotted.has(sensor.id) };
+        return sensorFolder.add(plotted, 'plot').name(sensor.name + " (" + sensor.type + ")").onChange((value) => {
+          if (value) { telemetry.plotted.add(sensor.id); } else { telemetry.plotted.delete(sensor.id); }
+        });
+      });
+    };
+    let sensorGUIs = addSensors();
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      telemetry.attach(model, simulation);
+      for (let i = 0; i < sensorGUIs.length; i++) { sensorGUIs[i].destroy(); }
+      sensorGUIs = addSensors();
+    });
+    telemetryFolder.close();
+  }
+
+  // Add contact visualization: points, normals and force arrows, optionally
+  // limited to the contacts of one geom or body (e.g. a Go1 foot).
+  if (parentContext.contactVisualizer) {
+    let contacts = parentContext.contactVisualizer;
+    let contactFolder = parentContext.gui.addFolder("Contacts");
+    contactFolder.add(contacts, 'enabled').name('Show Contacts');
+    contactFolder.add(contacts, 'showPoints').name('Points');
+    contactFolder.add(contacts, 'showNormals').name('Normals');
+    contactFolder.add(contacts, 'showForces').name('Forces');
+    contactFolder.add(contacts, 'forceScale', 0.0002, 0.01, 0.0002).name('Force Scale (m/N)');
+    let geomFilterGUI = contactFolder.add(contacts, 'geomFilter', contacts.getGeomOptions()).name('Geom');
+    let bodyFilterGUI = contactFolder.add(contacts, 'bodyFilter', contacts.getBodyOptions()).name('Body');
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      contacts.attach(model, parentContext.physicsWorker || simulation);
+      geomFilterGUI = geomFilterGUI.options(contacts.getGeomOptions());
+      bodyFilterGUI = bodyFilterGUI.options(contacts.getBodyOptions());
+    });
+    contactFolder.close();
+  }
+
+  // Add physics options: changes are written into the model and apply from the
+  // next step, e.g. to compare integrators without editing the XML.
+  if (parentContext.physicsOptions) {
+    let physics = parentContext.physicsOptions;
+    let physicsFolder = parentContext.gui.addFolder("Physics");
+    const apply = () => { physics.apply(); };
+    physicsFolder.add(physics, 'timestep', 0.0001, 0.02, 0.0001).name('Timestep (s)').onChange(apply);
+    physicsFolder.add(physics, 'integrator', physics.integrators).name('Integrator').onChange(apply);
+    physicsFolder.add(physics, 'cone'      , physics.cones      ).name('Friction Cone').onChange(apply);
+    physicsFolder.add(physics, 'solver'    , physics.solvers    ).name('Solver').onChange(apply);
+    physicsFolder.add(physics, 'iterations', 1, 1000, 1).name('Iterations').onChange(apply);
+    physicsFolder.add(physics, 'tolerance' , 0, 1e-4, 1e-10).name('Tolerance').onChange(apply);
+    for (const axis of ['x', 'y', 'z']) {
+      physicsFolder.add(physics.gravity, axis, -20, 20, 0.01).name('Gravity ' + axis.toUpperCase()).onChange(apply);
+    }
+    for (const axis of ['x', 'y', 'z']) {
+      physicsFolder.add(physics.wind, axis, -20, 20, 0.01).name('Wind ' + axis.toUpperCase()).onChange(apply);
+    }
+    physicsFolder.add(physics, 'density'  , 0, 1500, 0.1 ).name('Density').onChange(apply);
+    physicsFolder.add(physics, 'viscosity', 0, 1   , 1e-5).name('Viscosity').onChange(apply);
+    let disableFolder = physicsFolder.addFolder("Disable Flags");
+    for (const name of Object.keys(physics.disabled)) {
+      disableFolder.add(physics.disabled, name).name(name).onChange(apply);
+    }
+    disableFolder.close();
+    let enableFolder = physicsFolder.addFolder("Enable Flags");
+    for (const name of Object.keys(physics.enabled)) {
+      enableFolder.add(physics.enabled, name).name(name).onChange(apply);
+    }
+    enableFolder.close();
+    physicsFolder.add({reset: () => {
+      physics.reset();
+      physicsFolder.controllersRecursive().forEach((controller) => controller.updateDisplay());
+    }}, 'reset').name('Reset to Model');
+    if (!physics.supported) {
+      // This build of the bindings can read the options, but not write them
+      physicsFolder.controllersRecursive().forEach((controller) => controller.disable());
+    }
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      physics.attach(model);
+      physicsFolder.controllersRecursive().forEach((controller) => controller.updateDisplay());
+    });
+    physicsFolder.close();
+  }
+
+  // Add model parameter editing and domain randomization: values are checked
+  // against MuJoCo's limits, and randomized parameters are resampled on reset.
+  if (parentContext.modelParameters) {
+    let parameters = parentContext.modelParameters;
+    let parametersFolder = parentContext.gui.addFolder("Model Parameters");
+    parametersFolder.add({restore: () => { parameters.restore(); }}, 'restore').name('Restore Compiled Values');
+
+    // Edit one object's values; the object dropdown and value fields are rebuilt for each parameter
+    let editFolder = parametersFolder.addFolder("Edit");
+    let editor = { parameter: "body_mass", object: 0 };
+    let values = {};
+    let objectGUI, valueGUIs = [];
+    const addValues = () => {
+      valueGUIs.forEach((valueGUI) => valueGUI.destroy());
+      valueGUIs = [];
+      if (parameters.count(editor.parameter) === 0) { return; }
+      parameters.get(editor.parameter, editor.object).forEach((value, c) => {
+        values[c] = value;
+        valueGUIs.push(editFolder.add(values, c).name(editor.parameter + "[" + c + "]").onFinishChange(() => {
+          try {
+            parameters.set(editor.parameter, editor.object, valueGUIs.map((valueGUI, i) => values[i]));
+          } catch (error) {
+            console.error(error);
+            refreshValues();
+          }
+        }));
+      });
+    };
+    const refreshValues = () => {
+      if (parameters.count(editor.parameter) === 0) { return; }
+      parameters.get(editor.parameter, editor.object).forEach((value, c) => { values[c] = value; });
+      valueGUIs.forEach((valueGUI) => valueGUI.updateDisplay());
+    };
+    const addObjects = () => {
+      if (objectGUI) { objectGUI.destroy(); }
+      editor.object = 0;
+      objectGUI = editFolder.add(editor, 'object', parameters.getObjectOptions(editor.parameter)).name('Object')
+        .onChange(addValues);
+      addValues();
+    };
+    editFolder.add(editor, 'parameter', Object.keys(MODEL_PARAMETERS)).name('Parameter').onChange(addObjects);
+    addObjects();
+
+    let randomizeFolder = parametersFolder.addFolder("Randomization");
+    randomizeFolder.add(parameters, 'randomizeOnReset').name('Randomize on Reset');
+    randomizeFolder.add({randomize: () => { parameters.randomize(); }}, 'randomize').name('Randomize Now');
+    for (const name of Object.keys(MODEL_PARAMETERS)) {
+      let rangeFolder = randomizeFolder.addFolder(name);
+      rangeFolder.add(parameters.randomization[name], 'enabled').name('Randomize');
+      rangeFolder.add(parameters.randomization[name], 'min', 0, 2, 0.01).name('Min Scale');
+      rangeFolder.add(parameters.randomization[name], 'max', 0, 2, 0.01).name('Max Scale');
+      rangeFolder.close();
+    }
+    randomizeFolder.close();
+
+    // Edits, restores and randomization all end in a "change" event
+    parameters.addEventListener('change', () => {
+      refreshValues();
+      updateGeomColors(parentContext);
+      updateGeomSizes(parentContext);
+    });
+    parentContext.updateGUICallbacks.push((model, simulation, params) => {
+      parameters.attach(model, simulation);
+      addObjects();
+    });
+    parametersFolder.close();
+  }
+
+  // Add camera modes like simulate: the free camera, a tracking camera that
+  // follows a body, and every camera defined in the model.
+  let cameraController = parentContext.cameraController;
+  let cameraFolder = parentContext.gui.addFolder("Camera");
+  let trackBodyGUI;
+  const addCameraModes = () => cameraFolder.add(cameraController, 'mode', cameraController.getModeOptions())
+    .name('Mode').listen().onChange((value) => {
+      cameraController.setMode(value);
+      trackBodyGUI.enable(value === CAMERA_TRACKING);
+    });
+  const addTrackBodies = () => cameraFolder.add(cameraController, 'trackBody', cameraController.getBodyOptions())
+    .name('Track Body').enable(cameraController.mode === CAMERA_TRACKING).onChange(() => {
+      cameraController.getTrackPoint(cameraController.trackPoint);
+    });
+  let cameraModeGUI = addCameraModes();
+  trackBodyGUI = addTrackBodies();
+  cameraFolder.add({reset: () => {
+    cameraController.setMode(CAMERA_FREE);
+    cameraController.resetFree();
+  }}, 'reset').name('Reset Free Camera');
+
+  // Picture-in-picture view of a model camera, as seen by renderCamera()
+  const getModelCameras = () => {
+    let options = cameraController.getModeOptions();
+    delete options["Free"];
+    delete options["Tracking"];
+    return options;
+  };
+  let pipGUI = cameraFolder.add(parentContext.params, 'pipEnabled').name('Picture-in-Picture');
+  let pipCameraGUI = cameraFolder.add(parentContext.params, 'pipCamera', getModelCameras()).name('PiP Camera');
+  const updatePiP = (model) => {
+    if (model.ncam === 0) { parentContext.params.pipEnabled = false; }
+    parentContext.params.pipCamera = Math.min(parentContext.params.pipCamera, Math.max(0, model.ncam - 1));
+    pipGUI.enable(model.ncam > 0).updateDisplay();
+  };
+  updatePiP(parentContext.model);
+  parentContext.updateGUICallbacks.push((model, simulation, params) => {
+    cameraModeGUI.destroy();
+    trackBodyGUI.destroy();
+    cameraModeGUI = addCameraModes();
+    trackBodyGUI = addTrackBodies();
+    parentContext.cameraSensor.attach(model, simulation);
+    updatePiP(model);
+    pipCameraGUI = pipCameraGUI.options(getModelCameras());
+  });
+  cameraFolder.close();
+
   // Add keyframe slider.
   let nkeys = parentContext.model.nkey;
   let keyframeGUI = simulationFolder.add(parentContext.params, "keyframeNumber", 0, nkeys - 1, 1).name('Load Keyframe').listen();
   keyframeGUI.onChange((value) => {
     if (value < parentContext.model.nkey) {
       parentContext.simulation.qpos.set(parentContext.model.key_qpos.slice(
-        value * parentContext.model.nq, (value + 1) * parentContext.model.nq)); }});
+        value * parentContext.model.nq, (value + 1) * parentContext.model.nq));
+      if (parentContext.physicsWorker) { parentContext.physicsWorker.loadKeyframe(value); } }});
   parentContext.updateGUICallbacks.push((model, simulation, params) => {
     let nkeys = parentContext.model.nkey;
     console.log("new model loaded. has " + nkeys + " keyframes.");
@@ -263,11 +802,9 @@ export function setupGUI(parentContext) {
   });
 
   // Add sliders for ctrlnoiserate and ctrlnoisestd; min = 0, max = 2, step = 0.01.
-  simulationFolder.add(parentContext.params, 'ctrlnoiserate', 0.0, 2.0, 0.01).name('Noise rate' );
-  simulationFolder.add(parentContext.params, 'ctrlnoisestd' , 0.0, 2.0, 0.01).name('Noise scale');
-
-  let textDecoder = new TextDecoder("utf-8");
-  let nullChar    = textDecoder.decode(new ArrayBuffer(1));
+  // Noise is added in the page's physics steps, so it is not available with a physics worker.
+  simulationFolder.add(parentContext.params, 'ctrlnoiserate', 0.0, 2.0, 0.01).name('Noise rate' ).enable(!parentContext.physicsWorker);
+  simulationFolder.add(parentContext.params, 'ctrlnoisestd' , 0.0, 2.0, 0.01).name('Noise scale').enable(!parentContext.physicsWorker);
 
   // Add actuator sliders.
   let actuatorFolder = simulationFolder.addFolder("Actuators");
@@ -276,9 +813,7 @@ export function setupGUI(parentContext) {
     let actuatorGUIs = [];
     for (let i = 0; i < model.nu; i++) {
       if (!model.actuator_ctrllimited[i]) { continue; }
-      let name = textDecoder.decode(
-        parentContext.model.names.subarray(
-          parentContext.model.name_actuatoradr[i])).split(nullChar)[0];
+      let name = model.name("actuator", i) || "actuator " + i;
 
       parentContext.params[name] = 0.0;
       let actuatorGUI = actuatorFolder.add(parentContext.params, name, act_range[2 * i], act_range[2 * i + 1], 0.01).name(name).listen();
@@ -302,10 +837,8 @@ export function setupGUI(parentContext) {
   // Can be triggered by pressing ctrl + A.
   document.addEventListener('keydown', (event) => {
     if (event.ctrlKey && event.code === 'KeyA') {
-      // TODO: Use free camera parameters from MuJoCo
-      parentContext.camera.position.set(2.0, 1.7, 1.7);
-      parentContext.controls.target.set(0, 0.7, 0);
-      parentContext.controls.update(); 
+      parentContext.cameraController.setMode(CAMERA_FREE);
+      parentContext.cameraController.resetFree();
       event.preventDefault();
     }
   });
@@ -342,19 +875,6 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
         let state = parent.state;
         let simulation = parent.simulation;
     
-        // Decode the null-terminated string names.
-        let textDecoder = new TextDecoder("utf-8");
-        
-        // Verify names array is valid
-        if (!model.names || model.names.byteLength === 0) {
-            console.error("Error: model.names is invalid or empty");
-            throw new Error("Invalid model.names array");
-        }
-        
-        let names_array = new Uint8Array(model.names);
-        let fullString = textDecoder.decode(model.names);
-        let names = fullString.split(textDecoder.decode(new ArrayBuffer(1)));
-    
         // Create the root object.
         let mujocoRoot = new THREE.Group();
         mujocoRoot.name = "MuJoCo Root"
@@ -364,6 +884,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
         let bodies = {};
         /** @type {Object.<number, THREE.BufferGeometry>} */
         let meshes = {};
+        /** @type {Object.<number, THREE.BufferGeometry>} */
+        let heightfields = {};
         /** @type {THREE.Light[]} */
         let lights = [];
     
@@ -389,15 +911,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
           if (!(b in bodies)) {
             try {
                 bodies[b] = new THREE.Group();
-                
-                let start_idx = model.name_bodyadr[b];
-                let end_idx = start_idx;
-                while (end_idx < names_array.length && names_array[end_idx] !== 0) {
-                  end_idx++;
-                }
-                let name_buffer = names_array.subarray(start_idx, end_idx);
-                bodies[b].name = textDecoder.decode(name_buffer);
-                
+                bodies[b].name = model.name("body", b);
                 bodies[b].bodyID = b;
                 bodies[b].has_custom_mesh = false;
             } catch (e) {
@@ -409,22 +923,15 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
             }
           }
 
-          // Set the default geometry. In MuJoCo, this is a sphere.
-          let geometry = new THREE.SphereGeometry(size[0] * 0.5);
+          let geometry = createPrimitiveGeometry(mujoco, type, size);
           if (type == mujoco.mjtGeom.mjGEOM_PLANE.value) {
             // Special handling for plane later.
           } else if (type == mujoco.mjtGeom.mjGEOM_HFIELD.value) {
-            // TODO: Implement this.
-          } else if (type == mujoco.mjtGeom.mjGEOM_SPHERE.value) {
-            geometry = new THREE.SphereGeometry(size[0]);
-          } else if (type == mujoco.mjtGeom.mjGEOM_CAPSULE.value) {
-            geometry = new THREE.CapsuleGeometry(size[0], size[1] * 2.0, 20, 20);
-          } else if (type == mujoco.mjtGeom.mjGEOM_ELLIPSOID.value) {
-            geometry = new THREE.SphereGeometry(1); // Stretch this below
-          } else if (type == mujoco.mjtGeom.mjGEOM_CYLINDER.value) {
-            geometry = new THREE.CylinderGeometry(size[0], size[0], size[1] * 2.0);
-          } else if (type == mujoco.mjtGeom.mjGEOM_BOX.value) {
-            geometry = new THREE.BoxGeometry(size[0] * 2.0, size[2] * 2.0, size[1] * 2.0);
+            let hfieldID = model.geom_dataid[g];
+            if (!(hfieldID in heightfields)) {
+              heightfields[hfieldID] = createHeightfieldGeometry(model, hfieldID);
+            }
+            geometry = heightfields[hfieldID];
           } else if (type == mujoco.mjtGeom.mjGEOM_MESH.value) {
             let meshID = model.geom_dataid[g];
 
@@ -501,7 +1008,20 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
                 rgbaArray[(p * 4) + 3] = 1.0;
               }
               texture = new THREE.DataTexture(rgbaArray, width, height, THREE.RGBAFormat, THREE.UnsignedByteType);
-              if (texId == 2) {
+              if (type == mujoco.mjtGeom.mjGEOM_HFIELD.value) {
+                // Heightfield UVs span [0, 1]; texuniform repeats per unit length instead
+                let hfieldID = model.geom_dataid[g];
+                let repeat = new THREE.Vector2(
+                  model.mat_texrepeat[(matId * 2) + 0],
+                  model.mat_texrepeat[(matId * 2) + 1]);
+                if (model.mat_texuniform[matId]) {
+                  repeat.x *= model.hfield_size[(hfieldID * 4) + 0] * 2.0;
+                  repeat.y *= model.hfield_size[(hfieldID * 4) + 1] * 2.0;
+                }
+                texture.repeat = repeat;
+                texture.wrapS = THREE.RepeatWrapping;
+                texture.wrapT = THREE.RepeatWrapping;
+              } else if (texId == 2) {
                 texture.repeat = new THREE.Vector2(50, 50);
                 texture.wrapS = THREE.RepeatWrapping;
                 texture.wrapT = THREE.RepeatWrapping;
@@ -540,13 +1060,34 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
             mesh = new THREE.Mesh(geometry, material);
           }
 
+          // MuJoCo extrudes heightfields down to a solid base of depth size[3].
+          if (type == mujoco.mjtGeom.mjGEOM_HFIELD.value) {
+            let hfieldID = model.geom_dataid[g];
+            let baseDepth = model.hfield_size[(hfieldID * 4) + 3];
+            if (baseDepth > 0) {
+              let base = new THREE.Mesh(new THREE.BoxGeometry(
+                model.hfield_size[(hfieldID * 4) + 0] * 2.0, baseDepth,
+                model.hfield_size[(hfieldID * 4) + 1] * 2.0), material);
+              base.position.set(0, -baseDepth * 0.5, 0);
+              base.receiveShadow = true;
+              base.bodyID = b;
+              base.geomID = g;
+              mesh.add(base);
+            }
+          }
+
           mesh.castShadow = g == 0 ? false : true;
           mesh.receiveShadow = type != 7;
           mesh.bodyID = b;
+          mesh.geomID = g;
           bodies[b].add(mesh);
           getPosition  (model.geom_pos, g, mesh.position  );
           if (type != 0) { getQuaternion(model.geom_quat, g, mesh.quaternion); }
           if (type == 4) { mesh.scale.set(size[0], size[2], size[1]) } // Stretch the Ellipsoid
+          if (type != mujoco.mjtGeom.mjGEOM_PLANE.value && type != mujoco.mjtGeom.mjGEOM_HFIELD.value &&
+              type != mujoco.mjtGeom.mjGEOM_MESH.value) {
+            mesh.geomSize = size; // What the geometry was built for; updateGeomSizes() rebuilds it when geom_size changes
+          }
         }
 
         // Parse tendons.
@@ -602,120 +1143,182 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
             bodies[0].add(bodies[b]);
           } else {
             console.log("Body without Geometry detected; adding to bodies", b, bodies[b]);
-            bodies[b] = new THREE.Group(); bodies[b].name = names[b + 1]; bodies[b].bodyID = b; bodies[b].has_custom_mesh = false;
+            bodies[b] = new THREE.Group(); bodies[b].name = model.name("body", b); bodies[b].bodyID = b; bodies[b].has_custom_mesh = false;
             bodies[0].add(bodies[b]);
           }
         }
       
+        mujocoRoot.heightfields = heightfields;
         parent.mujocoRoot = mujocoRoot;
 
         return [model, state, simulation, bodies, lights]
     } catch (e) {
-        console.error("Error loading scene from URL:", e);
-        return null;
+        // Name the scene in the message; the error keeps its type (e.g. MuJoCoError)
+        e.message = "Could not load scene " + filename + ": " + e.message;
+        throw e;
     }
 }
 
-/** Downloads the scenes/examples folder to MuJoCo's virtual filesystem
- * @param {mujoco} mujoco */
-export async function downloadExampleScenesFolder(mujoco) {
-  let allFiles = [ 
-    "living_room.xml",
-    "unitree_go1/scene.xml",
-    "unitree_go1/go1.xml",
-    "unitree_go1/go1.png",
-    "unitree_go1/assets/trunk.stl",
-    "unitree_go1/assets/hip.stl",
-    "unitree_go1/assets/thigh_mirror.stl",
-    "unitree_go1/assets/calf.stl",
-    "unitree_go1/assets/thigh.stl",
-    "unitree_go1/assets/simple_ball.obj",
-    "unitree_go1/assets/simple_sofa.obj",
-    "22_humanoids.xml",
-    "adhesion.xml",
-    "agility_cassie/assets/achilles-rod.obj",
-    "agility_cassie/assets/cassie-texture.png",
-    "agility_cassie/assets/foot-crank.obj",
-    "agility_cassie/assets/foot.obj",
-    "agility_cassie/assets/heel-spring.obj",
-    "agility_cassie/assets/hip-pitch.obj",
-    "agility_cassie/assets/hip-roll.obj",
-    "agility_cassie/assets/hip-yaw.obj",
-    "agility_cassie/assets/knee-spring.obj",
-    "agility_cassie/assets/knee.obj",
-    "agility_cassie/assets/pelvis.obj",
-    "agility_cassie/assets/plantar-rod.obj",
-    "agility_cassie/assets/shin.obj",
-    "agility_cassie/assets/tarsus.obj",
-    "agility_cassie/cassie.xml",
-    "agility_cassie/scene.xml",
-    "arm26.xml",
-    "balloons.xml",
-    "flag.xml",
-    "hammock.xml",
-    "humanoid.xml",
-    "humanoid_body.xml",
-    "mug.obj",
-    "mug.png",
-    "mug.xml",
-    "scene.xml",
-    "shadow_hand/assets/f_distal_pst.obj",
-    "shadow_hand/assets/f_knuckle.obj",
-    "shadow_hand/assets/f_middle.obj",
-    "shadow_hand/assets/f_proximal.obj",
-    "shadow_hand/assets/forearm_0.obj",
-    "shadow_hand/assets/forearm_1.obj",
-    "shadow_hand/assets/forearm_collision.obj",
-    "shadow_hand/assets/lf_metacarpal.obj",
-    "shadow_hand/assets/mounting_plate.obj",
-    "shadow_hand/assets/palm.obj",
-    "shadow_hand/assets/th_distal_pst.obj",
-    "shadow_hand/assets/th_middle.obj",
-    "shadow_hand/assets/th_proximal.obj",
-    "shadow_hand/assets/wrist.obj",
-    "shadow_hand/left_hand.xml",
-    "shadow_hand/right_hand.xml",
-    "shadow_hand/scene_left.xml",
-    "shadow_hand/scene_right.xml",
-    "simple.xml",
-    "slider_crank.xml",
-    "model_with_tendon.xml",
-  ];
-
-  console.log("Downloading files to MuJoCo virtual filesystem, including:", allFiles.slice(0, 10));
-
-  let requests = allFiles.map((url) => {
-    console.log("Fetching:", "./examples/scenes/" + url);
-    return fetch("./examples/scenes/" + url);
-  });
-  
-  let responses = await Promise.all(requests);
-  for (let i = 0; i < responses.length; i++) {
-      let split = allFiles[i].split("/");
-      let working = '/working/';
-      for (let f = 0; f < split.length - 1; f++) {
-          working += split[f];
-          if (!mujoco.FS.analyzePath(working).exists) { mujoco.FS.mkdir(working); }
-          working += "/";
-      }
+/** Builds the surface of a MuJoCo heightfield as an indexed grid in the geom's frame
+ * @param {mujoco.Model} model
+ * @param {number} hfieldID
+ * @returns {THREE.BufferGeometry} */
+export function createHeightfieldGeometry(model, hfieldID) {
+  let nrow = model.hfield_nrow[hfieldID];
+  let ncol = model.hfield_ncol[hfieldID];
 
-      if (allFiles[i] === "living_room.xml") {
-        console.log("Writing living_room.xml to MuJoCo filesystem");
-      }
+  let geometry = new THREE.BufferGeometry();
+  let uv_buffer = new Float32Array(nrow * ncol * 2);
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < ncol; c++) {
+      uv_buffer[((r * ncol) + c) * 2 + 0] = c / (ncol - 1);
+      uv_buffer[((r * ncol) + c) * 2 + 1] = r / (nrow - 1);
+    }
+  }
 
-      if (allFiles[i].endsWith(".png") || allFiles[i].endsWith(".stl") || allFiles[i].endsWith(".skn")) {
-          mujoco.FS.writeFile("/working/" + allFiles[i], new Uint8Array(await responses[i].arrayBuffer()));
-      } else {
-          mujoco.FS.writeFile("/working/" + allFiles[i], await responses[i].text());
-      }
-      
-      if (allFiles[i] === "living_room.xml") {
-        console.log("Successfully wrote living_room.xml to MuJoCo filesystem");
-        // Verify it exists
-        let exists = mujoco.FS.analyzePath("/working/living_room.xml").exists;
-        console.log("Verification - living_room.xml exists:", exists);
-      }
+  // Two triangles per grid cell, wound counter-clockwise when seen from above.
+  let triangle_buffer = new Uint32Array((nrow - 1) * (ncol - 1) * 6);
+  let t = 0;
+  for (let r = 0; r < nrow - 1; r++) {
+    for (let c = 0; c < ncol - 1; c++) {
+      let a = (r * ncol) + c, b = a + 1, d = a + ncol, e = d + 1;
+      triangle_buffer[t++] = a; triangle_buffer[t++] = b; triangle_buffer[t++] = e;
+      triangle_buffer[t++] = a; triangle_buffer[t++] = e; triangle_buffer[t++] = d;
+    }
+  }
+
+  geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(nrow * ncol * 3), 3));
+  geometry.setAttribute("uv"      , new THREE.BufferAttribute(uv_buffer, 2));
+  geometry.setIndex    (new THREE.BufferAttribute(triangle_buffer, 1));
+  return updateHeightfieldGeometry(model, hfieldID, geometry);
+}
+
+/** Rewrites the vertex heights and normals of a heightfield geometry from model.hfield_data
+ * @param {mujoco.Model} model
+ * @param {number} hfieldID
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {THREE.BufferGeometry} */
+export function updateHeightfieldGeometry(model, hfieldID, geometry) {
+  let nrow = model.hfield_nrow[hfieldID];
+  let ncol = model.hfield_ncol[hfieldID];
+  let adr  = model.hfield_adr [hfieldID];
+  let size = model.hfield_size.subarray(hfieldID * 4, (hfieldID * 4) + 4);
+  let data = model.hfield_data;
+
+  // Rows run along MuJoCo's y axis and columns along x; elevations are normalized to [0, 1].
+  let vertex_buffer = geometry.getAttribute("position");
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < ncol; c++) {
+      let i = (r * ncol) + c;
+      let x = ((c / (ncol - 1)) * 2.0 - 1.0) * size[0];
+      let y = ((r / (nrow - 1)) * 2.0 - 1.0) * size[1];
+      let z = data[adr + i] * size[2];
+      vertex_buffer.setXYZ(i, x, z, -y);
+    }
+  }
+  vertex_buffer.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+/** Fetches the manifest of example scenes: their display names, MJCF files and the assets they need.
+ * @returns {Promise<{scenes: {name: string, file: string, assets: string[]}[]}>} */
+export async function loadSceneManifest(url = "./examples/scenes/manifest.json") {
+  let response = await fetch(url);
+  if (!response.ok) {
+    throw new Error("Could not fetch the scene manifest " + url + ": " + response.status + " " + response.statusText);
   }
+  let manifest = await response.json();
+  if (!Array.isArray(manifest.scenes)) { throw new Error("The scene manifest " + url + " has no scenes list"); }
+  for (let scene of manifest.scenes) {
+    if (typeof scene.file !== "string") { throw new Error("A scene in " + url + " has no file"); }
+    scene.name   = scene.name   || scene.file;
+    scene.assets = scene.assets || [];
+  }
+  return manifest;
+}
+
+/** Downloads the files of a scene in the manifest into /working, skipping files that are already there.
+ * Files that fail to download are reported together, and never written in place of the real file. */
+export async function downloadSceneFiles(mujoco, manifest, file, baseURL = "./examples/scenes/") {
+  let scene = manifest.scenes.find((scene) => scene.file === file);
+  if (!scene) { throw new Error("Scene " + file + " is not in the scene manifest"); }
+
+  let paths = [scene.file, ...scene.assets].filter((path) => !mujoco.FS.analyzePath("/working/" + path).exists);
+  let responses = await Promise.all(paths.map((path) => fetch(baseURL + path).catch((error) => error)));
+  let files = [], missing = [];
+  for (let i = 0; i < paths.length; i++) {
+    let response = responses[i];
+    if (response instanceof Error || !response.ok) {
+      missing.push(paths[i] + " (" + (response instanceof Error ? response.message : response.status + " " + response.statusText) + ")");
+    } else {
+      files.push({ name: paths[i], data: new Uint8Array(await response.arrayBuffer()) });
+    }
+  }
+  writeFiles(mujoco, files);
+  if (missing.length > 0) {
+    throw new Error("Could not download the files of " + scene.name + ":\n  " + missing.join("\n  "));
+  }
+}
+
+/** @returns {THREE.BufferGeometry} The geometry of a primitive geom of a size, in three.js axes.
+ * Ellipsoids are unit spheres stretched by the mesh's scale; other types get the default sphere. */
+function createPrimitiveGeometry(mujoco, type, size) {
+  if (type == mujoco.mjtGeom.mjGEOM_SPHERE.value) {
+    return new THREE.SphereGeometry(size[0]);
+  } else if (type == mujoco.mjtGeom.mjGEOM_CAPSULE.value) {
+    return new THREE.CapsuleGeometry(size[0], size[1] * 2.0, 20, 20);
+  } else if (type == mujoco.mjtGeom.mjGEOM_ELLIPSOID.value) {
+    return new THREE.SphereGeometry(1);
+  } else if (type == mujoco.mjtGeom.mjGEOM_CYLINDER.value) {
+    return new THREE.CylinderGeometry(size[0], size[0], size[1] * 2.0);
+  } else if (type == mujoco.mjtGeom.mjGEOM_BOX.value) {
+    return new THREE.BoxGeometry(size[0] * 2.0, size[2] * 2.0, size[1] * 2.0);
+  }
+  // The default geometry. In MuJoCo, this is a sphere.
+  return new THREE.SphereGeometry(size[0] * 0.5);
+}
+
+/** Shows edited geom_size values on primitive geoms, whose meshes were built for their compiled size */
+function updateGeomSizes(parentContext) {
+  let model = parentContext.model, mujoco = parentContext.mujoco;
+  let root = parentContext.scene.getObjectByName("MuJoCo Root");
+  if (!root) { return; }
+  root.traverse((mesh) => {
+    let g = mesh.geomID;
+    if (g === undefined || !mesh.geomSize) { return; }
+    let size = Array.from(model.geom_size.subarray(g * 3, g * 3 + 3));
+    if (size.every((value, i) => value === mesh.geomSize[i])) { return; }
+    mesh.geomSize = size;
+    let type = model.geom_type[g];
+    if (type == mujoco.mjtGeom.mjGEOM_ELLIPSOID.value) {
+      mesh.scale.set(size[0], size[2], size[1]);
+      return;
+    }
+    mesh.geometry.dispose();
+    mesh.geometry = createPrimitiveGeometry(mujoco, type, size);
+  });
+}
+
+/** Shows edited geom_rgba values on geoms without a material, which take their color from the model.
+ * Geoms share materials when they look alike, so a geom gets its own copy before it is recolored. */
+function updateGeomColors(parentContext) {
+  let model = parentContext.model;
+  let root = parentContext.scene.getObjectByName("MuJoCo Root");
+  if (!root) { return; }
+  root.traverse((mesh) => {
+    let g = mesh.geomID;
+    if (g === undefined || model.geom_matid[g] !== -1 || !mesh.material || !mesh.material.color) { return; }
+    let rgba = model.geom_rgba.subarray(g * 4, g * 4 + 4);
+    let material = mesh.material;
+    if (material.color.r === rgba[0] && material.color.g === rgba[1] &&
+        material.color.b === rgba[2] && material.opacity === rgba[3]) { return; }
+    if (!mesh.ownMaterial) { mesh.material = material = material.clone(); mesh.ownMaterial = true; }
+    material.color.setRGB(rgba[0], rgba[1], rgba[2]);
+    material.opacity = rgba[3];
+    material.transparent = rgba[3] < 1.0;
+  });
 }
 
 /** Access the vector at index, swizzle for three.js, and apply to the target THREE.Vector3
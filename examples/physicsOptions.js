@@ -0,0 +1,101 @@
+// Live editing of the model's physics options (mjOption): timestep, gravity, integrator, solver, flags
+
+/** @returns {Object<string, number>} Dropdown options for an enum of the MuJoCo module,
+ * named by its values without the prefix, e.g. { "Euler": 0, "RK4": 1, "Implicit": 2 } */
+function getEnumOptions(mujocoEnum, prefix) {
+    const options = {};
+    for (const key of Object.keys(mujocoEnum || {})) {
+        if (!key.startsWith(prefix)) { continue; }
+        const name = key.slice(prefix.length);
+        options[name.length <= 3 ? name : name[0] + name.slice(1).toLowerCase()] = mujocoEnum[key].value;
+    }
+    return options;
+}
+
+/** @returns {Object<string, number>} Bits of an mjtDisableBit or mjtEnableBit enum by their name without the prefix */
+function getFlagBits(mujocoEnum, prefix) {
+    const bits = {};
+    for (const key of Object.keys(mujocoEnum || {})) {
+        if (key.startsWith(prefix)) { bits[key.slice(prefix.length)] = mujocoEnum[key].value; }
+    }
+    return bits;
+}
+
+/** Copies a 3-vector of mjOption into an {x, y, z} field; builds without the array fields read as zeros */
+function readVector(target, array = [0, 0, 0]) {
+    target.x = array[0]; target.y = array[1]; target.z = array[2];
+}
+
+/** Editable copy of model.getOptions(). Change the fields, e.g. from the GUI, and call apply()
+ * to write them into the model; simulations of the model use them from their next step, and a
+ * "change" event follows. Vectors are in MuJoCo's frame (z up). There are no DOM dependencies. */
+export class PhysicsOptions extends EventTarget {
+    constructor(mujoco, model) {
+        super();
+        /** Builds without Model.setOptions can show the options, but not change them */
+        this.supported = typeof mujoco.Model.prototype.setOptions === 'function';
+        this.integrators = getEnumOptions(mujoco.mjtIntegrator, "mjINT_");
+        this.cones       = getEnumOptions(mujoco.mjtCone      , "mjCONE_");
+        this.solvers     = getEnumOptions(mujoco.mjtSolver    , "mjSOL_");
+        this.disableBits = getFlagBits(mujoco.mjtDisableBit, "mjDSBL_");
+        this.enableBits  = getFlagBits(mujoco.mjtEnableBit , "mjENBL_");
+        // The GUI is bound to these objects, so read() fills them in place
+        this.gravity = { x: 0, y: 0, z: 0 };
+        this.wind    = { x: 0, y: 0, z: 0 };
+        /** Whether each mjtDisableBit and mjtEnableBit flag is set, by its name, e.g. disabled.CONTACT */
+        this.disabled = {};
+        this.enabled  = {};
+        this.attach(model);
+    }
+
+    /** Reads the options of a (possibly reloaded) model, which become the ones reset() restores */
+    attach(model) {
+        this.model = model;
+        this.defaults = model.getOptions();
+        this.read(this.defaults);
+    }
+
+    /** Copies an mjOption into the editable fields */
+    read(options) {
+        this.timestep   = options.timestep;
+        readVector(this.gravity, options.gravity);
+        readVector(this.wind   , options.wind);
+        this.density    = options.density;
+        this.viscosity  = options.viscosity;
+        this.integrator = options.integrator;
+        this.cone       = options.cone;
+        this.solver     = options.solver;
+        this.iterations = options.iterations;
+        this.tolerance  = options.tolerance;
+        for (const [name, bit] of Object.entries(this.disableBits)) { this.disabled[name] = (options.disableflags & bit) !== 0; }
+        for (const [name, bit] of Object.entries(this.enableBits )) { this.enabled [name] = (options.enableflags  & bit) !== 0; }
+    }
+
+    /** Writes the fields into the model, keeping the options that are not edited here */
+    apply() {
+        if (!this.supported) { return; }
+        const options = this.model.getOptions();
+        options.timestep   = this.timestep;
+        options.gravity    = [this.gravity.x, this.gravity.y, this.gravity.z];
+        options.wind       = [this.wind.x, this.wind.y, this.wind.z];
+        options.density    = this.density;
+        options.viscosity  = this.viscosity;
+        options.integrator = this.integrator;
+        options.cone       = this.cone;
+        options.solver     = this.solver;
+        options.iterations = this.iterations;
+        options.tolerance  = this.tolerance;
+        options.disableflags = 0;
+        options.enableflags  = 0;
+        for (const [name, bit] of Object.entries(this.disableBits)) { if (this.disabled[name]) { options.disableflags |= bit; } }
+        for (const [name, bit] of Object.entries(this.enableBits )) { if (this.enabled [name]) { options.enableflags  |= bit; } }
+        this.model.setOptions(options);
+        this.dispatchEvent(new Event("change"));
+    }
+
+    /** Restores the options the model was compiled with */
+    reset() {
+        this.read(this.defaults);
+        this.apply();
+    }
+}
@@ -0,0 +1,179 @@
+// Web Worker that steps a MuJoCo simulation in real time and publishes frames to the page; see workerSimulation.js
+import load_mujoco from '../dist/mujoco_wasm.js';
+import { LocomotionController } from './locomotionController.js';
+import { installNameLookup } from './mujocoNames.js';
+import { writeFiles } from './mjcfFiles.js';
+import { ModelParameters } from './modelParameters.js';
+import { INPUT_PAUSED, INPUT_VX, INPUT_VY, INPUT_YAW, INPUT_PERTURB, INPUT_FORCE, INPUT_POINT, INPUT_CTRL,
+         getFrameDimensions, getFrameLayout, writeFrame } from './workerSimulation.js';
+
+// How often frames are published (ms); the physics catches up with real time in between
+const PUBLISH_INTERVAL = 1000 / 120;
+// Steps are dropped rather than run when the physics falls this far behind (ms), like the page's loop did
+const MAX_LAG = 100;
+
+let mujoco = null;
+// Messages that arrive while MuJoCo loads wait for it, in order
+const mujocoLoaded = load_mujoco().then((module) => {
+    mujoco = module;
+    installNameLookup(mujoco);
+    mujoco.FS.mkdir('/working');
+    mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+});
+
+let model = null, state = null, simulation = null, controller = null, parameters = null;
+let dims = null, layout = null, inputs = null, frameSequence = null, frameData = null;
+let settings = { enabled: false };
+let simulationTime = 0, timer = null;
+// Set when a step raised a MuJoCo error, which leaves mjData undefined; stepping stops until a reset or reload
+let failed = false;
+
+/** Replaces the simulation with the one in a "load" message */
+function load(message) {
+    if (timer !== null) { clearTimeout(timer); timer = null; }
+    if (simulation) { simulation.free(); model = state = simulation = controller = parameters = null; }
+
+    if (message.mjb) {
+        model = mujoco.Model.fromMJB(message.mjb);
+    } else {
+        writeFiles(mujoco, message.files.map((file) => ({ name: file.name.replace(/^\/working\//, ""), data: file.data })));
+        model = new mujoco.Model("/working/" + message.file);
+    }
+    state      = new mujoco.State(model);
+    simulation = new mujoco.Simulation(model, state);
+    simulation.forward();
+    parameters = new ModelParameters(mujoco, model, simulation);
+    if (message.locomotion) {
+        controller = new LocomotionController(model, simulation);
+        if (!controller.isBound) { controller = null; }
+    }
+    settings = { enabled: false };
+    failed = false;
+
+    dims = getFrameDimensions(model, simulation);
+    layout = getFrameLayout(dims);
+    const ready = { type: "ready", dims: dims, nu: model.nu, locomotion: controller !== null };
+    if (message.shared) {
+        // A sequence number (odd while a frame is written) followed by the frame
+        ready.frameBuffer = new SharedArrayBuffer(8 + layout.length * 8);
+        ready.inputBuffer = new SharedArrayBuffer((INPUT_CTRL + model.nu) * 8);
+        frameSequence = new Int32Array(ready.frameBuffer, 0, 1);
+        frameData     = new Float64Array(ready.frameBuffer, 8, layout.length);
+        inputs        = new Float64Array(ready.inputBuffer);
+    } else {
+        frameSequence = frameData = null;
+        inputs = new Float64Array(INPUT_CTRL + model.nu);
+    }
+    postMessage(ready);
+
+    simulationTime = performance.now();
+    publish();
+    timer = setTimeout(tick, PUBLISH_INTERVAL);
+}
+
+/** Applies the page's locomotion settings, e.g. { enabled, gait, posture, trajectory, swingCurve, balance, gains } */
+function applySettings(next) {
+    settings = next;
+    if (!controller) { return; }
+    if (next.gait) { controller.setGait(next.gait); }
+    if (next.posture) { controller.setPosture(next.posture); }
+    if (next.trajectory) { controller.setTrajectoryMode(next.trajectory, next.swingCurve); }
+    if (next.balance !== undefined) { controller.setBalanceEnabled(next.balance); }
+    if (next.gains) { Object.assign(controller.balance.gains, next.gains); }
+}
+
+/** Advances the simulation by one timestep with the latest inputs */
+function step(timestep) {
+    if (controller && settings.enabled) {
+        controller.setCommand(inputs[INPUT_VX], inputs[INPUT_VY], inputs[INPUT_YAW]);
+        controller.update(timestep);
+    } else {
+        simulation.ctrl.set(inputs.subarray(INPUT_CTRL));
+    }
+    // The page's drag perturbation, applied like MuJoCoDemo.step() does
+    simulation.qfrc_applied.fill(0);
+    const body = inputs[INPUT_PERTURB];
+    if (body > 0) {
+        simulation.applyForce(inputs[INPUT_FORCE], inputs[INPUT_FORCE + 1], inputs[INPUT_FORCE + 2], 0, 0, 0,
+                              inputs[INPUT_POINT], inputs[INPUT_POINT + 1], inputs[INPUT_POINT + 2], body);
+    }
+    simulation.step();
+}
+
+function publish() {
+    if (frameData) {
+        Atomics.add(frameSequence, 0, 1);
+        writeFrame(simulation, dims, layout, frameData);
+        Atomics.add(frameSequence, 0, 1);
+    } else {
+        const frame = new Float64Array(layout.length);
+        writeFrame(simulation, dims, layout, frame);
+        postMessage({ type: "frame", frame: frame }, [frame.buffer]);
+    }
+}
+
+/** Steps until the simulation has caught up with real time, then publishes a frame */
+function tick() {
+    const now = performance.now();
+    try {
+        if (inputs[INPUT_PAUSED] || failed) {
+            simulationTime = now;
+        } else {
+            const timestep = model.getOptions().timestep;
+            if (now - simulationTime > MAX_LAG) { simulationTime = now - MAX_LAG; }
+            while (simulationTime < now) {
+                step(timestep);
+                simulationTime += timestep * 1000.0;
+            }
+        }
+        publish();
+    } catch (error) {
+        postMessage({ type: "error", name: error.name, message: "Error stepping simulation: " + error.message });
+        failed = true;
+    }
+    timer = setTimeout(tick, PUBLISH_INTERVAL);
+}
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+    try {
+        await mujocoLoaded;
+        if (message.type === "load") {
+            load(message);
+        } else if (message.type === "inputs") {
+            if (inputs && message.inputs.length === inputs.length) { inputs.set(message.inputs); }
+        } else if (message.type === "settings") {
+            applySettings(message.settings);
+        } else if (message.type === "reset") {
+            if (!simulation) { return; }
+            simulation.resetData();
+            simulation.forward();
+            if (controller) { controller.reset(); }
+            failed = false;
+            publish();
+        } else if (message.type === "resetController") {
+            if (controller) { controller.reset(); }
+        } else if (message.type === "options") {
+            // Builds without setOptions keep the options the model was loaded with, as the page does
+            if (model && typeof model.setOptions === 'function') { model.setOptions(message.options); }
+        } else if (message.type === "parameters") {
+            if (parameters) { parameters.setValues(message.values); publish(); }
+        } else if (message.type === "keyframe") {
+            if (!simulation) { return; }
+            const nq = model.nq;
+            simulation.qpos.set(model.key_qpos.subarray(message.index * nq, (message.index + 1) * nq));
+            simulation.forward();
+            publish();
+        } else if (message.type === "getState") {
+            postMessage({ type: "state", id: message.id, state: simulation.getState(message.spec) });
+        } else if (message.type === "setState") {
+            if (!simulation) { return; }
+            simulation.setState(message.state, message.spec);
+            simulation.forward();
+            failed = false;
+            publish();
+        }
+    } catch (error) {
+        postMessage({ type: "error", id: message.id, name: error.name, message: error.message });
+    }
+});
@@ -0,0 +1,215 @@
+// Sensor telemetry: rolling history of sensordata, canvas plots and CSV export
+
+// Line colors for the components of a plotted sensor
+const COMPONENT_COLORS = ['#ff6b6b', '#6bff8f', '#6bb5ff', '#ffd86b', '#d66bff', '#6bffe9'];
+const PLOT_WIDTH  = 360;
+const PLOT_HEIGHT = 110;
+
+/** @returns {Object<number, string>} Readable sensor type names keyed by mjtSensor value, e.g. "gyro" */
+function getSensorTypeNames(mujoco) {
+    const names = {};
+    for (const key of Object.keys(mujoco.mjtSensor)) {
+        if (key.startsWith("mjSENS_")) { names[mujoco.mjtSensor[key].value] = key.slice(7).toLowerCase(); }
+    }
+    return names;
+}
+
+/** Keeps the last `capacity` samples of every sensor in a ring buffer.
+ * It has no DOM dependencies; SensorPlotPanel draws from it. */
+export class SensorTelemetry {
+    constructor(mujoco, model, simulation, capacity = 600) {
+        this.capacity = capacity;
+        this.paused = false;
+        this.typeNames = getSensorTypeNames(mujoco);
+        /** @type {Set<number>} Sensor ids shown as plots */
+        this.plotted = new Set();
+        this.attach(model, simulation);
+    }
+
+    /** Rebuilds the sensor list for a (possibly reloaded) model and clears the history */
+    attach(model, simulation) {
+        this.model = model;
+        this.simulation = simulation;
+        /** @type {{id: number, name: string, type: string, adr: number, dim: number}[]} */
+        this.sensors = [];
+        for (let i = 0; i < model.nsensor; i++) {
+            const name = model.name("sensor", i);
+            this.sensors.push({
+                id  : i,
+                name: name || "sensor " + i,
+                type: this.typeNames[model.sensor_type[i]] || "unknown",
+                adr : model.sensor_adr[i],
+                dim : model.sensor_dim[i]
+            });
+        }
+        this.plotted.clear();
+        this.width = model.nsensordata;
+        this.times = new Float64Array(this.capacity);
+        this.data = new Float64Array(this.capacity * this.width);
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+
+    /** Appends the current sensordata if simulation time has advanced.
+     * Time going backwards (reset, keyframe, replay seek) starts a new history. */
+    sample() {
+        if (this.paused || this.width === 0) { return; }
+        const time = this.simulation.time;
+        if (this.length > 0) {
+            const last = this.times[(this.start + this.length - 1) % this.capacity];
+            if (time === last) { return; }
+            if (time < last) { this.clear(); }
+        }
+        const slot = (this.start + this.length) % this.capacity;
+        this.times[slot] = time;
+        this.data.set(this.simulation.sensordata, slot * this.width);
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /** @returns {number} Simulation time of the i-th oldest sample */
+    getTime(i) {
+        return this.times[(this.start + i) % this.capacity];
+    }
+
+    /** @returns {number} Component `component` of a sensor in the i-th oldest sample */
+    getValue(i, sensor, component) {
+        return this.data[((this.start + i) % this.capacity) * this.width + sensor.adr + component];
+    }
+
+    /** @returns {string} The history as CSV; one column per sensor component */
+    toCSV() {
+        const columns = ["time"];
+        for (const sensor of this.sensors) {
+            for (let c = 0; c < sensor.dim; c++) {
+                columns.push(sensor.dim > 1 ? sensor.name + "[" + c + "]" : sensor.name);
+            }
+        }
+        const lines = [columns.map((column) => /[",]/.test(column) ? "\"" + column.replace(/"/g, "\"\"") + "\"" : column).join(",")];
+        for (let i = 0; i < this.length; i++) {
+            const row = [this.getTime(i)];
+            for (const sensor of this.sensors) {
+                for (let c = 0; c < sensor.dim; c++) { row.push(this.getValue(i, sensor, c)); }
+            }
+            lines.push(row.join(","));
+        }
+        return lines.join("\n") + "\n";
+    }
+}
+
+/** Overlay with one rolling time-series canvas per plotted sensor */
+export class SensorPlotPanel {
+    /** @param {SensorTelemetry} telemetry */
+    constructor(telemetry) {
+        this.telemetry = telemetry;
+        this.autoscale = true;
+        // Fixed vertical range used when autoscale is off
+        this.min = -1.0;
+        this.max =  1.0;
+
+        this.domElement = document.createElement('div');
+        this.domElement.style.position = 'absolute';
+        this.domElement.style.bottom = '10px';
+        this.domElement.style.left = '10px';
+        this.domElement.style.display = 'none';
+        this.domElement.style.flexDirection = 'column';
+        this.domElement.style.gap = '4px';
+        this.domElement.style.pointerEvents = 'none';
+        this.domElement.style.zIndex = '10';
+        document.body.appendChild(this.domElement);
+
+        /** @type {Map<number, HTMLCanvasElement>} Keyed by sensor id */
+        this.canvases = new Map();
+    }
+
+    /** Creates and removes canvases to match the plotted sensors, then redraws them */
+    update() {
+        const plotted = this.telemetry.plotted;
+        for (const [id, canvas] of this.canvases) {
+            if (!plotted.has(id)) { canvas.remove(); this.canvases.delete(id); }
+        }
+        for (const id of plotted) {
+            if (this.canvases.has(id)) { continue; }
+            const canvas = document.createElement('canvas');
+            canvas.width  = PLOT_WIDTH  * window.devicePixelRatio;
+            canvas.height = PLOT_HEIGHT * window.devicePixelRatio;
+            canvas.style.width  = PLOT_WIDTH  + 'px';
+            canvas.style.height = PLOT_HEIGHT + 'px';
+            canvas.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            canvas.style.borderRadius = '4px';
+            this.domElement.appendChild(canvas);
+            this.canvases.set(id, canvas);
+        }
+        this.domElement.style.display = this.canvases.size > 0 ? 'flex' : 'none';
+        for (const [id, canvas] of this.canvases) { this.draw(this.telemetry.sensors[id], canvas); }
+    }
+
+    /** Draws the history of one sensor, a line per component, oldest sample on the left */
+    draw(sensor, canvas) {
+        const telemetry = this.telemetry;
+        const context = canvas.getContext('2d');
+        context.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+        context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+        let min = this.min, max = this.max;
+        if (this.autoscale && telemetry.length > 0) {
+            min = Infinity; max = -Infinity;
+            for (let i = 0; i < telemetry.length; i++) {
+                for (let c = 0; c < sensor.dim; c++) {
+                    const value = telemetry.getValue(i, sensor, c);
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+            // Pad the range, and keep constant signals away from the edges
+            const padding = Math.max((max - min) * 0.1, 1e-6);
+            min -= padding; max += padding;
+        }
+
+        const top = 16, bottom = PLOT_HEIGHT - 4, left = 4, right = PLOT_WIDTH - 4;
+        const toY = (value) => bottom - (value - min) / (max - min) * (bottom - top);
+        if (min < 0 && max > 0) {
+            context.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            context.beginPath();
+            context.moveTo(left, toY(0));
+            context.lineTo(right, toY(0));
+            context.stroke();
+        }
+
+        // Samples fill the plot from the left until the history reaches capacity
+        const dx = (right - left) / Math.max(1, telemetry.capacity - 1);
+        context.lineWidth = 1.5;
+        for (let c = 0; c < sensor.dim; c++) {
+            context.strokeStyle = COMPONENT_COLORS[c % COMPONENT_COLORS.length];
+            context.beginPath();
+            for (let i = 0; i < telemetry.length; i++) {
+                const y = Math.max(top, Math.min(bottom, toY(telemetry.getValue(i, sensor, c))));
+                if (i === 0) { context.moveTo(left, y); } else { context.lineTo(left + i * dx, y); }
+            }
+            context.stroke();
+        }
+
+        context.font = '11px Arial';
+        context.fillStyle = 'white';
+        context.textBaseline = 'top';
+        context.fillText(sensor.name + " (" + sensor.type + ")", left, 2);
+        context.textAlign = 'right';
+        context.fillText(max.toPrecision(3), right, 2);
+        context.textBaseline = 'bottom';
+        context.fillText(min.toPrecision(3), right, PLOT_HEIGHT - 2);
+        context.textAlign = 'left';
+        if (telemetry.length > 0) {
+            // Latest value of each component
+            const latest = [];
+            for (let c = 0; c < sensor.dim; c++) { latest.push(telemetry.getValue(telemetry.length - 1, sensor, c).toFixed(3)); }
+            context.fillText(latest.join("  "), left, PLOT_HEIGHT - 2);
+        }
+    }
+}
@@ -0,0 +1,195 @@
+// Procedural heightfield terrain for stress-testing locomotion controllers
+
+// Available terrain types
+export const TERRAIN_TYPES = {
+    "Flat"           : "flat",
+    "Hills"          : "hills",
+    "Stairs"         : "stairs",
+    "Slopes"         : "slopes",
+    "Stepping Stones": "steppingStones",
+    "Random Boxes"   : "randomBoxes"
+};
+
+// Radius around the origin that is kept flat so the robot spawns on level ground (meters)
+const SPAWN_RADIUS = 0.6;
+
+/** Small, fast, seedable PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} Uniform random numbers in [0, 1) */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Classic 2D Perlin gradient noise with a seeded permutation table */
+class PerlinNoise {
+    constructor(random) {
+        this.perm = new Uint8Array(512);
+        let p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) { p[i] = i; }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [p[i], p[j]] = [p[j], p[i]];
+        }
+        for (let i = 0; i < 512; i++) { this.perm[i] = p[i & 255]; }
+    }
+
+    static fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+
+    static grad(hash, x, y) {
+        switch (hash & 3) {
+            case 0: return  x + y;
+            case 1: return -x + y;
+            case 2: return  x - y;
+            default: return -x - y;
+        }
+    }
+
+    /** @returns {number} Noise in approximately [-1, 1] */
+    noise(x, y) {
+        const xi = Math.floor(x) & 255, yi = Math.floor(y) & 255;
+        const xf = x - Math.floor(x), yf = y - Math.floor(y);
+        const u = PerlinNoise.fade(xf), v = PerlinNoise.fade(yf);
+        const p = this.perm;
+        const aa = p[p[xi    ] + yi    ], ab = p[p[xi    ] + yi + 1];
+        const ba = p[p[xi + 1] + yi    ], bb = p[p[xi + 1] + yi + 1];
+        const x1 = PerlinNoise.grad(aa, xf, yf    ) * (1 - u) + PerlinNoise.grad(ba, xf - 1, yf    ) * u;
+        const x2 = PerlinNoise.grad(ab, xf, yf - 1) * (1 - u) + PerlinNoise.grad(bb, xf - 1, yf - 1) * u;
+        return x1 * (1 - v) + x2 * v;
+    }
+
+    /** Fractal sum of several octaves of noise */
+    fbm(x, y, octaves) {
+        let sum = 0, amplitude = 1, frequency = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum  += amplitude * this.noise(x * frequency, y * frequency);
+            norm += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2.0;
+        }
+        return sum / norm;
+    }
+}
+
+/** Folds a monotonically increasing value into a triangle wave between 0 and peak */
+function triangleWave(value, peak) {
+    const t = value % (2 * peak);
+    return t < peak ? t : 2 * peak - t;
+}
+
+/** Builds a height function h(x, y) in meters relative to the nominal ground level
+ * @param {string} type One of TERRAIN_TYPES
+ * @param {function(): number} random
+ * @param {number} difficulty 0 (benign) to 1 (hard)
+ * @param {number} maxHeight The largest deviation from ground level the heightfield can represent
+ * @param {number} sizeX Half-extent of the heightfield along x
+ * @param {number} sizeY Half-extent of the heightfield along y */
+function createHeightFunction(type, random, difficulty, maxHeight, sizeX, sizeY) {
+    switch (type) {
+        case "hills": {
+            const perlin    = new PerlinNoise(random);
+            const amplitude = Math.min(maxHeight, 0.02 + 0.18 * difficulty);
+            const frequency = 0.4 + 0.6 * difficulty;
+            return (x, y) => amplitude * perlin.fbm(x * frequency, y * frequency, 4);
+        }
+        case "stairs": {
+            // Concentric square stairs that climb away from the spawn and back down again
+            const stepHeight = 0.02 + 0.13 * difficulty;
+            const stepWidth  = 0.4 - 0.15 * difficulty;
+            const numSteps   = Math.max(1, Math.floor(maxHeight / stepHeight));
+            return (x, y) => {
+                const distance = Math.max(Math.abs(x), Math.abs(y)) - SPAWN_RADIUS;
+                if (distance < 0) { return 0; }
+                return triangleWave(Math.floor(distance / stepWidth), numSteps) * stepHeight;
+            };
+        }
+        case "slopes": {
+            // Ridges and valleys radiating out from the spawn
+            const slope = Math.tan((5 + 25 * difficulty) * Math.PI / 180);
+            return (x, y) => {
+                const distance = Math.max(Math.abs(x), Math.abs(y)) - SPAWN_RADIUS;
+                if (distance < 0) { return 0; }
+                return triangleWave(distance * slope, maxHeight);
+            };
+        }
+        case "steppingStones": {
+            // Square stones separated by pits that widen with difficulty
+            const stoneSize = 0.45 - 0.2  * difficulty;
+            const gap       = 0.05 + 0.2  * difficulty;
+            const pitDepth  = Math.min(maxHeight, 0.2);
+            const jitter    = 0.06 * difficulty;
+            const pitch     = stoneSize + gap;
+            const offsets   = new Map();
+            return (x, y) => {
+                const i = Math.floor(x / pitch), j = Math.floor(y / pitch);
+                const u = x - i * pitch, v = y - j * pitch;
+                if (u > stoneSize || v > stoneSize) { return -pitDepth; }
+                const key = i + "," + j;
+                if (!offsets.has(key)) { offsets.set(key, (random() * 2 - 1) * jitter); }
+                return offsets.get(key);
+            };
+        }
+        case "randomBoxes": {
+            const maxBoxHeight = Math.min(maxHeight, 0.02 + 0.13 * difficulty);
+            const boxes = [];
+            for (let i = 0; i < 150 + 250 * difficulty; i++) {
+                boxes.push({
+                    x: (random() * 2 - 1) * sizeX, y: (random() * 2 - 1) * sizeY,
+                    halfX: 0.1 + random() * 0.3, halfY: 0.1 + random() * 0.3,
+                    height: random() * maxBoxHeight });
+            }
+            return (x, y) => {
+                let height = 0;
+                for (const box of boxes) {
+                    if (Math.abs(x - box.x) < box.halfX && Math.abs(y - box.y) < box.halfY) {
+                        height = Math.max(height, box.height);
+                    }
+                }
+                return height;
+            };
+        }
+        default:
+            return () => 0;
+    }
+}
+
+/** Fills a heightfield of the model with procedural terrain, in place.
+ * The heightfield geom is expected to sit `size[2] / 2` below the ground plane,
+ * so normalized elevation 0.5 corresponds to the nominal ground level.
+ * Changes take effect on the next collision check; the rendered mesh has to be
+ * refreshed separately with `updateHeightfieldGeometry`.
+ * @param {mujoco.Model} model
+ * @param {number} hfieldID
+ * @param {{type: string, seed: number, difficulty: number}} options */
+export function generateTerrain(model, hfieldID, { type = "hills", seed = 1, difficulty = 0.5 } = {}) {
+    const nrow = model.hfield_nrow[hfieldID];
+    const ncol = model.hfield_ncol[hfieldID];
+    const adr  = model.hfield_adr [hfieldID];
+    const sizeX = model.hfield_size[(hfieldID * 4) + 0];
+    const sizeY = model.hfield_size[(hfieldID * 4) + 1];
+    const sizeZ = model.hfield_size[(hfieldID * 4) + 2];
+    const data  = model.hfield_data;
+
+    difficulty = Math.max(0, Math.min(1, difficulty));
+    const height = createHeightFunction(type, createRandom(seed), difficulty, sizeZ * 0.5, sizeX, sizeY);
+
+    for (let r = 0; r < nrow; r++) {
+        for (let c = 0; c < ncol; c++) {
+            const x = ((c / (ncol - 1)) * 2.0 - 1.0) * sizeX;
+            const y = ((r / (nrow - 1)) * 2.0 - 1.0) * sizeY;
+
+            // Blend smoothly into the flat spawn area
+            const distance = Math.sqrt(x * x + y * y);
+            const blend = Math.min(1, Math.max(0, (distance - SPAWN_RADIUS) / SPAWN_RADIUS));
+
+            const h = height(x, y) * blend;
+            data[adr + (r * ncol) + c] = Math.max(0, Math.min(1, 0.5 + h / sizeZ));
+        }
+    }
+}
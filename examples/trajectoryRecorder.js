@@ -0,0 +1,195 @@
+// Trajectory recording and frame-by-frame replay of simulation runs
+
+// File signature, followed by the header length and a JSON header
+const MAGIC = "MJTRAJ01";
+const FORMAT_VERSION = 1;
+
+/** Per-step fields of the simulation that are recorded, and their sizes for a model.
+ * ctrl and the applied forces are the inputs that advanced the frame to the next one. */
+const FIELD_SIZES = {
+    qpos        : (model) => model.nq,
+    qvel        : (model) => model.nv,
+    ctrl        : (model) => model.nu,
+    act         : (model) => model.na,
+    mocap_pos   : (model) => model.nmocap * 3,
+    mocap_quat  : (model) => model.nmocap * 4,
+    qfrc_applied: (model) => model.nv,
+    xfrc_applied: (model) => model.nbody * 6
+};
+
+/** @returns {string} The model name, which MuJoCo stores first in the names buffer */
+function getModelName(model) {
+    const names = model.names;
+    const end = names.indexOf(0);
+    return new TextDecoder("utf-8").decode(names.subarray(0, end < 0 ? names.length : end));
+}
+
+/** Records the simulation state on every step and plays it back by restoring frames.
+ * Each frame holds the simulation time followed by the fields in FIELD_SIZES, as float64. */
+export class TrajectoryRecorder {
+    constructor(model, simulation) {
+        this.speed = 1.0;
+        this.playing = false;
+        this.attach(model, simulation);
+    }
+
+    /** Binds the recorder to a (possibly reloaded) model. Recordings made with
+     * different dimensions no longer apply and are discarded. */
+    attach(model, simulation) {
+        const layout = TrajectoryRecorder.getLayout(model);
+        const changed = !this.layout || this.layout.some((field, i) => field.size !== layout[i].size);
+        this.model = model;
+        this.simulation = simulation;
+        this.layout = layout;
+        this.frameSize = 1 + layout.reduce((sum, field) => sum + field.size, 0);
+        if (changed || !this.data) { this.clear(); }
+    }
+
+    /** @returns {{name: string, size: number}[]} */
+    static getLayout(model) {
+        return Object.keys(FIELD_SIZES).map((name) => ({ name: name, size: FIELD_SIZES[name](model) }));
+    }
+
+    clear() {
+        this.data = new Float64Array(this.frameSize * 1024);
+        this.length = 0;
+        this.playhead = 0;
+        this.playing = false;
+        this.playbackFrames = 0;
+    }
+
+    /** Drops every frame from the given index on */
+    truncate(length) {
+        this.length = Math.max(0, Math.min(this.length, length));
+        this.playhead = Math.min(this.playhead, Math.max(0, this.length - 1));
+    }
+
+    /** @returns {number} Duration of the recording in simulation seconds */
+    get duration() {
+        return this.length > 0 ? this.getTime(this.length - 1) - this.getTime(0) : 0;
+    }
+
+    /** @returns {number} Simulation time stored in a frame */
+    getTime(index) {
+        return this.data[index * this.frameSize];
+    }
+
+    /** Appends the current simulation state. Call it right before simulation.step(). */
+    record() {
+        if ((this.length + 1) * this.frameSize > this.data.length) {
+            const grown = new Float64Array(Math.max(this.data.length * 2, this.frameSize * 1024));
+            grown.set(this.data);
+            this.data = grown;
+        }
+        let offset = this.length * this.frameSize;
+        this.data[offset++] = this.simulation.time;
+        for (const field of this.layout) {
+            if (field.size === 0) { continue; }
+            this.data.set(this.simulation[field.name], offset);
+            offset += field.size;
+        }
+        this.length++;
+        this.playhead = this.length - 1;
+    }
+
+    /** Restores a recorded frame into the simulation and recomputes derived quantities
+     * @param {number} index Frame index; clamped to the recording */
+    seek(index) {
+        if (this.length === 0) { return; }
+        this.playhead = Math.max(0, Math.min(this.length - 1, Math.round(index)));
+        let offset = this.playhead * this.frameSize;
+        this.simulation.time = this.data[offset++];
+        for (const field of this.layout) {
+            if (field.size === 0) { continue; }
+            this.simulation[field.name].set(this.data.subarray(offset, offset + field.size));
+            offset += field.size;
+        }
+        this.simulation.forward();
+    }
+
+    /** Moves the playhead by a number of frames */
+    step(frames) {
+        this.seek(this.playhead + frames);
+    }
+
+    /** Advances playback by wall-clock time, scaled by the playback speed
+     * @param {number} dt Seconds since the last update */
+    update(dt) {
+        if (!this.playing || this.length === 0) { return; }
+        const timestep = this.model.getOptions().timestep;
+        this.playbackFrames += (dt * this.speed) / timestep;
+        const frames = Math.floor(this.playbackFrames);
+        this.playbackFrames -= frames;
+        if (frames > 0) { this.step(frames); }
+        if (this.playhead >= this.length - 1) { this.playing = false; }
+    }
+
+    /** Serializes the recording: MAGIC, a little-endian uint32 header length,
+     * the JSON header padded to 8 bytes, then the float64 frames.
+     * @returns {ArrayBuffer} */
+    toArrayBuffer() {
+        const header = JSON.stringify({
+            version  : FORMAT_VERSION,
+            model    : getModelName(this.model),
+            nq       : this.model.nq,
+            nv       : this.model.nv,
+            nu       : this.model.nu,
+            na       : this.model.na,
+            nmocap   : this.model.nmocap,
+            nbody    : this.model.nbody,
+            timestep : this.model.getOptions().timestep,
+            frames   : this.length,
+            fields   : [{ name: "time", size: 1 }, ...this.layout]
+        });
+        let headerBytes = new TextEncoder().encode(header);
+        const prefix = MAGIC.length + 4;
+        const padding = (8 - ((prefix + headerBytes.length) % 8)) % 8;
+        const headerLength = headerBytes.length + padding;
+
+        const buffer = new ArrayBuffer(prefix + headerLength + this.length * this.frameSize * 8);
+        const bytes = new Uint8Array(buffer);
+        bytes.set(new TextEncoder().encode(MAGIC), 0);
+        new DataView(buffer).setUint32(MAGIC.length, headerLength, true);
+        bytes.fill(0x20, prefix, prefix + headerLength); // Pad the JSON with spaces
+        bytes.set(headerBytes, prefix);
+        new Float64Array(buffer, prefix + headerLength).set(this.data.subarray(0, this.length * this.frameSize));
+        return buffer;
+    }
+
+    /** Replaces the recording with one loaded by toArrayBuffer()
+     * @param {ArrayBuffer} buffer
+     * @returns {Object} The parsed header */
+    loadArrayBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length < MAGIC.length + 4 ||
+            new TextDecoder().decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+            throw new Error("Not a trajectory recording");
+        }
+        const headerLength = new DataView(buffer).getUint32(MAGIC.length, true);
+        const dataOffset = MAGIC.length + 4 + headerLength;
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(MAGIC.length + 4, dataOffset)));
+        if (header.version !== FORMAT_VERSION) {
+            throw new Error("Unsupported trajectory format version " + header.version);
+        }
+
+        // The recording must match the loaded model field for field
+        const expected = [{ name: "time", size: 1 }, ...this.layout];
+        const matches = header.fields.length === expected.length &&
+            header.fields.every((field, i) => field.name === expected[i].name && field.size === expected[i].size);
+        if (!matches) {
+            throw new Error("Recording of \"" + header.model + "\" (nq=" + header.nq + ", nv=" + header.nv +
+                ", nu=" + header.nu + ") does not match the loaded model \"" + getModelName(this.model) +
+                "\" (nq=" + this.model.nq + ", nv=" + this.model.nv + ", nu=" + this.model.nu + ")");
+        }
+        if (buffer.byteLength - dataOffset < header.frames * this.frameSize * 8) {
+            throw new Error("Trajectory recording is truncated");
+        }
+
+        this.data = new Float64Array(buffer.slice(dataOffset, dataOffset + header.frames * this.frameSize * 8));
+        this.length = header.frames;
+        this.playing = false;
+        this.playhead = 0;
+        this.playbackFrames = 0;
+        return header;
+    }
+}
@@ -1,36 +1,76 @@
 /** This class provides Debug Utilities. */
 class Debug {
 
-    /** Reroute Console Errors to the Main Screen (for mobile) */
+    /** Reroute Console Errors, uncaught exceptions and rejected promises to a banner on the page (for mobile) */
     constructor() {
+        this.banner = document.createElement('div');
+        this.banner.title = 'Click to dismiss';
+        Object.assign(this.banner.style, {
+            position: 'fixed', top: '10px', left: '50%', transform: 'translateX(-50%)', maxWidth: '60%',
+            maxHeight: '40%', overflowY: 'auto', display: 'none', flexDirection: 'column', gap: '4px',
+            font: '13px Arial', whiteSpace: 'pre-wrap', cursor: 'pointer', zIndex: '101' });
+        this.banner.addEventListener('click', () => { this.clear(); });
+        document.body.appendChild(this.banner);
+        /** @type {Map<string, {element: HTMLDivElement, count: number}>} Shown messages by key */
+        this.messages = new Map();
+
         // Intercept Main Window Errors as well
         window.realConsoleError = console.error;
         window.addEventListener('error', (event) => {
-            let path = event.filename.split("/");
+            let path = (event.filename || "").split("/");
             this.display((path[path.length - 1] + ":" + event.lineno + " - " + event.message));
         });
+        window.addEventListener('unhandledrejection', (event) => {
+            this.display(Debug.format([event.reason]));
+        });
         console.error = this.fakeError.bind(this);
-        
+
         // Record whether we're on Safari or Mobile (unused so far)
         this.safari = /(Safari)/g.test( navigator.userAgent ) && ! /(Chrome)/g.test( navigator.userAgent );
         this.mobile = /(Android|iPad|iPhone|iPod|Oculus)/g.test(navigator.userAgent) || this.safari;
     }
 
+    /** @returns {string} Console arguments as text; errors show their name and message */
+    static format(args) {
+        return args.map((arg) => {
+            if (arg instanceof Error) { return arg.name + ": " + arg.message; }
+            if (typeof arg === 'string') { return arg; }
+            try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+        }).join(" ");
+    }
+
     // Log Errors as <div>s over the main viewport
     fakeError(...args) {
-        if (args.length > 0 && args[0]) { this.display(JSON.stringify(args[0])); }
+        if (args.length > 0 && args[0]) { this.display(Debug.format(args)); }
         window.realConsoleError.apply(console, arguments);
     }
 
-    display(text) {
-        //if (this.mobile) {
-            let errorNode = window.document.getElementById("error");
-            errorNode.innerHTML += "\n\n"+text.fontcolor("red");
-            //window.document.getElementById("info").appendChild(errorNode);
-        //}
+    /** Shows a message in the banner. Messages with the same key share a line, with a repeat count.
+     * @param {string} text
+     * @param {"error"|"warning"} level
+     * @param {string} key */
+    display(text, level = "error", key = text) {
+        let message = this.messages.get(key);
+        if (!message) {
+            let element = document.createElement('div');
+            Object.assign(element.style, { padding: '6px 10px', borderRadius: '4px', color: 'white' });
+            this.banner.appendChild(element);
+            message = { element: element, count: 0 };
+            this.messages.set(key, message);
+        }
+        message.count++;
+        message.element.style.backgroundColor = level === "warning" ? 'rgba(170, 110, 0, 0.9)' : 'rgba(180, 30, 30, 0.9)';
+        message.element.textContent = text + (message.count > 1 ? "  (x" + message.count + ")" : "");
+        this.banner.style.display = 'flex';
+    }
+
+    /** Removes every message and hides the banner */
+    clear() {
+        this.banner.replaceChildren();
+        this.messages.clear();
+        this.banner.style.display = 'none';
     }
 
 }
 
 export { Debug };
-let debug = new Debug();
\ No newline at end of file
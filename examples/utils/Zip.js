@@ -0,0 +1,119 @@
+/** Minimal zip archives. Written archives use stored (uncompressed) entries, which suits
+ * already-compressed PNGs; reading also supports deflated entries. */
+
+// Entries are dated 1980-01-01 so that archives of the same files are identical
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) { c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1); }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+/** @returns {number} The CRC-32 of the bytes, as used by zip */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) { crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8); }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Packs files into a zip archive without compression.
+ * @param {{name: string, data: Uint8Array}[]} files
+ * @returns {Uint8Array} */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map((file) => ({ name: encoder.encode(file.name), data: file.data, crc: crc32(file.data) }));
+    const localSize   = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    // Local file headers, each followed by its name and data
+    let offset = 0;
+    for (const entry of entries) {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, 20, true);  // Version needed to extract
+        view.setUint16(offset + 8, 0, true);   // Stored
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    // Central directory, then its end record
+    const centralOffset = offset;
+    for (const entry of entries) {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);  // Version made by
+        view.setUint16(offset + 6, 20, true);  // Version needed to extract
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    }
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return bytes;
+}
+
+/** @returns {Promise<Uint8Array>} Raw deflate data, inflated with the browser's DecompressionStream */
+async function inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Unpacks the files of a zip archive, skipping directory entries.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<{name: string, data: Uint8Array}[]>} */
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits in the last 64 KiB, after an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+    }
+    if (end < 0) { throw new Error("Not a zip archive"); }
+
+    const decoder = new TextDecoder("utf-8");
+    const files = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0, count = view.getUint16(end + 10, true); i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) { throw new Error("Corrupt zip central directory"); }
+        const method         = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength     = view.getUint16(offset + 28, true);
+        const extraLength    = view.getUint16(offset + 30, true);
+        const commentLength  = view.getUint16(offset + 32, true);
+        const localOffset    = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith("/")) { continue; }
+
+        // Sizes come from the central directory; local headers may defer them to a data descriptor
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(start, start + compressedSize);
+        if (method === 0) {
+            files.push({ name: name, data: data.slice() });
+        } else if (method === 8) {
+            files.push({ name: name, data: await inflate(data) });
+        } else {
+            throw new Error("Unsupported compression method " + method + " for " + name);
+        }
+    }
+    return files;
+}
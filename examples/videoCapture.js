@@ -0,0 +1,117 @@
+// Video capture of the viewer: real-time WebM through MediaRecorder, and
+// deterministic PNG frame sequences stepped at exact video frame intervals
+import { createZip } from './utils/Zip.js';
+
+// Preferred WebM codecs, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/** Records a canvas. WebM recording captures whatever is shown in real time. Frame capture
+ * instead takes over the pacing of the simulation: every rendered frame advances it by exactly
+ * one video frame (see getStepsForNextFrame), however long rendering takes, and is saved as a PNG.
+ * Rendered frames that did not advance, e.g. while paused, are not saved. */
+export class VideoCapture {
+    /** @param {HTMLCanvasElement} canvas */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fps = 30;
+        this.recordingVideo = false;
+        this.capturingFrames = false;
+        /** Number of PNG frames captured so far */
+        this.frames = 0;
+    }
+
+    /** @returns {boolean} Whether this browser can record WebM from a canvas */
+    static isVideoSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            WEBM_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+    }
+
+    /** Starts recording the canvas as WebM at this.fps */
+    startVideo() {
+        if (this.recordingVideo) { return; }
+        const mimeType = WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(this.fps), { mimeType: mimeType });
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) { this.chunks.push(event.data); }
+        });
+        this.mediaRecorder.start();
+        this.recordingVideo = true;
+    }
+
+    /** Stops recording
+     * @returns {Promise<Blob>} The WebM video */
+    stopVideo() {
+        if (!this.recordingVideo) { return Promise.resolve(null); }
+        this.recordingVideo = false;
+        return new Promise((resolve) => {
+            this.mediaRecorder.addEventListener('stop', () => {
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+                this.chunks = [];
+            }, { once: true });
+            this.mediaRecorder.stop();
+        });
+    }
+
+    /** Starts a deterministic frame capture at this.fps */
+    startFrames() {
+        if (this.capturingFrames) { return; }
+        this.frames = 0;
+        /** Simulation time of the next video frame, and where the last steps left the simulation */
+        this.time = null;
+        this.reached = null;
+        /** Whether the frame clock advanced since the last captured frame */
+        this.advanced = false;
+        /** @type {Promise<Uint8Array>[]} PNG files, in frame order */
+        this.pngs = [];
+        this.capturingFrames = true;
+    }
+
+    /** Advances the frame clock by one video frame. The target time accumulates 1 / fps per frame and
+     * steps are counted from the simulation's own time, so rounding never drifts from the video's
+     * timeline and a changed timestep only changes the count. The clock starts over from the
+     * simulation's time when it moved without these steps, e.g. after a reset or a replay.
+     * @param {number} timestep The model's timestep in seconds
+     * @param {number} time The simulation time in seconds
+     * @returns {number} How many simulation steps reach the next frame */
+    getStepsForNextFrame(timestep, time) {
+        if (this.time === null || Math.abs(time - this.reached) > timestep / 2) { this.time = time; }
+        this.time += 1 / this.fps;
+        const steps = Math.max(0, Math.round((this.time - time) / timestep));
+        this.reached = time + steps * timestep;
+        this.advanced = true;
+        return steps;
+    }
+
+    /** Advances the frame clock of a replay by one video frame
+     * @returns {number} The replay time to the next frame, in seconds */
+    getReplayInterval() {
+        this.advanced = true;
+        return 1 / this.fps;
+    }
+
+    /** Saves the canvas as the next PNG frame if the frame clock advanced. Call it right after
+     * rendering, while the canvas still holds the frame. */
+    captureFrame() {
+        if (!this.capturingFrames || !this.advanced) { return; }
+        this.advanced = false;
+        this.pngs.push(new Promise((resolve, reject) => {
+            this.canvas.toBlob((blob) => {
+                if (!blob) { reject(new Error("Could not encode frame as PNG")); return; }
+                blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        }));
+        this.frames++;
+    }
+
+    /** Stops the frame capture
+     * @returns {Promise<Blob>} A zip of frame_00000.png, frame_00001.png, ... */
+    async stopFrames() {
+        if (!this.capturingFrames) { return null; }
+        this.capturingFrames = false;
+        const pngs = await Promise.all(this.pngs);
+        this.pngs = [];
+        const files = pngs.map((data, i) => ({ name: "frame_" + String(i).padStart(5, "0") + ".png", data: data }));
+        return new Blob([createZip(files)], { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,69 @@
+// MuJoCo warnings as events: mjData warning counters and the messages of mju_warning
+
+/** @returns {boolean} Whether an error was raised by MuJoCo (mju_error, or a model that failed to load) */
+export function isMuJoCoError(error) {
+    return error instanceof Error && error.name === "MuJoCoError";
+}
+
+/** A warning counter of mjData that went up, or a warning message from MuJoCo */
+export class MuJoCoWarningEvent extends Event {
+    /** @param {{warning: string, count: number, lastinfo: number, time: number, message: string}} details */
+    constructor(type, details) {
+        super(type);
+        /** mjtWarning name without its prefix, e.g. "BADQACC"; empty for messages */
+        this.warning  = details.warning  || "";
+        /** Times the warning was raised since the last reset */
+        this.count    = details.count    || 0;
+        /** Info from the last occurrence, e.g. the index of the bad qacc entry */
+        this.lastinfo = details.lastinfo || 0;
+        this.time     = details.time     || 0;
+        this.message  = details.message  || "";
+    }
+}
+
+/** Watches a simulation for MuJoCo warnings. It dispatches
+ *  - "warning" when a counter in simulation.warningStats grows, at most once per check() per warning, and
+ *  - "message" for every message MuJoCo prints through mju_warning.
+ * It has no DOM dependencies, so headless runs can listen too. */
+export class WarningMonitor extends EventTarget {
+    constructor(mujoco, simulation) {
+        super();
+        /** @type {string[]} Names of the warnings, by mjtWarning value */
+        this.names = [];
+        if (mujoco.mjtWarning) {
+            for (const key of Object.keys(mujoco.mjtWarning)) {
+                if (key.startsWith("mjWARN_")) { this.names[mujoco.mjtWarning[key].value] = key.slice(7); }
+            }
+        }
+        if (mujoco.setWarningHandler) {
+            mujoco.setWarningHandler((message) => {
+                this.dispatchEvent(new MuJoCoWarningEvent("message", {
+                    message: message.trim(), time: this.simulation ? this.simulation.time : 0 }));
+            });
+        }
+        this.attach(simulation);
+    }
+
+    /** Binds to a (possibly reloaded) simulation */
+    attach(simulation) {
+        this.simulation = simulation;
+        this.counts = [];
+    }
+
+    /** Compares the warning counters with the last check; call after stepping */
+    check() {
+        // Builds without warning counters have nothing to report
+        const warnings = this.simulation.warningStats;
+        if (!warnings) { return; }
+        for (let i = 0; i < warnings.length; i++) {
+            const count = warnings[i].number;
+            // Counters drop back to zero when the simulation is reset
+            if (count > (this.counts[i] || 0)) {
+                this.dispatchEvent(new MuJoCoWarningEvent("warning", {
+                    warning: this.names[i] || "warning " + i, count: count,
+                    lastinfo: warnings[i].lastinfo, time: this.simulation.time }));
+            }
+            this.counts[i] = count;
+        }
+    }
+}
@@ -0,0 +1,346 @@
+// Physics in a Web Worker: the page sends inputs and draws interpolated body poses
+
+/** Leading inputs, followed by one ctrl value per actuator. The perturbation is the force of the
+ * body being dragged, at a point, in MuJoCo's frame; no body is dragged when it is 0. */
+export const INPUT_PAUSED  = 0;
+export const INPUT_VX      = 1;
+export const INPUT_VY      = 2;
+export const INPUT_YAW     = 3;
+export const INPUT_PERTURB = 4;
+export const INPUT_FORCE   = 5;
+export const INPUT_POINT   = 8;
+export const INPUT_CTRL    = 11;
+
+/** mjData arrays in every published frame, with their sizes, and how interpolate() blends them;
+ * the others are taken from the newest frame */
+export const FRAME_FIELDS = [
+    { name: "xpos"       , size: (dims) => dims.nbody  * 3, blend: "linear" },
+    { name: "xquat"      , size: (dims) => dims.nbody  * 4, blend: "quaternion" },
+    { name: "subtree_com", size: (dims) => dims.nbody  * 3, blend: "linear" },
+    { name: "cam_xpos"   , size: (dims) => dims.ncam   * 3, blend: "linear" },
+    { name: "cam_xmat"   , size: (dims) => dims.ncam   * 9 },
+    { name: "light_xpos" , size: (dims) => dims.nlight * 3, blend: "linear" },
+    { name: "light_xdir" , size: (dims) => dims.nlight * 3 },
+    { name: "ten_wrapadr", size: (dims) => dims.ntendon },
+    { name: "ten_wrapnum", size: (dims) => dims.ntendon },
+    { name: "wrap_xpos"  , size: (dims) => dims.nwrap  * 6 },
+    { name: "sensordata" , size: (dims) => dims.nsensordata }
+];
+
+/** Contacts beyond this many are not published */
+export const MAX_CONTACTS = 64;
+/** Values per published contact: geom1, geom2, pos (3), frame (9) and contactForce (6) */
+const CONTACT_SIZE = 20;
+
+/** @returns {{nbody: number, ncam: number, nlight: number, ntendon: number, nwrap: number, nsensordata: number, nwarning: number}}
+ * The sizes a frame layout depends on; nwarning is 0 for builds without warningStats */
+export function getFrameDimensions(model, simulation) {
+    const warnings = simulation.warningStats;
+    return { nbody: model.nbody, ncam: model.ncam, nlight: model.nlight, ntendon: model.ntendon, nwrap: model.nwrap,
+             nsensordata: model.nsensordata, nwarning: warnings ? warnings.length : 0 };
+}
+
+/** Offsets of a published frame. It holds the simulation time, the FRAME_FIELDS, lastinfo and number
+ * of every warning, the number of contacts and up to MAX_CONTACTS contacts.
+ * @returns {{fields: Object<string, number>, warnings: number, ncon: number, contacts: number, length: number}} */
+export function getFrameLayout(dims) {
+    const fields = {};
+    let offset = 1;
+    for (const field of FRAME_FIELDS) { fields[field.name] = offset; offset += field.size(dims); }
+    const warnings = offset, ncon = warnings + dims.nwarning * 2, contacts = ncon + 1;
+    return { fields: fields, warnings: warnings, ncon: ncon, contacts: contacts, length: contacts + MAX_CONTACTS * CONTACT_SIZE };
+}
+
+/** Writes the current state of a simulation into a frame laid out by getFrameLayout() */
+export function writeFrame(simulation, dims, layout, frame) {
+    frame[0] = simulation.time;
+    for (const field of FRAME_FIELDS) { frame.set(simulation[field.name], layout.fields[field.name]); }
+    if (dims.nwarning > 0) {
+        simulation.warningStats.forEach((stat, i) => {
+            frame[layout.warnings + i * 2] = stat.lastinfo;
+            frame[layout.warnings + i * 2 + 1] = stat.number;
+        });
+    }
+    // Builds without contact bindings publish no contacts
+    const contacts = simulation.contact || [];
+    const ncon = Math.min(contacts.length, MAX_CONTACTS);
+    frame[layout.ncon] = ncon;
+    for (let i = 0; i < ncon; i++) {
+        const offset = layout.contacts + i * CONTACT_SIZE, contact = contacts[i];
+        frame[offset] = contact.geom1;
+        frame[offset + 1] = contact.geom2;
+        frame.set(contact.pos, offset + 2);
+        frame.set(contact.frame, offset + 5);
+        if (typeof simulation.contactForce === 'function') {
+            frame.set(simulation.contactForce(i, null), offset + 14);
+        }
+    }
+}
+
+/** @returns {boolean} Whether frames and inputs can be shared instead of posted; needs cross-origin isolation */
+export function canShareMemory() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/** @returns {{name: string, data: Uint8Array}[]} Every file under a directory of Emscripten's file system */
+function readDirectory(mujoco, directory, files = []) {
+    for (const name of mujoco.FS.readdir(directory)) {
+        if (name === "." || name === "..") { continue; }
+        const path = directory + "/" + name;
+        if (mujoco.FS.isDir(mujoco.FS.stat(path).mode)) {
+            readDirectory(mujoco, path, files);
+        } else {
+            files.push({ name: path, data: mujoco.FS.readFile(path) });
+        }
+    }
+    return files;
+}
+
+/** Steps a copy of the model in physicsWorker.js at the model's timestep, independent of rendering.
+ * Every published frame holds what the renderer and overlays read (body, camera and light poses,
+ * tendon paths, sensor data, contacts and warnings); frames are shared through a SharedArrayBuffer when the page is
+ * cross-origin isolated, and posted as transferable buffers otherwise. Inputs (the locomotion command,
+ * the drag perturbation and ctrl) travel back the same way. interpolate() blends the last two frames,
+ * so bodies move smoothly whatever the rates of the physics and the display. Physics options, model
+ * parameters and states are posted as messages. */
+export class WorkerSimulation {
+    constructor() {
+        this.worker = new Worker(new URL('./physicsWorker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (event) => { this.onMessage(event.data); });
+        this.worker.addEventListener('error', (event) => {
+            console.error("Physics worker failed:", event.message);
+        });
+        this.shared = canShareMemory();
+        /** Settings last sent to the worker, as JSON, so they are only posted when they change */
+        this.sentSettings = "";
+        this.loading = null;
+        /** Pending getState() requests by id */
+        this.requests = new Map();
+        this.nextRequest = 0;
+        // What the overlays read before the first frame
+        this.time = 0;
+        this.contact = [];
+    }
+
+    /** Loads a model into the worker and waits until it steps. The compiled model is sent as an mjb when
+     * the bindings can write one, so edits made on the page carry over; otherwise the scene's files are sent.
+     * @param {object} mujoco The loaded MuJoCo module of the page
+     * @param {object} model The page's copy of the model
+     * @param {string} file Path of the scene in /working
+     * @param {{locomotion: boolean}} options Whether the worker drives the Go1 with a LocomotionController
+     * @returns {Promise<void>} Rejects with the worker's error if the model does not load */
+    load(mujoco, model, file, options = {}) {
+        const message = { type: "load", file: file, locomotion: !!options.locomotion, shared: this.shared };
+        const transfer = [];
+        if (typeof model.saveMJB === 'function') {
+            message.mjb = model.saveMJB();
+            transfer.push(message.mjb.buffer);
+        } else {
+            message.files = readDirectory(mujoco, "/working");
+        }
+        this.ready = false;
+        this.frames = 0;
+        this.sentSettings = "";
+        // Contacts and warnings of the previous model are not shown with the new one
+        this.contact = [];
+        this.warningStats = undefined;
+        return new Promise((resolve, reject) => {
+            this.loading = { resolve, reject };
+            this.worker.postMessage(message, transfer);
+        });
+    }
+
+    onMessage(data) {
+        if (data.type === "ready") {
+            const layout = getFrameLayout(data.dims);
+            this.dims = data.dims;
+            this.layout = layout;
+            this.locomotion = data.locomotion;
+            // Interpolated arrays for the renderer and overlays, and the last two frames they are blended from
+            this.time = 0;
+            for (const field of FRAME_FIELDS) { this[field.name] = new Float64Array(field.size(data.dims)); }
+            this.warningStats = data.dims.nwarning > 0 ? [] : undefined;
+            this.contact = [];
+            this.contactData = new Float64Array(MAX_CONTACTS * CONTACT_SIZE);
+            this.previous = { data: new Float64Array(layout.length), arrival: 0 };
+            this.current  = { data: new Float64Array(layout.length), arrival: 0 };
+            if (data.frameBuffer) {
+                this.sequence   = new Int32Array(data.frameBuffer, 0, 1);
+                this.frameData  = new Float64Array(data.frameBuffer, 8, layout.length);
+                this.lastSequence = 0;
+                this.inputs = new Float64Array(data.inputBuffer);
+            } else {
+                this.inputs = new Float64Array(INPUT_CTRL + data.nu);
+            }
+            this.ready = true;
+            if (this.loading) { this.loading.resolve(); this.loading = null; }
+        } else if (data.type === "frame") {
+            // Frames of a model that is being replaced are dropped
+            if (this.ready) { this.receiveFrame(data.frame); }
+        } else if (data.type === "state") {
+            const request = this.requests.get(data.id);
+            this.requests.delete(data.id);
+            if (request) { request.resolve(data.state); }
+        } else if (data.type === "error") {
+            const error = new Error(data.message);
+            error.name = data.name;
+            if (this.requests.has(data.id)) {
+                this.requests.get(data.id).reject(error);
+                this.requests.delete(data.id);
+            } else if (this.loading) { this.loading.reject(error); this.loading = null; } else { console.error(error); }
+        }
+    }
+
+    /** Makes a frame the current one; the previous current frame is blended from */
+    receiveFrame(frame) {
+        [this.previous, this.current] = [this.current, this.previous];
+        this.current.data.set(frame);
+        this.current.arrival = performance.now();
+        // The first frame has nothing to blend from
+        if (this.frames++ === 0) { this.previous.data.set(frame); this.previous.arrival = this.current.arrival; }
+    }
+
+    /** Takes the newest shared frame, unless the worker is writing it. The worker makes the
+     * sequence odd while it writes, and even again when the frame is complete. */
+    pollSharedFrame() {
+        const sequence = Atomics.load(this.sequence, 0);
+        if (sequence === this.lastSequence || (sequence & 1)) { return; }
+        const frame = this.frameData.slice();
+        if (Atomics.load(this.sequence, 0) !== sequence) { return; }
+        this.lastSequence = sequence;
+        this.receiveFrame(frame);
+    }
+
+    /** Sends the inputs for the next steps. Settings are posted only when they change.
+     * @param {{paused: boolean, vx: number, vy: number, yaw: number, ctrl: Float64Array,
+     *          perturbation: {body: number, force: number[], point: number[]}|null}} inputs
+     * @param {object} settings Locomotion settings, e.g. { enabled, gait, posture, trajectory, ... } */
+    send(inputs, settings) {
+        if (!this.ready) { return; }
+        this.inputs[INPUT_PAUSED] = inputs.paused ? 1 : 0;
+        this.inputs[INPUT_VX ] = inputs.vx;
+        this.inputs[INPUT_VY ] = inputs.vy;
+        this.inputs[INPUT_YAW] = inputs.yaw;
+        const perturbation = inputs.perturbation;
+        this.inputs[INPUT_PERTURB] = perturbation ? perturbation.body : 0;
+        if (perturbation) {
+            this.inputs.set(perturbation.force, INPUT_FORCE);
+            this.inputs.set(perturbation.point, INPUT_POINT);
+        }
+        this.inputs.set(inputs.ctrl.subarray(0, this.inputs.length - INPUT_CTRL), INPUT_CTRL);
+        if (!this.shared) { this.worker.postMessage({ type: "inputs", inputs: this.inputs }); }
+        const json = JSON.stringify(settings);
+        if (json !== this.sentSettings) {
+            this.sentSettings = json;
+            this.worker.postMessage({ type: "settings", settings: settings });
+        }
+    }
+
+    /** Resets the worker's simulation (and its locomotion controller) */
+    reset() {
+        this.worker.postMessage({ type: "reset" });
+    }
+
+    /** Resets only the worker's locomotion controller, e.g. to stand back up */
+    resetController() {
+        this.worker.postMessage({ type: "resetController" });
+    }
+
+    /** Writes physics options, e.g. from the page model's getOptions(), into the worker's model */
+    setOptions(options) {
+        this.worker.postMessage({ type: "options", options: options });
+    }
+
+    /** Writes model parameters, from ModelParameters.getValues() of the page, into the worker's model */
+    setParameters(values) {
+        this.worker.postMessage({ type: "parameters", values: values });
+    }
+
+    /** Moves the worker's simulation to the qpos of a keyframe */
+    loadKeyframe(index) {
+        this.worker.postMessage({ type: "keyframe", index: index });
+    }
+
+    /** @returns {Promise<Float64Array>} The worker's simulation state, as Simulation.getState() returns it */
+    getState(spec) {
+        const id = this.nextRequest++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ type: "getState", id: id, spec: spec });
+        });
+    }
+
+    /** Loads a state from getState() into the worker's simulation */
+    setState(state, spec) {
+        this.worker.postMessage({ type: "setState", state: state, spec: spec });
+    }
+
+    /** @returns {Float64Array} Force and torque of a published contact in its frame, like Simulation.contactForce()
+     * @param {number} i Index into contact
+     * @param {Float64Array|null} result Written into when given */
+    contactForce(i, result) {
+        const offset = i * CONTACT_SIZE + 14;
+        const force = this.contactData.subarray(offset, offset + 6);
+        if (!result) { return force.slice(); }
+        result.set(force);
+        return result;
+    }
+
+    /** Blends the last two frames into time and the FRAME_FIELDS. The blend runs one frame behind
+     * the physics: it moves from the previous frame to the current one over the time between their
+     * arrivals. Fields without a blend, contacts and warnings are the current frame's.
+     * @param {number} now performance.now() of the frame being rendered */
+    interpolate(now) {
+        if (!this.ready || this.frames === 0) { return false; }
+        if (this.shared) { this.pollSharedFrame(); }
+        const interval = this.current.arrival - this.previous.arrival;
+        const alpha = interval > 0 ? Math.min(1, Math.max(0, (now - this.current.arrival) / interval)) : 1;
+        const a = this.previous.data, b = this.current.data, layout = this.layout;
+        this.time = a[0] + (b[0] - a[0]) * alpha;
+        for (const field of FRAME_FIELDS) {
+            const values = this[field.name], start = layout.fields[field.name];
+            if (field.blend === "linear") {
+                for (let i = 0; i < values.length; i++) {
+                    values[i] = a[start + i] + (b[start + i] - a[start + i]) * alpha;
+                }
+            } else if (field.blend === "quaternion") {
+                // Normalized lerp of the quaternions, along the shorter arc
+                for (let q = 0; q < values.length; q += 4) {
+                    const qa = start + q;
+                    let dot = 0;
+                    for (let i = 0; i < 4; i++) { dot += a[qa + i] * b[qa + i]; }
+                    const sign = dot < 0 ? -1 : 1;
+                    let norm = 0;
+                    for (let i = 0; i < 4; i++) {
+                        values[q + i] = a[qa + i] * (1 - alpha) + sign * b[qa + i] * alpha;
+                        norm += values[q + i] * values[q + i];
+                    }
+                    norm = Math.sqrt(norm) || 1;
+                    for (let i = 0; i < 4; i++) { values[q + i] /= norm; }
+                }
+            } else {
+                values.set(b.subarray(start, start + values.length));
+            }
+        }
+        if (this.warningStats) {
+            for (let i = 0; i < this.dims.nwarning; i++) {
+                this.warningStats[i] = { lastinfo: b[layout.warnings + i * 2], number: b[layout.warnings + i * 2 + 1] };
+            }
+        }
+        // Contacts are copied, so they stay valid when the frame they came from is reused
+        const ncon = b[layout.ncon];
+        this.contactData.set(b.subarray(layout.contacts, layout.contacts + ncon * CONTACT_SIZE));
+        this.contact.length = ncon;
+        for (let i = 0; i < ncon; i++) {
+            const offset = i * CONTACT_SIZE;
+            this.contact[i] = { geom1: this.contactData[offset], geom2: this.contactData[offset + 1],
+                                pos: this.contactData.subarray(offset + 2, offset + 5),
+                                frame: this.contactData.subarray(offset + 5, offset + 14) };
+        }
+        return true;
+    }
+
+    terminate() {
+        this.worker.terminate();
+    }
+}
@@ -1,4 +1,7 @@
+#include <algorithm>
+#include <array>
 #include <chrono>
+#include <cstdint>
 #include <cstdio>
 #include <cstring>
 #include <string>
@@ -14,35 +17,229 @@
 
 using namespace emscripten;
 
-int finish(const char *msg = NULL, mjModel *m = NULL) {
-  if (m  ) { mj_deleteModel(m); }
-  if (msg) { std::printf("%s\n", msg); }
-  return 0;
+// Components of the simulation state, with the same bit values as mjtState in MuJoCo 3.
+// MuJoCo 2.3.1 has no mj_getState/mj_setState, so Simulation implements them below.
+// Bits 8 (eq_active) and 12 (plugin state) have no counterpart in mjData here.
+enum mjtState {
+  mjSTATE_TIME          = 1<<0,   // time
+  mjSTATE_QPOS          = 1<<1,   // position
+  mjSTATE_QVEL          = 1<<2,   // velocity
+  mjSTATE_ACT           = 1<<3,   // actuator activation
+  mjSTATE_WARMSTART     = 1<<4,   // acceleration used for warmstart
+  mjSTATE_CTRL          = 1<<5,   // control
+  mjSTATE_QFRC_APPLIED  = 1<<6,   // applied generalized force
+  mjSTATE_XFRC_APPLIED  = 1<<7,   // applied Cartesian force/torque
+  mjSTATE_MOCAP_POS     = 1<<9,   // positions of mocap bodies
+  mjSTATE_MOCAP_QUAT    = 1<<10,  // orientations of mocap bodies
+  mjSTATE_USERDATA      = 1<<11,  // user data
+
+  mjNSTATE              = 13,     // number of state bits
+
+  // convenience values for commonly used state specifications
+  mjSTATE_PHYSICS       = mjSTATE_QPOS | mjSTATE_QVEL | mjSTATE_ACT,
+  mjSTATE_FULLPHYSICS   = mjSTATE_PHYSICS | mjSTATE_TIME,
+  mjSTATE_USER          = mjSTATE_CTRL | mjSTATE_QFRC_APPLIED | mjSTATE_XFRC_APPLIED |
+                          mjSTATE_MOCAP_POS | mjSTATE_MOCAP_QUAT | mjSTATE_USERDATA,
+  mjSTATE_INTEGRATION   = mjSTATE_FULLPHYSICS | mjSTATE_USER | mjSTATE_WARMSTART
+};
+
+// The global parameters of mjVisual are an anonymous struct; name it for the bindings
+typedef decltype(mjVisual::global) mjVisualGlobal;
+
+// embind passes fixed-size mjtNum arrays in value_object fields (mjContact::pos, ...)
+// as std::array<mjtNum, N>, which must be registered as a JS array of N numbers.
+template <size_t N, size_t I = 0>
+struct mjtNumArrayElements {
+  static void add(value_array<std::array<mjtNum, N>> &array) {
+    array.element(emscripten::index<I>());
+    mjtNumArrayElements<N, I + 1>::add(array);
+  }
+};
+template <size_t N>
+struct mjtNumArrayElements<N, N> {
+  static void add(value_array<std::array<mjtNum, N>> &array) {}
+};
+template <size_t N>
+void register_mjtNum_array(const char *name) {
+  value_array<std::array<mjtNum, N>> array(name);
+  mjtNumArrayElements<N>::add(array);
+}
+
+// MuJoCo returns NULL for missing names (e.g. mj_id2name of an unnamed body); those become ""
+std::string toString(const char *str) { return str ? std::string(str) : std::string(); }
+
+// Raises a JS Error named "MuJoCoError"; C++ destructors are skipped, so release everything before calling it
+void throwError(const std::string &message) {
+  val error = val::global("Error").new_(message);
+  error.set("name", std::string("MuJoCoError"));
+  error.throw_();
+}
+
+// mju_error must not return; the default handler exits the program, so errors are thrown to JS instead
+void handleError(const char *msg) { throwError(msg); }
+
+// Receives mju_warning messages (including the first of each mjData warning); console.warn when unset
+val *warningHandler = NULL;
+void handleWarning(const char *msg) {
+  if (warningHandler) { (*warningHandler)(std::string(msg)); }
+  else { val::global("console").call<void>("warn", std::string(msg)); }
+}
+void setWarningHandler(val handler) {
+  delete warningHandler;
+  warningHandler = (handler.isUndefined() || handler.isNull()) ? NULL : new val(handler);
+}
+
+// Copies a file into a virtual file system; MuJoCo looks files up by their name without the path.
+// Returns why the file could not be added, or "" when it was
+std::string addFileVFS(mjVFS *vfs, const std::string &name, const void *data, int size) {
+  int result = mj_makeEmptyFileVFS(vfs, name.c_str(), size);
+  if (result != 0) {
+    return result == 1 ? "Too many files for the virtual file system" :
+                         "Two files are named like " + name + "; file names must be unique without their paths";
+  }
+  std::memcpy(vfs->filedata[vfs->nfile - 1], data, size);
+  return "";
+}
+
+// The bytes of a Uint8Array, an ArrayBuffer or a string
+std::vector<uint8_t> bytesFromJS(const val &data) {
+  if (data.isString()) {
+    std::string text = data.as<std::string>();
+    return std::vector<uint8_t>(text.begin(), text.end());
+  }
+  return convertJSArrayToNumberVector<uint8_t>(val::global("Uint8Array").new_(data));
+}
+
+// Copies the files of an object that maps file names to their contents into a virtual file system.
+// Returns why a file could not be added, or ""; its copies are released by then, so callers may throw
+std::string addAssetsVFS(mjVFS *vfs, const val &assets) {
+  if (assets.isUndefined() || assets.isNull()) { return ""; }
+  val names = val::global("Object").call<val>("keys", assets);
+  int nasset = names["length"].as<int>();
+  for (int i = 0; i < nasset; i++) {
+    std::string name = names[i].as<std::string>();
+    std::vector<uint8_t> bytes = bytesFromJS(assets[name]);
+    std::string failure = addFileVFS(vfs, name, bytes.data(), bytes.size());
+    if (!failure.empty()) { return failure; }
+  }
+  return "";
+}
+
+// Checks an array argument of a generated binding before anything is copied, since throwError skips
+// destructors. size is what MuJoCo reads or writes (from the model, the other arguments or a fixed
+// extent); null and undefined are only accepted where nullable, i.e. for outputs and optional inputs.
+void checkArray(const val &array, int size, bool nullable, const char *function, const char *name) {
+  if (array.isNull() || array.isUndefined()) {
+    if (!nullable) { throwError(std::string(function) + ": " + name + " is required"); }
+    return;
+  }
+  int length = array["length"].as<int>();
+  if (size < 0 || length < size) {
+    throwError(std::string(function) + ": " + name + " needs " + std::to_string(size) +
+               " values, got " + std::to_string(length));
+  }
 }
 
+// An array argument of a generated binding: MuJoCo works on a copy of exactly size elements that
+// lives for the duration of the call, so it never keeps pointers into JS-owned or detachable memory
+// and never writes past the end of a short JS array. What MuJoCo wrote is copied back into the JS
+// array with copyBack, and into a new typed array with result. null and undefined are passed as NULL
+// for outputs MuJoCo can skip (optional), like the rotational Jacobian of mj_jac; other outputs get zeros.
+template <typename T>
+class JSArray {
+public:
+  JSArray(val array, int size, bool optional = false)
+      : array(array), given(!array.isNull() && !array.isUndefined()), null(!given && optional) {
+    if (given) { data = convertJSArrayToNumberVector<T>(array); }
+    if (!null) { data.resize(size); }
+  }
+  T *ptr() { return null ? NULL : data.data(); }
+  void copyBack() {
+    if (!given) { return; }
+    for (int i = 0; i < (int)data.size(); i++) { array.set(i, data[i]); }
+  }
+  val result() { return null ? val::null() : val(typed_memory_view(data.size(), data.data())).call<val>("slice"); }
+
+private:
+  val array;
+  bool given;
+  bool null;
+  std::vector<T> data;
+};
+
 class Model {
 public:
   Model() { m = NULL; }
+  explicit Model(mjModel *model) { m = model; }
   Model(const std::string filename) {
     if(0 == filename.compare(filename.length() - 3, 3, "mjb")){
-      char error[1000] = "Could not load mjb model";
-      m = mj_loadModel(filename.c_str(), 0); 
-      if (!m) { finish(error, m); }
+      m = mj_loadModel(filename.c_str(), 0);
+      if (!m) { throwError("Could not load mjb model " + filename); }
     } else {
-      char error[1000] = "Could not load xml model";
-      m = mj_loadXML(filename.c_str(), 0, error, 1000); 
-      if (!m) { finish(error, m); }
+      char error[1000] = "";
+      m = mj_loadXML(filename.c_str(), 0, error, 1000);
+      if (!m) { throwError("Could not load xml model " + filename + ": " + error); }
     }
   }
 
   static Model load_from_xml(const std::string filename) { return Model(filename); }
   static Model load_from_mjb(const std::string filename) { return Model(filename); }
 
+  // Compiles MJCF text; assets maps file names (meshes, textures, included XML) to their contents
+  static Model fromXMLString(const std::string xml, val assets) {
+    mjVFS *vfs = new mjVFS;
+    mj_defaultVFS(vfs);
+    std::string failure = addFileVFS(vfs, "model.xml", xml.data(), xml.size());
+    if (failure.empty()) { failure = addAssetsVFS(vfs, assets); }
+    if (!failure.empty()) {
+      mj_deleteVFS(vfs);
+      delete vfs;
+      throwError(failure);
+    }
+    char error[1000] = "";
+    mjModel *model = mj_loadXML("model.xml", vfs, error, 1000);
+    mj_deleteVFS(vfs);
+    delete vfs;
+    if (!model) { throwError(std::string("Could not load xml model: ") + error); }
+    return Model(model);
+  }
+  static Model fromXMLStringOnly(const std::string xml) { return fromXMLString(xml, val::undefined()); }
+
+  // Loads a binary model written by saveMJB (or mj_saveModel) from an ArrayBuffer or Uint8Array
+  static Model fromMJB(val buffer) {
+    mjVFS *vfs = new mjVFS;
+    mj_defaultVFS(vfs);
+    {
+      // The copy is released before anything can throw; one file always fits an empty file system
+      std::vector<uint8_t> bytes = bytesFromJS(buffer);
+      addFileVFS(vfs, "model.mjb", bytes.data(), bytes.size());
+    }
+    mjModel *model = mj_loadModel("model.mjb", vfs);
+    mj_deleteVFS(vfs);
+    delete vfs;
+    if (!model) { throwError("Could not load mjb model; it must be written by MuJoCo " + std::string(mj_versionString())); }
+    return Model(model);
+  }
+
+  // The compiled model in MuJoCo's binary format, which loads without parsing or compiling
+  val saveMJB() {
+    std::vector<uint8_t> buffer(mj_sizeModel(m));
+    mj_saveModel(m, NULL, buffer.data(), buffer.size());
+    return val::global("Uint8Array").new_(typed_memory_view(buffer.size(), buffer.data()));
+  }
+
   mjModel *ptr       () { return m; }
   mjModel getVal     () { return *m; }
   mjOption getOptions() { return (*m).opt; }
+  void setOptions(mjOption options) { (*m).opt = options; }
+  mjStatistic getStatistic() { return (*m).stat; }
+  mjVisual getVisual  () { return (*m).vis; }
   void free          () { return mju_free(m); }
 
+  // Name lookups by mjtObj type; -1 and "" when there is no such object or name
+  int name2id(int type, const std::string name) { return mj_name2id(m, type, name.c_str()); }
+  std::string id2name(int type, int id) { return toString(mj_id2name(m, type, id)); }
+
   // MJMODEL_DEFINITIONS
   int  nq            () const { return m->nq            ; }
   int  nv            () const { return m->nv            ; }
@@ -487,6 +684,69 @@ public:
     }
   }
 
+  // Number of mjtNums in a state with the components in spec (a bitmask of mjtState)
+  int stateSize(int spec) {
+    int size = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int componentSize = 0;
+      if (spec & (1<<i)) { stateComponent(1<<i, &componentSize); }
+      size += componentSize;
+    }
+    return size;
+  }
+
+  // Copies the components in spec, in bit order, into a new Float64Array
+  val getState(int spec) {
+    std::vector<mjtNum> state(stateSize(spec));
+    int offset = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int size = 0;
+      mjtNum *component = (spec & (1<<i)) ? stateComponent(1<<i, &size) : NULL;
+      if (size > 0) { mju_copy(state.data() + offset, component, size); }
+      offset += size;
+    }
+    return val::global("Float64Array").new_(typed_memory_view(state.size(), state.data()));
+  }
+
+  // Restores the components in spec from an array laid out by getState
+  void setState(val state, int spec) {
+    // Checked before the copy is made, since throwError skips its destructor
+    int length = state["length"].as<int>();
+    if (length != stateSize(spec)) {
+      throwError("setState: expected " + std::to_string(stateSize(spec)) +
+                 " values for this spec, got " + std::to_string(length));
+    }
+    std::vector<mjtNum> values = convertJSArrayToNumberVector<mjtNum>(state);
+    int offset = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int size = 0;
+      mjtNum *component = (spec & (1<<i)) ? stateComponent(1<<i, &size) : NULL;
+      if (size > 0) { mju_copy(component, values.data() + offset, size); }
+      offset += size;
+    }
+  }
+
+  // Simulation time; scalars in mjData are not covered by the generated bindings
+  mjtNum getTime() const { return _state->ptr()->time; }
+  void   setTime(mjtNum time) { _state->ptr()->time = time; }
+
+  // Number of active contacts
+  int ncon() const { return _state->ptr()->ncon; }
+
+  // Copies the active contacts into a new array of mjContact objects
+  val contact() const {
+    val contacts = val::array();
+    for (int i = 0; i < _state->ptr()->ncon; i++) { contacts.set(i, _state->ptr()->contact[i]); }
+    return contacts;
+  }
+
+  // Counters of the warnings raised since the last reset, indexed by mjtWarning
+  val warningStats() const {
+    val result = val::array();
+    for (int i = 0; i < mjNWARNING; i++) { result.call<void>("push", _state->ptr()->warning[i]); }
+    return result;
+  }
+
   // MJDATA_DEFINITIONS
   val  qpos                   () const { return val(typed_memory_view(_model->ptr()->nq              * 1        , _state->ptr()->qpos                   )); }
   val  qvel                   () const { return val(typed_memory_view(_model->ptr()->nv              * 1        , _state->ptr()->qvel                   )); }
@@ -570,18 +830,19 @@ public:
   void   inverse             (                    ) { return mj_inverse                  (_model->ptr(), _state->ptr()); }
   void   forwardSkip         (int skipstage, int skipsensor) { return mj_forwardSkip              (_model->ptr(), _state->ptr(), skipstage, skipsensor); }
   void   inverseSkip         (int skipstage, int skipsensor) { return mj_inverseSkip              (_model->ptr(), _state->ptr(), skipstage, skipsensor); }
-  void   defaultSolRefImp    (val solref, val solimp) { return mj_defaultSolRefImp         (reinterpret_cast<mjtNum*>(solref["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(solimp["byteOffset"].as<int>())); }
+  val    defaultSolRefImp    (val solref, val solimp) { checkArray(solref, mjNREF, true, "mj_defaultSolRefImp", "solref"); checkArray(solimp, mjNIMP, true, "mj_defaultSolRefImp", "solimp"); JSArray<mjtNum> solref_(solref, mjNREF); JSArray<mjtNum> solimp_(solimp, mjNIMP); mj_defaultSolRefImp         (solref_.ptr(), solimp_.ptr()); solref_.copyBack(); solimp_.copyBack(); val result = val::object(); result.set("solref", solref_.result()); result.set("solimp", solimp_.result()); return result; }
   int    sizeModel           (                    ) { return mj_sizeModel                (_model->ptr()       ); }
   void   resetData           (                    ) { return mj_resetData                (_model->ptr(), _state->ptr()); }
   void   resetDataDebug      (unsigned char debug_value) { return mj_resetDataDebug           (_model->ptr(), _state->ptr(), debug_value); }
   void   resetDataKeyframe   (int key             ) { return mj_resetDataKeyframe        (_model->ptr(), _state->ptr(), key); }
   void   deleteData          (                    ) { return mj_deleteData               (_state->ptr()       ); }
   void   resetCallbacks      (                    ) { return mj_resetCallbacks           (                    ); }
+  void   setConst            (                    ) { return mj_setConst                 (_model->ptr(), _state->ptr()); }
   void   printFormattedModel (std::string filename, std::string float_format) { return mj_printFormattedModel      (_model->ptr(), filename.c_str(), float_format.c_str()); }
   void   printModel          (std::string filename) { return mj_printModel               (_model->ptr(), filename.c_str()); }
   void   printFormattedData  (std::string filename, std::string float_format) { return mj_printFormattedData       (_model->ptr(), _state->ptr(), filename.c_str(), float_format.c_str()); }
   void   printData           (std::string filename) { return mj_printData                (_model->ptr(), _state->ptr(), filename.c_str()); }
-  void   _printMat           (val mat, int nr, int nc) { return mju_printMat                (reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), nr, nc); }
+  void   _printMat           (val mat, int nr, int nc) { checkArray(mat, nr*nc, false, "mju_printMat", "mat"); JSArray<mjtNum> mat_(mat, nr*nc); mju_printMat                (mat_.ptr(), nr, nc  ); }
   void   fwdPosition         (                    ) { return mj_fwdPosition              (_model->ptr(), _state->ptr()); }
   void   fwdVelocity         (                    ) { return mj_fwdVelocity              (_model->ptr(), _state->ptr()); }
   void   fwdActuation        (                    ) { return mj_fwdActuation             (_model->ptr(), _state->ptr()); }
@@ -608,39 +869,55 @@ public:
   void   transmission        (                    ) { return mj_transmission             (_model->ptr(), _state->ptr()); }
   void   crbCalculate        (                    ) { return mj_crb                      (_model->ptr(), _state->ptr()); }
   void   factorM             (                    ) { return mj_factorM                  (_model->ptr(), _state->ptr()); }
-  void   solveM              (val x, val y, int n ) { return mj_solveM                   (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(x["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(y["byteOffset"].as<int>()), n); }
-  void   solveM2             (val x, val y, int n ) { return mj_solveM2                  (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(x["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(y["byteOffset"].as<int>()), n); }
+  val    solveM              (val x, val y, int n ) { checkArray(x, n*_model->ptr()->nv, true, "mj_solveM", "x"); checkArray(y, n*_model->ptr()->nv, false, "mj_solveM", "y"); JSArray<mjtNum> x_(x, n*_model->ptr()->nv); JSArray<mjtNum> y_(y, n*_model->ptr()->nv); mj_solveM                   (_model->ptr(), _state->ptr(), x_.ptr(), y_.ptr(), n); x_.copyBack(); return x_.result(); }
+  val    solveM2             (val x, val y, int n ) { checkArray(x, n*_model->ptr()->nv, true, "mj_solveM2", "x"); checkArray(y, n*_model->ptr()->nv, false, "mj_solveM2", "y"); JSArray<mjtNum> x_(x, n*_model->ptr()->nv); JSArray<mjtNum> y_(y, n*_model->ptr()->nv); mj_solveM2                  (_model->ptr(), _state->ptr(), x_.ptr(), y_.ptr(), n); x_.copyBack(); return x_.result(); }
   void   comVel              (                    ) { return mj_comVel                   (_model->ptr(), _state->ptr()); }
   void   passive             (                    ) { return mj_passive                  (_model->ptr(), _state->ptr()); }
   void   subtreeVel          (                    ) { return mj_subtreeVel               (_model->ptr(), _state->ptr()); }
-  void   rne                 (int flg_acc, val result) { return mj_rne                      (_model->ptr(), _state->ptr(), flg_acc, reinterpret_cast<mjtNum*>(result["byteOffset"].as<int>())); }
+  val    rne                 (int flg_acc, val result) { checkArray(result, _model->ptr()->nv, true, "mj_rne", "result"); JSArray<mjtNum> result_(result, _model->ptr()->nv); mj_rne                      (_model->ptr(), _state->ptr(), flg_acc, result_.ptr()); result_.copyBack(); return result_.result(); }
   void   rnePostConstraint   (                    ) { return mj_rnePostConstraint        (_model->ptr(), _state->ptr()); }
   void   collision           (                    ) { return mj_collision                (_model->ptr(), _state->ptr()); }
   void   makeConstraint      (                    ) { return mj_makeConstraint           (_model->ptr(), _state->ptr()); }
   void   projectConstraint   (                    ) { return mj_projectConstraint        (_model->ptr(), _state->ptr()); }
   void   referenceConstraint (                    ) { return mj_referenceConstraint      (_model->ptr(), _state->ptr()); }
+  val    constraintUpdate    (val jar, val cost, int flg_coneHessian) { checkArray(jar, _state->ptr()->nefc, false, "mj_constraintUpdate", "jar"); checkArray(cost, 1, true, "mj_constraintUpdate", "cost"); JSArray<mjtNum> jar_(jar, _state->ptr()->nefc); JSArray<mjtNum> cost_(cost, 1); mj_constraintUpdate         (_model->ptr(), _state->ptr(), jar_.ptr(), cost_.ptr(), flg_coneHessian); cost_.copyBack(); return cost_.result(); }
   int    isPyramidal         (                    ) { return mj_isPyramidal              (_model->ptr()       ); }
   int    isSparse            (                    ) { return mj_isSparse                 (_model->ptr()       ); }
   int    isDual              (                    ) { return mj_isDual                   (_model->ptr()       ); }
-  void   mulJacVec           (val res, val vec    ) { return mj_mulJacVec                (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>())); }
-  void   mulJacTVec          (val res, val vec    ) { return mj_mulJacTVec               (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>())); }
-  void   jacSubtreeCom       (val jacp, int body  ) { return mj_jacSubtreeCom            (_model->ptr(), _state->ptr(), reinterpret_cast<mjtNum*>(jacp["byteOffset"].as<int>()), body); }
+  val    mulJacVec           (val res, val vec    ) { checkArray(res, _state->ptr()->nefc, true, "mj_mulJacVec", "res"); checkArray(vec, _model->ptr()->nv, false, "mj_mulJacVec", "vec"); JSArray<mjtNum> res_(res, _state->ptr()->nefc); JSArray<mjtNum> vec_(vec, _model->ptr()->nv); mj_mulJacVec                (_model->ptr(), _state->ptr(), res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    mulJacTVec          (val res, val vec    ) { checkArray(res, _model->ptr()->nv, true, "mj_mulJacTVec", "res"); checkArray(vec, _state->ptr()->nefc, false, "mj_mulJacTVec", "vec"); JSArray<mjtNum> res_(res, _model->ptr()->nv); JSArray<mjtNum> vec_(vec, _state->ptr()->nefc); mj_mulJacTVec               (_model->ptr(), _state->ptr(), res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    jac                 (val jacp, val jacr, val point, int body) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jac", "jacp"); checkArray(jacr, 3*_model->ptr()->nv, true, "mj_jac", "jacr"); checkArray(point, 3, false, "mj_jac", "point"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv, true); JSArray<mjtNum> jacr_(jacr, 3*_model->ptr()->nv, true); JSArray<mjtNum> point_(point, 3); mj_jac                      (_model->ptr(), _state->ptr(), jacp_.ptr(), jacr_.ptr(), point_.ptr(), body); jacp_.copyBack(); jacr_.copyBack(); val result = val::object(); result.set("jacp", jacp_.result()); result.set("jacr", jacr_.result()); return result; }
+  val    jacBody             (val jacp, val jacr, int body) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jacBody", "jacp"); checkArray(jacr, 3*_model->ptr()->nv, true, "mj_jacBody", "jacr"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv, true); JSArray<mjtNum> jacr_(jacr, 3*_model->ptr()->nv, true); mj_jacBody                  (_model->ptr(), _state->ptr(), jacp_.ptr(), jacr_.ptr(), body); jacp_.copyBack(); jacr_.copyBack(); val result = val::object(); result.set("jacp", jacp_.result()); result.set("jacr", jacr_.result()); return result; }
+  val    jacBodyCom          (val jacp, val jacr, int body) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jacBodyCom", "jacp"); checkArray(jacr, 3*_model->ptr()->nv, true, "mj_jacBodyCom", "jacr"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv, true); JSArray<mjtNum> jacr_(jacr, 3*_model->ptr()->nv, true); mj_jacBodyCom               (_model->ptr(), _state->ptr(), jacp_.ptr(), jacr_.ptr(), body); jacp_.copyBack(); jacr_.copyBack(); val result = val::object(); result.set("jacp", jacp_.result()); result.set("jacr", jacr_.result()); return result; }
+  val    jacSubtreeCom       (val jacp, int body  ) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jacSubtreeCom", "jacp"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv); mj_jacSubtreeCom            (_model->ptr(), _state->ptr(), jacp_.ptr(), body); jacp_.copyBack(); return jacp_.result(); }
+  val    jacGeom             (val jacp, val jacr, int geom) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jacGeom", "jacp"); checkArray(jacr, 3*_model->ptr()->nv, true, "mj_jacGeom", "jacr"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv, true); JSArray<mjtNum> jacr_(jacr, 3*_model->ptr()->nv, true); mj_jacGeom                  (_model->ptr(), _state->ptr(), jacp_.ptr(), jacr_.ptr(), geom); jacp_.copyBack(); jacr_.copyBack(); val result = val::object(); result.set("jacp", jacp_.result()); result.set("jacr", jacr_.result()); return result; }
+  val    jacSite             (val jacp, val jacr, int site) { checkArray(jacp, 3*_model->ptr()->nv, true, "mj_jacSite", "jacp"); checkArray(jacr, 3*_model->ptr()->nv, true, "mj_jacSite", "jacr"); JSArray<mjtNum> jacp_(jacp, 3*_model->ptr()->nv, true); JSArray<mjtNum> jacr_(jacr, 3*_model->ptr()->nv, true); mj_jacSite                  (_model->ptr(), _state->ptr(), jacp_.ptr(), jacr_.ptr(), site); jacp_.copyBack(); jacr_.copyBack(); val result = val::object(); result.set("jacp", jacp_.result()); result.set("jacr", jacr_.result()); return result; }
+  val    jacPointAxis        (val jacPoint, val jacAxis, val point, val axis, int body) { checkArray(jacPoint, 3*_model->ptr()->nv, true, "mj_jacPointAxis", "jacPoint"); checkArray(jacAxis, 3*_model->ptr()->nv, true, "mj_jacPointAxis", "jacAxis"); checkArray(point, 3, false, "mj_jacPointAxis", "point"); checkArray(axis, 3, false, "mj_jacPointAxis", "axis"); JSArray<mjtNum> jacPoint_(jacPoint, 3*_model->ptr()->nv); JSArray<mjtNum> jacAxis_(jacAxis, 3*_model->ptr()->nv); JSArray<mjtNum> point_(point, 3); JSArray<mjtNum> axis_(axis, 3); mj_jacPointAxis             (_model->ptr(), _state->ptr(), jacPoint_.ptr(), jacAxis_.ptr(), point_.ptr(), axis_.ptr(), body); jacPoint_.copyBack(); jacAxis_.copyBack(); val result = val::object(); result.set("jacPoint", jacPoint_.result()); result.set("jacAxis", jacAxis_.result()); return result; }
   int    name2id             (int type, std::string name) { return mj_name2id                  (_model->ptr(), type, name.c_str()); }
-  std::string id2name             (int type, int id    ) { return std::string(mj_id2name                  (_model->ptr(), type, id)); }
-  void   fullM               (val dst, val M      ) { return mj_fullM                    (_model->ptr(), reinterpret_cast<mjtNum*>(dst["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(M["byteOffset"].as<int>())); }
-  void   differentiatePos    (val qvel, mjtNum dt, val qpos1, val qpos2) { return mj_differentiatePos         (_model->ptr(), reinterpret_cast<mjtNum*>(qvel["byteOffset"].as<int>()), dt, reinterpret_cast<mjtNum*>(qpos1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(qpos2["byteOffset"].as<int>())); }
-  void   integratePos        (val qpos, val qvel, mjtNum dt) { return mj_integratePos             (_model->ptr(), reinterpret_cast<mjtNum*>(qpos["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(qvel["byteOffset"].as<int>()), dt); }
-  void   normalizeQuat       (val qpos            ) { return mj_normalizeQuat            (_model->ptr(), reinterpret_cast<mjtNum*>(qpos["byteOffset"].as<int>())); }
+  std::string id2name             (int type, int id    ) { return toString(mj_id2name                  (_model->ptr(), type, id)); }
+  val    fullM               (val dst, val M      ) { checkArray(dst, _model->ptr()->nv*_model->ptr()->nv, true, "mj_fullM", "dst"); checkArray(M, _model->ptr()->nM, false, "mj_fullM", "M"); JSArray<mjtNum> dst_(dst, _model->ptr()->nv*_model->ptr()->nv); JSArray<mjtNum> M_(M, _model->ptr()->nM); mj_fullM                    (_model->ptr(), dst_.ptr(), M_.ptr()); dst_.copyBack(); return dst_.result(); }
+  val    mulM                (val res, val vec    ) { checkArray(res, _model->ptr()->nv, true, "mj_mulM", "res"); checkArray(vec, _model->ptr()->nv, false, "mj_mulM", "vec"); JSArray<mjtNum> res_(res, _model->ptr()->nv); JSArray<mjtNum> vec_(vec, _model->ptr()->nv); mj_mulM                     (_model->ptr(), _state->ptr(), res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    mulM2               (val res, val vec    ) { checkArray(res, _model->ptr()->nv, true, "mj_mulM2", "res"); checkArray(vec, _model->ptr()->nv, false, "mj_mulM2", "vec"); JSArray<mjtNum> res_(res, _model->ptr()->nv); JSArray<mjtNum> vec_(vec, _model->ptr()->nv); mj_mulM2                    (_model->ptr(), _state->ptr(), res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    applyFT             (val force, val torque, val point, int body, val qfrc_target) { checkArray(force, 3, false, "mj_applyFT", "force"); checkArray(torque, 3, false, "mj_applyFT", "torque"); checkArray(point, 3, false, "mj_applyFT", "point"); checkArray(qfrc_target, _model->ptr()->nv, true, "mj_applyFT", "qfrc_target"); JSArray<mjtNum> force_(force, 3); JSArray<mjtNum> torque_(torque, 3); JSArray<mjtNum> point_(point, 3); JSArray<mjtNum> qfrc_target_(qfrc_target, _model->ptr()->nv); mj_applyFT                  (_model->ptr(), _state->ptr(), force_.ptr(), torque_.ptr(), point_.ptr(), body, qfrc_target_.ptr()); qfrc_target_.copyBack(); return qfrc_target_.result(); }
+  val    objectVelocity      (int objtype, int objid, val res, int flg_local) { checkArray(res, 6, true, "mj_objectVelocity", "res"); JSArray<mjtNum> res_(res, 6); mj_objectVelocity           (_model->ptr(), _state->ptr(), objtype, objid, res_.ptr(), flg_local); res_.copyBack(); return res_.result(); }
+  val    objectAcceleration  (int objtype, int objid, val res, int flg_local) { checkArray(res, 6, true, "mj_objectAcceleration", "res"); JSArray<mjtNum> res_(res, 6); mj_objectAcceleration       (_model->ptr(), _state->ptr(), objtype, objid, res_.ptr(), flg_local); res_.copyBack(); return res_.result(); }
+  val    contactForce        (int id, val result  ) { checkArray(result, 6, true, "mj_contactForce", "result"); JSArray<mjtNum> result_(result, 6); mj_contactForce             (_model->ptr(), _state->ptr(), id, result_.ptr()); result_.copyBack(); return result_.result(); }
+  val    differentiatePos    (val qvel, mjtNum dt, val qpos1, val qpos2) { checkArray(qvel, _model->ptr()->nv, true, "mj_differentiatePos", "qvel"); checkArray(qpos1, _model->ptr()->nq, false, "mj_differentiatePos", "qpos1"); checkArray(qpos2, _model->ptr()->nq, false, "mj_differentiatePos", "qpos2"); JSArray<mjtNum> qvel_(qvel, _model->ptr()->nv); JSArray<mjtNum> qpos1_(qpos1, _model->ptr()->nq); JSArray<mjtNum> qpos2_(qpos2, _model->ptr()->nq); mj_differentiatePos         (_model->ptr(), qvel_.ptr(), dt, qpos1_.ptr(), qpos2_.ptr()); qvel_.copyBack(); return qvel_.result(); }
+  val    integratePos        (val qpos, val qvel, mjtNum dt) { checkArray(qpos, _model->ptr()->nq, true, "mj_integratePos", "qpos"); checkArray(qvel, _model->ptr()->nv, false, "mj_integratePos", "qvel"); JSArray<mjtNum> qpos_(qpos, _model->ptr()->nq); JSArray<mjtNum> qvel_(qvel, _model->ptr()->nv); mj_integratePos             (_model->ptr(), qpos_.ptr(), qvel_.ptr(), dt); qpos_.copyBack(); return qpos_.result(); }
+  val    normalizeQuat       (val qpos            ) { checkArray(qpos, _model->ptr()->nq, true, "mj_normalizeQuat", "qpos"); JSArray<mjtNum> qpos_(qpos, _model->ptr()->nq); mj_normalizeQuat            (_model->ptr(), qpos_.ptr()); qpos_.copyBack(); return qpos_.result(); }
+  val    local2Global        (val xpos, val xmat, val pos, val quat, int body, mjtByte sameframe) { checkArray(xpos, 3, true, "mj_local2Global", "xpos"); checkArray(xmat, 9, true, "mj_local2Global", "xmat"); checkArray(pos, 3, false, "mj_local2Global", "pos"); checkArray(quat, 4, false, "mj_local2Global", "quat"); JSArray<mjtNum> xpos_(xpos, 3); JSArray<mjtNum> xmat_(xmat, 9); JSArray<mjtNum> pos_(pos, 3); JSArray<mjtNum> quat_(quat, 4); mj_local2Global             (_state->ptr(), xpos_.ptr(), xmat_.ptr(), pos_.ptr(), quat_.ptr(), body, sameframe); xpos_.copyBack(); xmat_.copyBack(); val result = val::object(); result.set("xpos", xpos_.result()); result.set("xmat", xmat_.result()); return result; }
   mjtNum getTotalmass        (                    ) { return mj_getTotalmass             (_model->ptr()       ); }
-  std::string getPluginConfig     (int plugin_id, std::string attrib) { return std::string(mj_getPluginConfig          (_model->ptr(), plugin_id, attrib.c_str())); }
+  void   setTotalmass        (mjtNum newmass      ) { return mj_setTotalmass             (_model->ptr(), newmass); }
+  std::string getPluginConfig     (int plugin_id, std::string attrib) { return toString(mj_getPluginConfig          (_model->ptr(), plugin_id, attrib.c_str())); }
   void   loadPluginLibrary   (std::string path    ) { return mj_loadPluginLibrary        (path.c_str()        ); }
   int    version             (                    ) { return mj_version                  (                    ); }
-  std::string versionString       (                    ) { return std::string(mj_versionString            (                    )); }
-  void   _rectangle          (mjrRect viewport, float r, float g, float b, float a) { return mjr_rectangle               (viewport, r, g, b, a); }
-  void   _finish             (                    ) { return mjr_finish                  (                    ); }
-  int    _getError           (                    ) { return mjr_getError                (                    ); }
-  mjuiThemeSpacing i_themeSpacing      (int ind             ) { return mjui_themeSpacing           (ind                 ); }
-  mjuiThemeColor i_themeColor        (int ind             ) { return mjui_themeColor             (ind                 ); }
+  std::string versionString       (                    ) { return toString(mj_versionString            (                    )); }
+  mjtNum ray                 (val pnt, val vec, val geomgroup, mjtByte flg_static, int bodyexclude, val geomid) { checkArray(pnt, 3, false, "mj_ray", "pnt"); checkArray(vec, 3, false, "mj_ray", "vec"); checkArray(geomgroup, mjNGROUP, true, "mj_ray", "geomgroup"); checkArray(geomid, 1, true, "mj_ray", "geomid"); JSArray<mjtNum> pnt_(pnt, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<mjtByte> geomgroup_(geomgroup, mjNGROUP, true); JSArray<int> geomid_(geomid, 1); mjtNum result = mj_ray                      (_model->ptr(), _state->ptr(), pnt_.ptr(), vec_.ptr(), geomgroup_.ptr(), flg_static, bodyexclude, geomid_.ptr()); geomid_.copyBack(); return result; }
+  mjtNum rayHfield           (int geomid, val pnt, val vec) { checkArray(pnt, 3, false, "mj_rayHfield", "pnt"); checkArray(vec, 3, false, "mj_rayHfield", "vec"); JSArray<mjtNum> pnt_(pnt, 3); JSArray<mjtNum> vec_(vec, 3); mjtNum result = mj_rayHfield                (_model->ptr(), _state->ptr(), geomid, pnt_.ptr(), vec_.ptr()); return result; }
+  mjtNum rayMesh             (int geomid, val pnt, val vec) { checkArray(pnt, 3, false, "mj_rayMesh", "pnt"); checkArray(vec, 3, false, "mj_rayMesh", "vec"); JSArray<mjtNum> pnt_(pnt, 3); JSArray<mjtNum> vec_(vec, 3); mjtNum result = mj_rayMesh                  (_model->ptr(), _state->ptr(), geomid, pnt_.ptr(), vec_.ptr()); return result; }
+  mjtNum _rayGeom            (val pos, val mat, val size, val pnt, val vec, int geomtype) { checkArray(pos, 3, false, "mju_rayGeom", "pos"); checkArray(mat, 9, false, "mju_rayGeom", "mat"); checkArray(size, 3, false, "mju_rayGeom", "size"); checkArray(pnt, 3, false, "mju_rayGeom", "pnt"); checkArray(vec, 3, false, "mju_rayGeom", "vec"); JSArray<mjtNum> pos_(pos, 3); JSArray<mjtNum> mat_(mat, 9); JSArray<mjtNum> size_(size, 3); JSArray<mjtNum> pnt_(pnt, 3); JSArray<mjtNum> vec_(vec, 3); mjtNum result = mju_rayGeom                 (pos_.ptr(), mat_.ptr(), size_.ptr(), pnt_.ptr(), vec_.ptr(), geomtype); return result; }
+  mjtNum _raySkin            (int nface, int nvert, val face, val vert, val pnt, val vec, val vertid) { checkArray(face, 3*nface, false, "mju_raySkin", "face"); checkArray(vert, 3*nvert, false, "mju_raySkin", "vert"); checkArray(pnt, 3, false, "mju_raySkin", "pnt"); checkArray(vec, 3, false, "mju_raySkin", "vec"); checkArray(vertid, 1, true, "mju_raySkin", "vertid"); JSArray<int> face_(face, 3*nface); JSArray<float> vert_(vert, 3*nvert); JSArray<mjtNum> pnt_(pnt, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<int> vertid_(vertid, 1); mjtNum result = mju_raySkin                 (nface, nvert, face_.ptr(), vert_.ptr(), pnt_.ptr(), vec_.ptr(), vertid_.ptr()); vertid_.copyBack(); return result; }
+  val    _alignToCamera      (val res, val vec, val forward) { checkArray(res, 3, true, "mjv_alignToCamera", "res"); checkArray(vec, 3, false, "mjv_alignToCamera", "vec"); checkArray(forward, 3, false, "mjv_alignToCamera", "forward"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<mjtNum> forward_(forward, 3); mjv_alignToCamera           (res_.ptr(), vec_.ptr(), forward_.ptr()); res_.copyBack(); return res_.result(); }
   void   _error              (std::string msg     ) { return mju_error                   (msg.c_str()         ); }
   void   _error_i            (std::string msg, int i) { return mju_error_i                 (msg.c_str(), i      ); }
   void   _error_s            (std::string msg, std::string text) { return mju_error_s                 (msg.c_str(), text.c_str()); }
@@ -652,59 +929,123 @@ public:
   void   _writeLog           (std::string type, std::string msg) { return mju_writeLog                (type.c_str(), msg.c_str()); }
   int    activate            (std::string filename) { return mj_activate                 (filename.c_str()    ); }
   void   deactivate          (                    ) { return mj_deactivate               (                    ); }
-  void   _zero               (val res, int n      ) { return mju_zero                    (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), n); }
-  void   _fill               (val res, mjtNum val, int n) { return mju_fill                    (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), val, n); }
-  void   _copy               (val res, val data, int n) { return mju_copy                    (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(data["byteOffset"].as<int>()), n); }
-  mjtNum _sum                (val vec, int n      ) { return mju_sum                     (reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  mjtNum _L1                 (val vec, int n      ) { return mju_L1                      (reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  void   _scl                (val res, val vec, mjtNum scl, int n) { return mju_scl                     (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), scl, n); }
-  void   _add                (val res, val vec1, val vec2, int n) { return mju_add                     (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec2["byteOffset"].as<int>()), n); }
-  void   _sub                (val res, val vec1, val vec2, int n) { return mju_sub                     (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec2["byteOffset"].as<int>()), n); }
-  void   _addTo              (val res, val vec, int n) { return mju_addTo                   (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  void   _subFrom            (val res, val vec, int n) { return mju_subFrom                 (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  void   _addToScl           (val res, val vec, mjtNum scl, int n) { return mju_addToScl                (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), scl, n); }
-  void   _addScl             (val res, val vec1, val vec2, mjtNum scl, int n) { return mju_addScl                  (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec2["byteOffset"].as<int>()), scl, n); }
-  mjtNum _normalize          (val res, int n      ) { return mju_normalize               (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), n); }
-  mjtNum _norm               (val res, int n      ) { return mju_norm                    (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), n); }
-  mjtNum _dot                (val vec1, val vec2, int n) { return mju_dot                     (reinterpret_cast<mjtNum*>(vec1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec2["byteOffset"].as<int>()), n); }
-  void   _mulMatVec          (val res, val mat, val vec, int nr, int nc) { return mju_mulMatVec               (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), nr, nc); }
-  void   _mulMatTVec         (val res, val mat, val vec, int nr, int nc) { return mju_mulMatTVec              (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), nr, nc); }
-  mjtNum _mulVecMatVec       (val vec1, val mat, val vec2, int n) { return mju_mulVecMatVec            (reinterpret_cast<mjtNum*>(vec1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec2["byteOffset"].as<int>()), n); }
-  void   _transpose          (val res, val mat, int nr, int nc) { return mju_transpose               (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), nr, nc); }
-  void   _symmetrize         (val res, val mat, int n) { return mju_symmetrize              (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), n); }
-  void   _eye                (val mat, int n      ) { return mju_eye                     (reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), n); }
-  void   _mulMatMat          (val res, val mat1, val mat2, int r1, int c1, int c2) { return mju_mulMatMat               (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat2["byteOffset"].as<int>()), r1, c1, c2); }
-  void   _mulMatMatT         (val res, val mat1, val mat2, int r1, int c1, int r2) { return mju_mulMatMatT              (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat2["byteOffset"].as<int>()), r1, c1, r2); }
-  void   _mulMatTMat         (val res, val mat1, val mat2, int r1, int c1, int c2) { return mju_mulMatTMat              (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat1["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat2["byteOffset"].as<int>()), r1, c1, c2); }
-  void   _sqrMatTD           (val res, val mat, val diag, int nr, int nc) { return mju_sqrMatTD                (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(diag["byteOffset"].as<int>()), nr, nc); }
-  int    _cholFactor         (val mat, int n, mjtNum mindiag) { return mju_cholFactor              (reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), n, mindiag); }
-  void   _cholSolve          (val res, val mat, val vec, int n) { return mju_cholSolve               (reinterpret_cast<mjtNum*>(res["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  int    _cholUpdate         (val mat, val x, int n, int flg_plus) { return mju_cholUpdate              (reinterpret_cast<mjtNum*>(mat["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(x["byteOffset"].as<int>()), n, flg_plus); }
-  void   _encodePyramid      (val pyramid, val force, val mu, int dim) { return mju_encodePyramid           (reinterpret_cast<mjtNum*>(pyramid["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(force["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mu["byteOffset"].as<int>()), dim); }
-  void   _decodePyramid      (val force, val pyramid, val mu, int dim) { return mju_decodePyramid           (reinterpret_cast<mjtNum*>(force["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(pyramid["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(mu["byteOffset"].as<int>()), dim); }
+  val    _zero3              (val res             ) { checkArray(res, 3, true, "mju_zero3", "res"); JSArray<mjtNum> res_(res, 3); mju_zero3                   (res_.ptr()          ); res_.copyBack(); return res_.result(); }
+  val    _copy3              (val res, val data   ) { checkArray(res, 3, true, "mju_copy3", "res"); checkArray(data, 3, false, "mju_copy3", "data"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> data_(data, 3); mju_copy3                   (res_.ptr(), data_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _scl3               (val res, val vec, mjtNum scl) { checkArray(res, 3, true, "mju_scl3", "res"); checkArray(vec, 3, false, "mju_scl3", "vec"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); mju_scl3                    (res_.ptr(), vec_.ptr(), scl); res_.copyBack(); return res_.result(); }
+  val    _add3               (val res, val vec1, val vec2) { checkArray(res, 3, true, "mju_add3", "res"); checkArray(vec1, 3, false, "mju_add3", "vec1"); checkArray(vec2, 3, false, "mju_add3", "vec2"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec1_(vec1, 3); JSArray<mjtNum> vec2_(vec2, 3); mju_add3                    (res_.ptr(), vec1_.ptr(), vec2_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _sub3               (val res, val vec1, val vec2) { checkArray(res, 3, true, "mju_sub3", "res"); checkArray(vec1, 3, false, "mju_sub3", "vec1"); checkArray(vec2, 3, false, "mju_sub3", "vec2"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec1_(vec1, 3); JSArray<mjtNum> vec2_(vec2, 3); mju_sub3                    (res_.ptr(), vec1_.ptr(), vec2_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _addTo3             (val res, val vec    ) { checkArray(res, 3, true, "mju_addTo3", "res"); checkArray(vec, 3, false, "mju_addTo3", "vec"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); mju_addTo3                  (res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _subFrom3           (val res, val vec    ) { checkArray(res, 3, true, "mju_subFrom3", "res"); checkArray(vec, 3, false, "mju_subFrom3", "vec"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); mju_subFrom3                (res_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _addToScl3          (val res, val vec, mjtNum scl) { checkArray(res, 3, true, "mju_addToScl3", "res"); checkArray(vec, 3, false, "mju_addToScl3", "vec"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); mju_addToScl3               (res_.ptr(), vec_.ptr(), scl); res_.copyBack(); return res_.result(); }
+  val    _addScl3            (val res, val vec1, val vec2, mjtNum scl) { checkArray(res, 3, true, "mju_addScl3", "res"); checkArray(vec1, 3, false, "mju_addScl3", "vec1"); checkArray(vec2, 3, false, "mju_addScl3", "vec2"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec1_(vec1, 3); JSArray<mjtNum> vec2_(vec2, 3); mju_addScl3                 (res_.ptr(), vec1_.ptr(), vec2_.ptr(), scl); res_.copyBack(); return res_.result(); }
+  mjtNum _normalize3         (val res             ) { checkArray(res, 3, true, "mju_normalize3", "res"); JSArray<mjtNum> res_(res, 3); mjtNum result = mju_normalize3              (res_.ptr()          ); res_.copyBack(); return result; }
+  mjtNum _norm3              (val vec             ) { checkArray(vec, 3, false, "mju_norm3", "vec"); JSArray<mjtNum> vec_(vec, 3); mjtNum result = mju_norm3                   (vec_.ptr()          ); return result; }
+  mjtNum _dot3               (val vec1, val vec2  ) { checkArray(vec1, 3, false, "mju_dot3", "vec1"); checkArray(vec2, 3, false, "mju_dot3", "vec2"); JSArray<mjtNum> vec1_(vec1, 3); JSArray<mjtNum> vec2_(vec2, 3); mjtNum result = mju_dot3                    (vec1_.ptr(), vec2_.ptr()); return result; }
+  mjtNum _dist3              (val pos1, val pos2  ) { checkArray(pos1, 3, false, "mju_dist3", "pos1"); checkArray(pos2, 3, false, "mju_dist3", "pos2"); JSArray<mjtNum> pos1_(pos1, 3); JSArray<mjtNum> pos2_(pos2, 3); mjtNum result = mju_dist3                   (pos1_.ptr(), pos2_.ptr()); return result; }
+  val    _rotVecMat          (val res, val vec, val mat) { checkArray(res, 3, true, "mju_rotVecMat", "res"); checkArray(vec, 3, false, "mju_rotVecMat", "vec"); checkArray(mat, 9, false, "mju_rotVecMat", "mat"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<mjtNum> mat_(mat, 9); mju_rotVecMat               (res_.ptr(), vec_.ptr(), mat_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _rotVecMatT         (val res, val vec, val mat) { checkArray(res, 3, true, "mju_rotVecMatT", "res"); checkArray(vec, 3, false, "mju_rotVecMatT", "vec"); checkArray(mat, 9, false, "mju_rotVecMatT", "mat"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<mjtNum> mat_(mat, 9); mju_rotVecMatT              (res_.ptr(), vec_.ptr(), mat_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _cross              (val res, val a, val b) { checkArray(res, 3, true, "mju_cross", "res"); checkArray(a, 3, false, "mju_cross", "a"); checkArray(b, 3, false, "mju_cross", "b"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> a_(a, 3); JSArray<mjtNum> b_(b, 3); mju_cross                   (res_.ptr(), a_.ptr(), b_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _zero4              (val res             ) { checkArray(res, 4, true, "mju_zero4", "res"); JSArray<mjtNum> res_(res, 4); mju_zero4                   (res_.ptr()          ); res_.copyBack(); return res_.result(); }
+  val    _unit4              (val res             ) { checkArray(res, 4, true, "mju_unit4", "res"); JSArray<mjtNum> res_(res, 4); mju_unit4                   (res_.ptr()          ); res_.copyBack(); return res_.result(); }
+  val    _copy4              (val res, val data   ) { checkArray(res, 4, true, "mju_copy4", "res"); checkArray(data, 4, false, "mju_copy4", "data"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> data_(data, 4); mju_copy4                   (res_.ptr(), data_.ptr()); res_.copyBack(); return res_.result(); }
+  mjtNum _normalize4         (val res             ) { checkArray(res, 4, true, "mju_normalize4", "res"); JSArray<mjtNum> res_(res, 4); mjtNum result = mju_normalize4              (res_.ptr()          ); res_.copyBack(); return result; }
+  val    _zero               (val res, int n      ) { checkArray(res, n, true, "mju_zero", "res"); JSArray<mjtNum> res_(res, n); mju_zero                    (res_.ptr(), n       ); res_.copyBack(); return res_.result(); }
+  val    _fill               (val res, mjtNum val, int n) { checkArray(res, n, true, "mju_fill", "res"); JSArray<mjtNum> res_(res, n); mju_fill                    (res_.ptr(), val, n  ); res_.copyBack(); return res_.result(); }
+  val    _copy               (val res, val data, int n) { checkArray(res, n, true, "mju_copy", "res"); checkArray(data, n, false, "mju_copy", "data"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> data_(data, n); mju_copy                    (res_.ptr(), data_.ptr(), n); res_.copyBack(); return res_.result(); }
+  mjtNum _sum                (val vec, int n      ) { checkArray(vec, n, false, "mju_sum", "vec"); JSArray<mjtNum> vec_(vec, n); mjtNum result = mju_sum                     (vec_.ptr(), n       ); return result; }
+  mjtNum _L1                 (val vec, int n      ) { checkArray(vec, n, false, "mju_L1", "vec"); JSArray<mjtNum> vec_(vec, n); mjtNum result = mju_L1                      (vec_.ptr(), n       ); return result; }
+  val    _scl                (val res, val vec, mjtNum scl, int n) { checkArray(res, n, true, "mju_scl", "res"); checkArray(vec, n, false, "mju_scl", "vec"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec_(vec, n); mju_scl                     (res_.ptr(), vec_.ptr(), scl, n); res_.copyBack(); return res_.result(); }
+  val    _add                (val res, val vec1, val vec2, int n) { checkArray(res, n, true, "mju_add", "res"); checkArray(vec1, n, false, "mju_add", "vec1"); checkArray(vec2, n, false, "mju_add", "vec2"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec1_(vec1, n); JSArray<mjtNum> vec2_(vec2, n); mju_add                     (res_.ptr(), vec1_.ptr(), vec2_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _sub                (val res, val vec1, val vec2, int n) { checkArray(res, n, true, "mju_sub", "res"); checkArray(vec1, n, false, "mju_sub", "vec1"); checkArray(vec2, n, false, "mju_sub", "vec2"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec1_(vec1, n); JSArray<mjtNum> vec2_(vec2, n); mju_sub                     (res_.ptr(), vec1_.ptr(), vec2_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _addTo              (val res, val vec, int n) { checkArray(res, n, true, "mju_addTo", "res"); checkArray(vec, n, false, "mju_addTo", "vec"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec_(vec, n); mju_addTo                   (res_.ptr(), vec_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _subFrom            (val res, val vec, int n) { checkArray(res, n, true, "mju_subFrom", "res"); checkArray(vec, n, false, "mju_subFrom", "vec"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec_(vec, n); mju_subFrom                 (res_.ptr(), vec_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _addToScl           (val res, val vec, mjtNum scl, int n) { checkArray(res, n, true, "mju_addToScl", "res"); checkArray(vec, n, false, "mju_addToScl", "vec"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec_(vec, n); mju_addToScl                (res_.ptr(), vec_.ptr(), scl, n); res_.copyBack(); return res_.result(); }
+  val    _addScl             (val res, val vec1, val vec2, mjtNum scl, int n) { checkArray(res, n, true, "mju_addScl", "res"); checkArray(vec1, n, false, "mju_addScl", "vec1"); checkArray(vec2, n, false, "mju_addScl", "vec2"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> vec1_(vec1, n); JSArray<mjtNum> vec2_(vec2, n); mju_addScl                  (res_.ptr(), vec1_.ptr(), vec2_.ptr(), scl, n); res_.copyBack(); return res_.result(); }
+  mjtNum _normalize          (val res, int n      ) { checkArray(res, n, true, "mju_normalize", "res"); JSArray<mjtNum> res_(res, n); mjtNum result = mju_normalize               (res_.ptr(), n       ); res_.copyBack(); return result; }
+  mjtNum _norm               (val res, int n      ) { checkArray(res, n, false, "mju_norm", "res"); JSArray<mjtNum> res_(res, n); mjtNum result = mju_norm                    (res_.ptr(), n       ); return result; }
+  mjtNum _dot                (val vec1, val vec2, int n) { checkArray(vec1, n, false, "mju_dot", "vec1"); checkArray(vec2, n, false, "mju_dot", "vec2"); JSArray<mjtNum> vec1_(vec1, n); JSArray<mjtNum> vec2_(vec2, n); mjtNum result = mju_dot                     (vec1_.ptr(), vec2_.ptr(), n); return result; }
+  val    _mulMatVec          (val res, val mat, val vec, int nr, int nc) { checkArray(res, nr, true, "mju_mulMatVec", "res"); checkArray(mat, nr*nc, false, "mju_mulMatVec", "mat"); checkArray(vec, nc, false, "mju_mulMatVec", "vec"); JSArray<mjtNum> res_(res, nr); JSArray<mjtNum> mat_(mat, nr*nc); JSArray<mjtNum> vec_(vec, nc); mju_mulMatVec               (res_.ptr(), mat_.ptr(), vec_.ptr(), nr, nc); res_.copyBack(); return res_.result(); }
+  val    _mulMatTVec         (val res, val mat, val vec, int nr, int nc) { checkArray(res, nc, true, "mju_mulMatTVec", "res"); checkArray(mat, nr*nc, false, "mju_mulMatTVec", "mat"); checkArray(vec, nr, false, "mju_mulMatTVec", "vec"); JSArray<mjtNum> res_(res, nc); JSArray<mjtNum> mat_(mat, nr*nc); JSArray<mjtNum> vec_(vec, nr); mju_mulMatTVec              (res_.ptr(), mat_.ptr(), vec_.ptr(), nr, nc); res_.copyBack(); return res_.result(); }
+  mjtNum _mulVecMatVec       (val vec1, val mat, val vec2, int n) { checkArray(vec1, n, false, "mju_mulVecMatVec", "vec1"); checkArray(mat, n*n, false, "mju_mulVecMatVec", "mat"); checkArray(vec2, n, false, "mju_mulVecMatVec", "vec2"); JSArray<mjtNum> vec1_(vec1, n); JSArray<mjtNum> mat_(mat, n*n); JSArray<mjtNum> vec2_(vec2, n); mjtNum result = mju_mulVecMatVec            (vec1_.ptr(), mat_.ptr(), vec2_.ptr(), n); return result; }
+  val    _transpose          (val res, val mat, int nr, int nc) { checkArray(res, nr*nc, true, "mju_transpose", "res"); checkArray(mat, nr*nc, false, "mju_transpose", "mat"); JSArray<mjtNum> res_(res, nr*nc); JSArray<mjtNum> mat_(mat, nr*nc); mju_transpose               (res_.ptr(), mat_.ptr(), nr, nc); res_.copyBack(); return res_.result(); }
+  val    _symmetrize         (val res, val mat, int n) { checkArray(res, n*n, true, "mju_symmetrize", "res"); checkArray(mat, n*n, false, "mju_symmetrize", "mat"); JSArray<mjtNum> res_(res, n*n); JSArray<mjtNum> mat_(mat, n*n); mju_symmetrize              (res_.ptr(), mat_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _eye                (val mat, int n      ) { checkArray(mat, n*n, true, "mju_eye", "mat"); JSArray<mjtNum> mat_(mat, n*n); mju_eye                     (mat_.ptr(), n       ); mat_.copyBack(); return mat_.result(); }
+  val    _mulMatMat          (val res, val mat1, val mat2, int r1, int c1, int c2) { checkArray(res, r1*c2, true, "mju_mulMatMat", "res"); checkArray(mat1, r1*c1, false, "mju_mulMatMat", "mat1"); checkArray(mat2, c1*c2, false, "mju_mulMatMat", "mat2"); JSArray<mjtNum> res_(res, r1*c2); JSArray<mjtNum> mat1_(mat1, r1*c1); JSArray<mjtNum> mat2_(mat2, c1*c2); mju_mulMatMat               (res_.ptr(), mat1_.ptr(), mat2_.ptr(), r1, c1, c2); res_.copyBack(); return res_.result(); }
+  val    _mulMatMatT         (val res, val mat1, val mat2, int r1, int c1, int r2) { checkArray(res, r1*r2, true, "mju_mulMatMatT", "res"); checkArray(mat1, r1*c1, false, "mju_mulMatMatT", "mat1"); checkArray(mat2, r2*c1, false, "mju_mulMatMatT", "mat2"); JSArray<mjtNum> res_(res, r1*r2); JSArray<mjtNum> mat1_(mat1, r1*c1); JSArray<mjtNum> mat2_(mat2, r2*c1); mju_mulMatMatT              (res_.ptr(), mat1_.ptr(), mat2_.ptr(), r1, c1, r2); res_.copyBack(); return res_.result(); }
+  val    _mulMatTMat         (val res, val mat1, val mat2, int r1, int c1, int c2) { checkArray(res, c1*c2, true, "mju_mulMatTMat", "res"); checkArray(mat1, r1*c1, false, "mju_mulMatTMat", "mat1"); checkArray(mat2, r1*c2, false, "mju_mulMatTMat", "mat2"); JSArray<mjtNum> res_(res, c1*c2); JSArray<mjtNum> mat1_(mat1, r1*c1); JSArray<mjtNum> mat2_(mat2, r1*c2); mju_mulMatTMat              (res_.ptr(), mat1_.ptr(), mat2_.ptr(), r1, c1, c2); res_.copyBack(); return res_.result(); }
+  val    _sqrMatTD           (val res, val mat, val diag, int nr, int nc) { checkArray(res, nc*nc, true, "mju_sqrMatTD", "res"); checkArray(mat, nr*nc, false, "mju_sqrMatTD", "mat"); checkArray(diag, nr, true, "mju_sqrMatTD", "diag"); JSArray<mjtNum> res_(res, nc*nc); JSArray<mjtNum> mat_(mat, nr*nc); JSArray<mjtNum> diag_(diag, nr, true); mju_sqrMatTD                (res_.ptr(), mat_.ptr(), diag_.ptr(), nr, nc); res_.copyBack(); return res_.result(); }
+  val    _transformSpatial   (val res, val vec, int flg_force, val newpos, val oldpos, val rotnew2old) { checkArray(res, 6, true, "mju_transformSpatial", "res"); checkArray(vec, 6, false, "mju_transformSpatial", "vec"); checkArray(newpos, 3, false, "mju_transformSpatial", "newpos"); checkArray(oldpos, 3, false, "mju_transformSpatial", "oldpos"); checkArray(rotnew2old, 9, false, "mju_transformSpatial", "rotnew2old"); JSArray<mjtNum> res_(res, 6); JSArray<mjtNum> vec_(vec, 6); JSArray<mjtNum> newpos_(newpos, 3); JSArray<mjtNum> oldpos_(oldpos, 3); JSArray<mjtNum> rotnew2old_(rotnew2old, 9); mju_transformSpatial        (res_.ptr(), vec_.ptr(), flg_force, newpos_.ptr(), oldpos_.ptr(), rotnew2old_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _rotVecQuat         (val res, val vec, val quat) { checkArray(res, 3, true, "mju_rotVecQuat", "res"); checkArray(vec, 3, false, "mju_rotVecQuat", "vec"); checkArray(quat, 4, false, "mju_rotVecQuat", "quat"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> vec_(vec, 3); JSArray<mjtNum> quat_(quat, 4); mju_rotVecQuat              (res_.ptr(), vec_.ptr(), quat_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _negQuat            (val res, val quat   ) { checkArray(res, 4, true, "mju_negQuat", "res"); checkArray(quat, 4, false, "mju_negQuat", "quat"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> quat_(quat, 4); mju_negQuat                 (res_.ptr(), quat_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _mulQuat            (val res, val quat1, val quat2) { checkArray(res, 4, true, "mju_mulQuat", "res"); checkArray(quat1, 4, false, "mju_mulQuat", "quat1"); checkArray(quat2, 4, false, "mju_mulQuat", "quat2"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> quat1_(quat1, 4); JSArray<mjtNum> quat2_(quat2, 4); mju_mulQuat                 (res_.ptr(), quat1_.ptr(), quat2_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _mulQuatAxis        (val res, val quat, val axis) { checkArray(res, 4, true, "mju_mulQuatAxis", "res"); checkArray(quat, 4, false, "mju_mulQuatAxis", "quat"); checkArray(axis, 3, false, "mju_mulQuatAxis", "axis"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> axis_(axis, 3); mju_mulQuatAxis             (res_.ptr(), quat_.ptr(), axis_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _axisAngle2Quat     (val res, val axis, mjtNum angle) { checkArray(res, 4, true, "mju_axisAngle2Quat", "res"); checkArray(axis, 3, false, "mju_axisAngle2Quat", "axis"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> axis_(axis, 3); mju_axisAngle2Quat          (res_.ptr(), axis_.ptr(), angle); res_.copyBack(); return res_.result(); }
+  val    _quat2Vel           (val res, val quat, mjtNum dt) { checkArray(res, 3, true, "mju_quat2Vel", "res"); checkArray(quat, 4, false, "mju_quat2Vel", "quat"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> quat_(quat, 4); mju_quat2Vel                (res_.ptr(), quat_.ptr(), dt); res_.copyBack(); return res_.result(); }
+  val    _subQuat            (val res, val qa, val qb) { checkArray(res, 3, true, "mju_subQuat", "res"); checkArray(qa, 4, false, "mju_subQuat", "qa"); checkArray(qb, 4, false, "mju_subQuat", "qb"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> qa_(qa, 4); JSArray<mjtNum> qb_(qb, 4); mju_subQuat                 (res_.ptr(), qa_.ptr(), qb_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _quat2Mat           (val res, val quat   ) { checkArray(res, 9, true, "mju_quat2Mat", "res"); checkArray(quat, 4, false, "mju_quat2Mat", "quat"); JSArray<mjtNum> res_(res, 9); JSArray<mjtNum> quat_(quat, 4); mju_quat2Mat                (res_.ptr(), quat_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _mat2Quat           (val quat, val mat   ) { checkArray(quat, 4, true, "mju_mat2Quat", "quat"); checkArray(mat, 9, false, "mju_mat2Quat", "mat"); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> mat_(mat, 9); mju_mat2Quat                (quat_.ptr(), mat_.ptr()); quat_.copyBack(); return quat_.result(); }
+  val    _derivQuat          (val res, val quat, val vel) { checkArray(res, 4, true, "mju_derivQuat", "res"); checkArray(quat, 4, false, "mju_derivQuat", "quat"); checkArray(vel, 3, false, "mju_derivQuat", "vel"); JSArray<mjtNum> res_(res, 4); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> vel_(vel, 3); mju_derivQuat               (res_.ptr(), quat_.ptr(), vel_.ptr()); res_.copyBack(); return res_.result(); }
+  val    _quatIntegrate      (val quat, val vel, mjtNum scale) { checkArray(quat, 4, true, "mju_quatIntegrate", "quat"); checkArray(vel, 3, false, "mju_quatIntegrate", "vel"); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> vel_(vel, 3); mju_quatIntegrate           (quat_.ptr(), vel_.ptr(), scale); quat_.copyBack(); return quat_.result(); }
+  val    _quatZ2Vec          (val quat, val vec   ) { checkArray(quat, 4, true, "mju_quatZ2Vec", "quat"); checkArray(vec, 3, false, "mju_quatZ2Vec", "vec"); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> vec_(vec, 3); mju_quatZ2Vec               (quat_.ptr(), vec_.ptr()); quat_.copyBack(); return quat_.result(); }
+  val    _mulPose            (val posres, val quatres, val pos1, val quat1, val pos2, val quat2) { checkArray(posres, 3, true, "mju_mulPose", "posres"); checkArray(quatres, 4, true, "mju_mulPose", "quatres"); checkArray(pos1, 3, false, "mju_mulPose", "pos1"); checkArray(quat1, 4, false, "mju_mulPose", "quat1"); checkArray(pos2, 3, false, "mju_mulPose", "pos2"); checkArray(quat2, 4, false, "mju_mulPose", "quat2"); JSArray<mjtNum> posres_(posres, 3); JSArray<mjtNum> quatres_(quatres, 4); JSArray<mjtNum> pos1_(pos1, 3); JSArray<mjtNum> quat1_(quat1, 4); JSArray<mjtNum> pos2_(pos2, 3); JSArray<mjtNum> quat2_(quat2, 4); mju_mulPose                 (posres_.ptr(), quatres_.ptr(), pos1_.ptr(), quat1_.ptr(), pos2_.ptr(), quat2_.ptr()); posres_.copyBack(); quatres_.copyBack(); val result = val::object(); result.set("posres", posres_.result()); result.set("quatres", quatres_.result()); return result; }
+  val    _negPose            (val posres, val quatres, val pos, val quat) { checkArray(posres, 3, true, "mju_negPose", "posres"); checkArray(quatres, 4, true, "mju_negPose", "quatres"); checkArray(pos, 3, false, "mju_negPose", "pos"); checkArray(quat, 4, false, "mju_negPose", "quat"); JSArray<mjtNum> posres_(posres, 3); JSArray<mjtNum> quatres_(quatres, 4); JSArray<mjtNum> pos_(pos, 3); JSArray<mjtNum> quat_(quat, 4); mju_negPose                 (posres_.ptr(), quatres_.ptr(), pos_.ptr(), quat_.ptr()); posres_.copyBack(); quatres_.copyBack(); val result = val::object(); result.set("posres", posres_.result()); result.set("quatres", quatres_.result()); return result; }
+  val    _trnVecPose         (val res, val pos, val quat, val vec) { checkArray(res, 3, true, "mju_trnVecPose", "res"); checkArray(pos, 3, false, "mju_trnVecPose", "pos"); checkArray(quat, 4, false, "mju_trnVecPose", "quat"); checkArray(vec, 3, false, "mju_trnVecPose", "vec"); JSArray<mjtNum> res_(res, 3); JSArray<mjtNum> pos_(pos, 3); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> vec_(vec, 3); mju_trnVecPose              (res_.ptr(), pos_.ptr(), quat_.ptr(), vec_.ptr()); res_.copyBack(); return res_.result(); }
+  int    _cholFactor         (val mat, int n, mjtNum mindiag) { checkArray(mat, n*n, true, "mju_cholFactor", "mat"); JSArray<mjtNum> mat_(mat, n*n); int result = mju_cholFactor              (mat_.ptr(), n, mindiag); mat_.copyBack(); return result; }
+  val    _cholSolve          (val res, val mat, val vec, int n) { checkArray(res, n, true, "mju_cholSolve", "res"); checkArray(mat, n*n, false, "mju_cholSolve", "mat"); checkArray(vec, n, false, "mju_cholSolve", "vec"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> mat_(mat, n*n); JSArray<mjtNum> vec_(vec, n); mju_cholSolve               (res_.ptr(), mat_.ptr(), vec_.ptr(), n); res_.copyBack(); return res_.result(); }
+  int    _cholUpdate         (val mat, val x, int n, int flg_plus) { checkArray(mat, n*n, true, "mju_cholUpdate", "mat"); checkArray(x, n, true, "mju_cholUpdate", "x"); JSArray<mjtNum> mat_(mat, n*n); JSArray<mjtNum> x_(x, n); int result = mju_cholUpdate              (mat_.ptr(), x_.ptr(), n, flg_plus); mat_.copyBack(); x_.copyBack(); return result; }
+  int    _eig3               (val eigval, val eigvec, val quat, val mat) { checkArray(eigval, 3, true, "mju_eig3", "eigval"); checkArray(eigvec, 9, true, "mju_eig3", "eigvec"); checkArray(quat, 4, true, "mju_eig3", "quat"); checkArray(mat, 9, false, "mju_eig3", "mat"); JSArray<mjtNum> eigval_(eigval, 3); JSArray<mjtNum> eigvec_(eigvec, 9); JSArray<mjtNum> quat_(quat, 4); JSArray<mjtNum> mat_(mat, 9); int result = mju_eig3                    (eigval_.ptr(), eigvec_.ptr(), quat_.ptr(), mat_.ptr()); eigval_.copyBack(); eigvec_.copyBack(); quat_.copyBack(); return result; }
+  int    _boxQP              (val res, val R, val index, val H, val g, int n, val lower, val upper) { checkArray(res, n, true, "mju_boxQP", "res"); checkArray(R, n*(n+7), true, "mju_boxQP", "R"); checkArray(index, n, true, "mju_boxQP", "index"); checkArray(H, n*n, false, "mju_boxQP", "H"); checkArray(g, n, false, "mju_boxQP", "g"); checkArray(lower, n, true, "mju_boxQP", "lower"); checkArray(upper, n, true, "mju_boxQP", "upper"); JSArray<mjtNum> res_(res, n); JSArray<mjtNum> R_(R, n*(n+7)); JSArray<int> index_(index, n, true); JSArray<mjtNum> H_(H, n*n); JSArray<mjtNum> g_(g, n); JSArray<mjtNum> lower_(lower, n, true); JSArray<mjtNum> upper_(upper, n, true); int result = mju_boxQP                   (res_.ptr(), R_.ptr(), index_.ptr(), H_.ptr(), g_.ptr(), n, lower_.ptr(), upper_.ptr()); res_.copyBack(); R_.copyBack(); index_.copyBack(); return result; }
+  mjtNum _muscleGain         (mjtNum len, mjtNum vel, val lengthrange, mjtNum acc0, val prm) { checkArray(lengthrange, 2, false, "mju_muscleGain", "lengthrange"); checkArray(prm, 9, false, "mju_muscleGain", "prm"); JSArray<mjtNum> lengthrange_(lengthrange, 2); JSArray<mjtNum> prm_(prm, 9); mjtNum result = mju_muscleGain              (len, vel, lengthrange_.ptr(), acc0, prm_.ptr()); return result; }
+  mjtNum _muscleBias         (mjtNum len, val lengthrange, mjtNum acc0, val prm) { checkArray(lengthrange, 2, false, "mju_muscleBias", "lengthrange"); checkArray(prm, 9, false, "mju_muscleBias", "prm"); JSArray<mjtNum> lengthrange_(lengthrange, 2); JSArray<mjtNum> prm_(prm, 9); mjtNum result = mju_muscleBias              (len, lengthrange_.ptr(), acc0, prm_.ptr()); return result; }
+  mjtNum _muscleDynamics     (mjtNum ctrl, mjtNum act, val prm) { checkArray(prm, 2, false, "mju_muscleDynamics", "prm"); JSArray<mjtNum> prm_(prm, 2); mjtNum result = mju_muscleDynamics          (ctrl, act, prm_.ptr()); return result; }
+  val    _encodePyramid      (val pyramid, val force, val mu, int dim) { checkArray(pyramid, 2*(dim-1), true, "mju_encodePyramid", "pyramid"); checkArray(force, dim, false, "mju_encodePyramid", "force"); checkArray(mu, dim-1, false, "mju_encodePyramid", "mu"); JSArray<mjtNum> pyramid_(pyramid, 2*(dim-1)); JSArray<mjtNum> force_(force, dim); JSArray<mjtNum> mu_(mu, dim-1); mju_encodePyramid           (pyramid_.ptr(), force_.ptr(), mu_.ptr(), dim); pyramid_.copyBack(); return pyramid_.result(); }
+  val    _decodePyramid      (val force, val pyramid, val mu, int dim) { checkArray(force, dim, true, "mju_decodePyramid", "force"); checkArray(pyramid, 2*(dim-1), false, "mju_decodePyramid", "pyramid"); checkArray(mu, dim-1, false, "mju_decodePyramid", "mu"); JSArray<mjtNum> force_(force, dim); JSArray<mjtNum> pyramid_(pyramid, 2*(dim-1)); JSArray<mjtNum> mu_(mu, dim-1); mju_decodePyramid           (force_.ptr(), pyramid_.ptr(), mu_.ptr(), dim); force_.copyBack(); return force_.result(); }
   mjtNum _springDamper       (mjtNum pos0, mjtNum vel0, mjtNum Kp, mjtNum Kv, mjtNum dt) { return mju_springDamper            (pos0, vel0, Kp, Kv, dt); }
   mjtNum _min                (mjtNum a, mjtNum b  ) { return mju_min                     (a, b                ); }
   mjtNum _max                (mjtNum a, mjtNum b  ) { return mju_max                     (a, b                ); }
   mjtNum _clip               (mjtNum x, mjtNum min, mjtNum max) { return mju_clip                    (x, min, max         ); }
   mjtNum _sign               (mjtNum x            ) { return mju_sign                    (x                   ); }
   int    _round              (mjtNum x            ) { return mju_round                   (x                   ); }
-  std::string _type2Str           (int type            ) { return std::string(mju_type2Str                (type                )); }
+  std::string _type2Str           (int type            ) { return toString(mju_type2Str                (type                )); }
   int    _str2Type           (std::string str     ) { return mju_str2Type                (str.c_str()         ); }
-  std::string _writeNumBytes      (size_t nbytes       ) { return std::string(mju_writeNumBytes           (nbytes              )); }
-  std::string _warningText        (int warning, size_t info) { return std::string(mju_warningText             (warning, info       )); }
+  std::string _writeNumBytes      (size_t nbytes       ) { return toString(mju_writeNumBytes           (nbytes              )); }
+  std::string _warningText        (int warning, size_t info) { return toString(mju_warningText             (warning, info       )); }
   int    _isBad              (mjtNum x            ) { return mju_isBad                   (x                   ); }
-  int    _isZero             (val vec, int n      ) { return mju_isZero                  (reinterpret_cast<mjtNum*>(vec["byteOffset"].as<int>()), n); }
-  mjtNum _standardNormal     (val num2            ) { return mju_standardNormal          (reinterpret_cast<mjtNum*>(num2["byteOffset"].as<int>())); }
-  void   _insertionSort      (val list, int n     ) { return mju_insertionSort           (reinterpret_cast<mjtNum*>(list["byteOffset"].as<int>()), n); }
+  int    _isZero             (val vec, int n      ) { checkArray(vec, n, true, "mju_isZero", "vec"); JSArray<mjtNum> vec_(vec, n); int result = mju_isZero                  (vec_.ptr(), n       ); vec_.copyBack(); return result; }
+  mjtNum _standardNormal     (val num2            ) { checkArray(num2, 1, true, "mju_standardNormal", "num2"); JSArray<mjtNum> num2_(num2, 1, true); mjtNum result = mju_standardNormal          (num2_.ptr()         ); num2_.copyBack(); return result; }
+  val    _f2n                (val res, val vec, int n) { checkArray(res, n, true, "mju_f2n", "res"); checkArray(vec, n, false, "mju_f2n", "vec"); JSArray<mjtNum> res_(res, n); JSArray<float> vec_(vec, n); mju_f2n                     (res_.ptr(), vec_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _n2f                (val res, val vec, int n) { checkArray(res, n, true, "mju_n2f", "res"); checkArray(vec, n, false, "mju_n2f", "vec"); JSArray<float> res_(res, n); JSArray<mjtNum> vec_(vec, n); mju_n2f                     (res_.ptr(), vec_.ptr(), n); res_.copyBack(); return res_.result(); }
+  val    _insertionSort      (val list, int n     ) { checkArray(list, n, true, "mju_insertionSort", "list"); JSArray<mjtNum> list_(list, n); mju_insertionSort           (list_.ptr(), n      ); list_.copyBack(); return list_.result(); }
+  val    _insertionSortInt   (val list, int n     ) { checkArray(list, n, true, "mju_insertionSortInt", "list"); JSArray<int> list_(list, n); mju_insertionSortInt        (list_.ptr(), n      ); list_.copyBack(); return list_.result(); }
   mjtNum _Halton             (int index, int base ) { return mju_Halton                  (index, base         ); }
   mjtNum _sigmoid            (mjtNum x            ) { return mju_sigmoid                 (x                   ); }
-  void   _transitionFD       (mjtNum eps, mjtByte centered, val A, val B, val C, val D) { return mjd_transitionFD            (_model->ptr(), _state->ptr(), eps, centered, reinterpret_cast<mjtNum*>(A["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(B["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(C["byteOffset"].as<int>()), reinterpret_cast<mjtNum*>(D["byteOffset"].as<int>())); }
+  val    _transitionFD       (mjtNum eps, mjtByte centered, val A, val B, val C, val D) { checkArray(A, (2*_model->ptr()->nv+_model->ptr()->na)*(2*_model->ptr()->nv+_model->ptr()->na), true, "mjd_transitionFD", "A"); checkArray(B, (2*_model->ptr()->nv+_model->ptr()->na)*_model->ptr()->nu, true, "mjd_transitionFD", "B"); checkArray(C, _model->ptr()->nsensordata*(2*_model->ptr()->nv+_model->ptr()->na), true, "mjd_transitionFD", "C"); checkArray(D, _model->ptr()->nsensordata*_model->ptr()->nu, true, "mjd_transitionFD", "D"); JSArray<mjtNum> A_(A, (2*_model->ptr()->nv+_model->ptr()->na)*(2*_model->ptr()->nv+_model->ptr()->na), true); JSArray<mjtNum> B_(B, (2*_model->ptr()->nv+_model->ptr()->na)*_model->ptr()->nu, true); JSArray<mjtNum> C_(C, _model->ptr()->nsensordata*(2*_model->ptr()->nv+_model->ptr()->na), true); JSArray<mjtNum> D_(D, _model->ptr()->nsensordata*_model->ptr()->nu, true); mjd_transitionFD            (_model->ptr(), _state->ptr(), eps, centered, A_.ptr(), B_.ptr(), C_.ptr(), D_.ptr()); A_.copyBack(); B_.copyBack(); C_.copyBack(); D_.copyBack(); val result = val::object(); result.set("A", A_.result()); result.set("B", B_.result()); result.set("C", C_.result()); result.set("D", D_.result()); return result; }
   int    _pluginCount        (                    ) { return mjp_pluginCount             (                    ); }
 
 
 private:
   Model *_model;
   State *_state;
+
+  // Location and length of a single state component in mjData
+  mjtNum *stateComponent(int component, int *size) {
+    mjModel *m = _model->ptr();
+    mjData  *d = _state->ptr();
+    switch (component) {
+      case mjSTATE_TIME        : *size = 1;             return &d->time;
+      case mjSTATE_QPOS        : *size = m->nq;         return d->qpos;
+      case mjSTATE_QVEL        : *size = m->nv;         return d->qvel;
+      case mjSTATE_ACT         : *size = m->na;         return d->act;
+      case mjSTATE_WARMSTART   : *size = m->nv;         return d->qacc_warmstart;
+      case mjSTATE_CTRL        : *size = m->nu;         return d->ctrl;
+      case mjSTATE_QFRC_APPLIED: *size = m->nv;         return d->qfrc_applied;
+      case mjSTATE_XFRC_APPLIED: *size = 6 * m->nbody;  return d->xfrc_applied;
+      case mjSTATE_MOCAP_POS   : *size = 3 * m->nmocap; return d->mocap_pos;
+      case mjSTATE_MOCAP_QUAT  : *size = 4 * m->nmocap; return d->mocap_quat;
+      case mjSTATE_USERDATA    : *size = m->nuserdata;  return d->userdata;
+      default                  : *size = 0;             return NULL;
+    }
+  }
 };
 
 // main function
@@ -945,16 +1286,232 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .value("mjLRMODE_MUSCLEUSER"    , mjtLRMode                ::mjLRMODE_MUSCLEUSER      )
       .value("mjLRMODE_ALL"           , mjtLRMode                ::mjLRMODE_ALL             )
   ;
+  enum_<mjtWarning>("mjtWarning")
+      .value("mjWARN_INERTIA"         , mjtWarning               ::mjWARN_INERTIA           )
+      .value("mjWARN_CONTACTFULL"     , mjtWarning               ::mjWARN_CONTACTFULL       )
+      .value("mjWARN_CNSTRFULL"       , mjtWarning               ::mjWARN_CNSTRFULL         )
+      .value("mjWARN_VGEOMFULL"       , mjtWarning               ::mjWARN_VGEOMFULL         )
+      .value("mjWARN_BADQPOS"         , mjtWarning               ::mjWARN_BADQPOS           )
+      .value("mjWARN_BADQVEL"         , mjtWarning               ::mjWARN_BADQVEL           )
+      .value("mjWARN_BADQACC"         , mjtWarning               ::mjWARN_BADQACC           )
+      .value("mjWARN_BADCTRL"         , mjtWarning               ::mjWARN_BADCTRL           )
+      .value("mjNWARNING"             , mjtWarning               ::mjNWARNING               )
+  ;
+  enum_<mjtTimer>("mjtTimer")
+      .value("mjTIMER_STEP"           , mjtTimer                 ::mjTIMER_STEP             )
+      .value("mjTIMER_FORWARD"        , mjtTimer                 ::mjTIMER_FORWARD          )
+      .value("mjTIMER_INVERSE"        , mjtTimer                 ::mjTIMER_INVERSE          )
+      .value("mjTIMER_POSITION"       , mjtTimer                 ::mjTIMER_POSITION         )
+      .value("mjTIMER_VELOCITY"       , mjtTimer                 ::mjTIMER_VELOCITY         )
+      .value("mjTIMER_ACTUATION"      , mjtTimer                 ::mjTIMER_ACTUATION        )
+      .value("mjTIMER_ACCELERATION"   , mjtTimer                 ::mjTIMER_ACCELERATION     )
+      .value("mjTIMER_CONSTRAINT"     , mjtTimer                 ::mjTIMER_CONSTRAINT       )
+      .value("mjTIMER_POS_KINEMATICS" , mjtTimer                 ::mjTIMER_POS_KINEMATICS   )
+      .value("mjTIMER_POS_INERTIA"    , mjtTimer                 ::mjTIMER_POS_INERTIA      )
+      .value("mjTIMER_POS_COLLISION"  , mjtTimer                 ::mjTIMER_POS_COLLISION    )
+      .value("mjTIMER_POS_MAKE"       , mjtTimer                 ::mjTIMER_POS_MAKE         )
+      .value("mjTIMER_POS_PROJECT"    , mjtTimer                 ::mjTIMER_POS_PROJECT      )
+      .value("mjNTIMER"               , mjtTimer                 ::mjNTIMER                 )
+  ;
+  enum_<mjtCatBit>("mjtCatBit")
+      .value("mjCAT_STATIC"           , mjtCatBit                ::mjCAT_STATIC             )
+      .value("mjCAT_DYNAMIC"          , mjtCatBit                ::mjCAT_DYNAMIC            )
+      .value("mjCAT_DECOR"            , mjtCatBit                ::mjCAT_DECOR              )
+      .value("mjCAT_ALL"              , mjtCatBit                ::mjCAT_ALL                )
+  ;
+  enum_<mjtMouse>("mjtMouse")
+      .value("mjMOUSE_NONE"           , mjtMouse                 ::mjMOUSE_NONE             )
+      .value("mjMOUSE_ROTATE_V"       , mjtMouse                 ::mjMOUSE_ROTATE_V         )
+      .value("mjMOUSE_ROTATE_H"       , mjtMouse                 ::mjMOUSE_ROTATE_H         )
+      .value("mjMOUSE_MOVE_V"         , mjtMouse                 ::mjMOUSE_MOVE_V           )
+      .value("mjMOUSE_MOVE_H"         , mjtMouse                 ::mjMOUSE_MOVE_H           )
+      .value("mjMOUSE_ZOOM"           , mjtMouse                 ::mjMOUSE_ZOOM             )
+      .value("mjMOUSE_SELECT"         , mjtMouse                 ::mjMOUSE_SELECT           )
+  ;
+  enum_<mjtPertBit>("mjtPertBit")
+      .value("mjPERT_TRANSLATE"       , mjtPertBit               ::mjPERT_TRANSLATE         )
+      .value("mjPERT_ROTATE"          , mjtPertBit               ::mjPERT_ROTATE            )
+  ;
+  enum_<mjtCamera>("mjtCamera")
+      .value("mjCAMERA_FREE"          , mjtCamera                ::mjCAMERA_FREE            )
+      .value("mjCAMERA_TRACKING"      , mjtCamera                ::mjCAMERA_TRACKING        )
+      .value("mjCAMERA_FIXED"         , mjtCamera                ::mjCAMERA_FIXED           )
+      .value("mjCAMERA_USER"          , mjtCamera                ::mjCAMERA_USER            )
+  ;
+  enum_<mjtLabel>("mjtLabel")
+      .value("mjLABEL_NONE"           , mjtLabel                 ::mjLABEL_NONE             )
+      .value("mjLABEL_BODY"           , mjtLabel                 ::mjLABEL_BODY             )
+      .value("mjLABEL_JOINT"          , mjtLabel                 ::mjLABEL_JOINT            )
+      .value("mjLABEL_GEOM"           , mjtLabel                 ::mjLABEL_GEOM             )
+      .value("mjLABEL_SITE"           , mjtLabel                 ::mjLABEL_SITE             )
+      .value("mjLABEL_CAMERA"         , mjtLabel                 ::mjLABEL_CAMERA           )
+      .value("mjLABEL_LIGHT"          , mjtLabel                 ::mjLABEL_LIGHT            )
+      .value("mjLABEL_TENDON"         , mjtLabel                 ::mjLABEL_TENDON           )
+      .value("mjLABEL_ACTUATOR"       , mjtLabel                 ::mjLABEL_ACTUATOR         )
+      .value("mjLABEL_CONSTRAINT"     , mjtLabel                 ::mjLABEL_CONSTRAINT       )
+      .value("mjLABEL_SKIN"           , mjtLabel                 ::mjLABEL_SKIN             )
+      .value("mjLABEL_SELECTION"      , mjtLabel                 ::mjLABEL_SELECTION        )
+      .value("mjLABEL_SELPNT"         , mjtLabel                 ::mjLABEL_SELPNT           )
+      .value("mjLABEL_CONTACTFORCE"   , mjtLabel                 ::mjLABEL_CONTACTFORCE     )
+      .value("mjNLABEL"               , mjtLabel                 ::mjNLABEL                 )
+  ;
+  enum_<mjtFrame>("mjtFrame")
+      .value("mjFRAME_NONE"           , mjtFrame                 ::mjFRAME_NONE             )
+      .value("mjFRAME_BODY"           , mjtFrame                 ::mjFRAME_BODY             )
+      .value("mjFRAME_GEOM"           , mjtFrame                 ::mjFRAME_GEOM             )
+      .value("mjFRAME_SITE"           , mjtFrame                 ::mjFRAME_SITE             )
+      .value("mjFRAME_CAMERA"         , mjtFrame                 ::mjFRAME_CAMERA           )
+      .value("mjFRAME_LIGHT"          , mjtFrame                 ::mjFRAME_LIGHT            )
+      .value("mjFRAME_CONTACT"        , mjtFrame                 ::mjFRAME_CONTACT          )
+      .value("mjFRAME_WORLD"          , mjtFrame                 ::mjFRAME_WORLD            )
+      .value("mjNFRAME"               , mjtFrame                 ::mjNFRAME                 )
+  ;
+  enum_<mjtVisFlag>("mjtVisFlag")
+      .value("mjVIS_CONVEXHULL"       , mjtVisFlag               ::mjVIS_CONVEXHULL         )
+      .value("mjVIS_TEXTURE"          , mjtVisFlag               ::mjVIS_TEXTURE            )
+      .value("mjVIS_JOINT"            , mjtVisFlag               ::mjVIS_JOINT              )
+      .value("mjVIS_CAMERA"           , mjtVisFlag               ::mjVIS_CAMERA             )
+      .value("mjVIS_ACTUATOR"         , mjtVisFlag               ::mjVIS_ACTUATOR           )
+      .value("mjVIS_ACTIVATION"       , mjtVisFlag               ::mjVIS_ACTIVATION         )
+      .value("mjVIS_LIGHT"            , mjtVisFlag               ::mjVIS_LIGHT              )
+      .value("mjVIS_TENDON"           , mjtVisFlag               ::mjVIS_TENDON             )
+      .value("mjVIS_RANGEFINDER"      , mjtVisFlag               ::mjVIS_RANGEFINDER        )
+      .value("mjVIS_CONSTRAINT"       , mjtVisFlag               ::mjVIS_CONSTRAINT         )
+      .value("mjVIS_INERTIA"          , mjtVisFlag               ::mjVIS_INERTIA            )
+      .value("mjVIS_SCLINERTIA"       , mjtVisFlag               ::mjVIS_SCLINERTIA         )
+      .value("mjVIS_PERTFORCE"        , mjtVisFlag               ::mjVIS_PERTFORCE          )
+      .value("mjVIS_PERTOBJ"          , mjtVisFlag               ::mjVIS_PERTOBJ            )
+      .value("mjVIS_CONTACTPOINT"     , mjtVisFlag               ::mjVIS_CONTACTPOINT       )
+      .value("mjVIS_CONTACTFORCE"     , mjtVisFlag               ::mjVIS_CONTACTFORCE       )
+      .value("mjVIS_CONTACTSPLIT"     , mjtVisFlag               ::mjVIS_CONTACTSPLIT       )
+      .value("mjVIS_TRANSPARENT"      , mjtVisFlag               ::mjVIS_TRANSPARENT        )
+      .value("mjVIS_AUTOCONNECT"      , mjtVisFlag               ::mjVIS_AUTOCONNECT        )
+      .value("mjVIS_COM"              , mjtVisFlag               ::mjVIS_COM                )
+      .value("mjVIS_SELECT"           , mjtVisFlag               ::mjVIS_SELECT             )
+      .value("mjVIS_STATIC"           , mjtVisFlag               ::mjVIS_STATIC             )
+      .value("mjVIS_SKIN"             , mjtVisFlag               ::mjVIS_SKIN               )
+      .value("mjNVISFLAG"             , mjtVisFlag               ::mjNVISFLAG               )
+  ;
+  enum_<mjtRndFlag>("mjtRndFlag")
+      .value("mjRND_SHADOW"           , mjtRndFlag               ::mjRND_SHADOW             )
+      .value("mjRND_WIREFRAME"        , mjtRndFlag               ::mjRND_WIREFRAME          )
+      .value("mjRND_REFLECTION"       , mjtRndFlag               ::mjRND_REFLECTION         )
+      .value("mjRND_ADDITIVE"         , mjtRndFlag               ::mjRND_ADDITIVE           )
+      .value("mjRND_SKYBOX"           , mjtRndFlag               ::mjRND_SKYBOX             )
+      .value("mjRND_FOG"              , mjtRndFlag               ::mjRND_FOG                )
+      .value("mjRND_HAZE"             , mjtRndFlag               ::mjRND_HAZE               )
+      .value("mjRND_SEGMENT"          , mjtRndFlag               ::mjRND_SEGMENT            )
+      .value("mjRND_IDCOLOR"          , mjtRndFlag               ::mjRND_IDCOLOR            )
+      .value("mjRND_CULL_FACE"        , mjtRndFlag               ::mjRND_CULL_FACE          )
+      .value("mjNRNDFLAG"             , mjtRndFlag               ::mjNRNDFLAG               )
+  ;
+  enum_<mjtStereo>("mjtStereo")
+      .value("mjSTEREO_NONE"          , mjtStereo                ::mjSTEREO_NONE            )
+      .value("mjSTEREO_QUADBUFFERED"  , mjtStereo                ::mjSTEREO_QUADBUFFERED    )
+      .value("mjSTEREO_SIDEBYSIDE"    , mjtStereo                ::mjSTEREO_SIDEBYSIDE      )
+  ;
+  enum_<mjtGridPos>("mjtGridPos")
+      .value("mjGRID_TOPLEFT"         , mjtGridPos               ::mjGRID_TOPLEFT           )
+      .value("mjGRID_TOPRIGHT"        , mjtGridPos               ::mjGRID_TOPRIGHT          )
+      .value("mjGRID_BOTTOMLEFT"      , mjtGridPos               ::mjGRID_BOTTOMLEFT        )
+      .value("mjGRID_BOTTOMRIGHT"     , mjtGridPos               ::mjGRID_BOTTOMRIGHT       )
+  ;
+  enum_<mjtFramebuffer>("mjtFramebuffer")
+      .value("mjFB_WINDOW"            , mjtFramebuffer           ::mjFB_WINDOW              )
+      .value("mjFB_OFFSCREEN"         , mjtFramebuffer           ::mjFB_OFFSCREEN           )
+  ;
+  enum_<mjtFontScale>("mjtFontScale")
+      .value("mjFONTSCALE_50"         , mjtFontScale             ::mjFONTSCALE_50           )
+      .value("mjFONTSCALE_100"        , mjtFontScale             ::mjFONTSCALE_100          )
+      .value("mjFONTSCALE_150"        , mjtFontScale             ::mjFONTSCALE_150          )
+      .value("mjFONTSCALE_200"        , mjtFontScale             ::mjFONTSCALE_200          )
+      .value("mjFONTSCALE_250"        , mjtFontScale             ::mjFONTSCALE_250          )
+      .value("mjFONTSCALE_300"        , mjtFontScale             ::mjFONTSCALE_300          )
+  ;
+  enum_<mjtFont>("mjtFont")
+      .value("mjFONT_NORMAL"          , mjtFont                  ::mjFONT_NORMAL            )
+      .value("mjFONT_SHADOW"          , mjtFont                  ::mjFONT_SHADOW            )
+      .value("mjFONT_BIG"             , mjtFont                  ::mjFONT_BIG               )
+  ;
+  enum_<mjtButton>("mjtButton")
+      .value("mjBUTTON_NONE"          , mjtButton                ::mjBUTTON_NONE            )
+      .value("mjBUTTON_LEFT"          , mjtButton                ::mjBUTTON_LEFT            )
+      .value("mjBUTTON_RIGHT"         , mjtButton                ::mjBUTTON_RIGHT           )
+      .value("mjBUTTON_MIDDLE"        , mjtButton                ::mjBUTTON_MIDDLE          )
+  ;
+  enum_<mjtEvent>("mjtEvent")
+      .value("mjEVENT_NONE"           , mjtEvent                 ::mjEVENT_NONE             )
+      .value("mjEVENT_MOVE"           , mjtEvent                 ::mjEVENT_MOVE             )
+      .value("mjEVENT_PRESS"          , mjtEvent                 ::mjEVENT_PRESS            )
+      .value("mjEVENT_RELEASE"        , mjtEvent                 ::mjEVENT_RELEASE          )
+      .value("mjEVENT_SCROLL"         , mjtEvent                 ::mjEVENT_SCROLL           )
+      .value("mjEVENT_KEY"            , mjtEvent                 ::mjEVENT_KEY              )
+      .value("mjEVENT_RESIZE"         , mjtEvent                 ::mjEVENT_RESIZE           )
+  ;
+  enum_<mjtItem>("mjtItem")
+      .value("mjITEM_END"             , mjtItem                  ::mjITEM_END               )
+      .value("mjITEM_SECTION"         , mjtItem                  ::mjITEM_SECTION           )
+      .value("mjITEM_SEPARATOR"       , mjtItem                  ::mjITEM_SEPARATOR         )
+      .value("mjITEM_STATIC"          , mjtItem                  ::mjITEM_STATIC            )
+      .value("mjITEM_BUTTON"          , mjtItem                  ::mjITEM_BUTTON            )
+      .value("mjITEM_CHECKINT"        , mjtItem                  ::mjITEM_CHECKINT          )
+      .value("mjITEM_CHECKBYTE"       , mjtItem                  ::mjITEM_CHECKBYTE         )
+      .value("mjITEM_RADIO"           , mjtItem                  ::mjITEM_RADIO             )
+      .value("mjITEM_RADIOLINE"       , mjtItem                  ::mjITEM_RADIOLINE         )
+      .value("mjITEM_SELECT"          , mjtItem                  ::mjITEM_SELECT            )
+      .value("mjITEM_SLIDERINT"       , mjtItem                  ::mjITEM_SLIDERINT         )
+      .value("mjITEM_SLIDERNUM"       , mjtItem                  ::mjITEM_SLIDERNUM         )
+      .value("mjITEM_EDITINT"         , mjtItem                  ::mjITEM_EDITINT           )
+      .value("mjITEM_EDITNUM"         , mjtItem                  ::mjITEM_EDITNUM           )
+      .value("mjITEM_EDITTXT"         , mjtItem                  ::mjITEM_EDITTXT           )
+      .value("mjNITEM"                , mjtItem                  ::mjNITEM                  )
+  ;
+  enum_<mjtPluginTypeBit>("mjtPluginTypeBit")
+      .value("mjPLUGIN_ACTUATOR"      , mjtPluginTypeBit         ::mjPLUGIN_ACTUATOR        )
+      .value("mjPLUGIN_SENSOR"        , mjtPluginTypeBit         ::mjPLUGIN_SENSOR          )
+      .value("mjPLUGIN_PASSIVE"       , mjtPluginTypeBit         ::mjPLUGIN_PASSIVE         )
+  ;
+
+  enum_<mjtState>("mjtState")
+      .value("mjSTATE_TIME"        , mjtState::mjSTATE_TIME        )
+      .value("mjSTATE_QPOS"        , mjtState::mjSTATE_QPOS        )
+      .value("mjSTATE_QVEL"        , mjtState::mjSTATE_QVEL        )
+      .value("mjSTATE_ACT"         , mjtState::mjSTATE_ACT         )
+      .value("mjSTATE_WARMSTART"   , mjtState::mjSTATE_WARMSTART   )
+      .value("mjSTATE_CTRL"        , mjtState::mjSTATE_CTRL        )
+      .value("mjSTATE_QFRC_APPLIED", mjtState::mjSTATE_QFRC_APPLIED)
+      .value("mjSTATE_XFRC_APPLIED", mjtState::mjSTATE_XFRC_APPLIED)
+      .value("mjSTATE_MOCAP_POS"   , mjtState::mjSTATE_MOCAP_POS   )
+      .value("mjSTATE_MOCAP_QUAT"  , mjtState::mjSTATE_MOCAP_QUAT  )
+      .value("mjSTATE_USERDATA"    , mjtState::mjSTATE_USERDATA    )
+      .value("mjSTATE_PHYSICS"     , mjtState::mjSTATE_PHYSICS     )
+      .value("mjSTATE_FULLPHYSICS" , mjtState::mjSTATE_FULLPHYSICS )
+      .value("mjSTATE_USER"        , mjtState::mjSTATE_USER        )
+      .value("mjSTATE_INTEGRATION" , mjtState::mjSTATE_INTEGRATION );
+
+  // Route MuJoCo's errors and warnings to JavaScript
+  mju_user_error   = handleError;
+  mju_user_warning = handleWarning;
+  function("setWarningHandler", &setWarningHandler);
 
 
   class_<Model>("Model")
       .constructor<>(&Model::load_from_xml)
       .class_function("load_from_xml", &Model::load_from_xml)
       .class_function("load_from_mjb", &Model::load_from_mjb)
+      .class_function("fromXMLString", &Model::fromXMLString)
+      .class_function("fromXMLString", &Model::fromXMLStringOnly)
+      .class_function("fromMJB"      , &Model::fromMJB      )
+      .function("saveMJB"         , &Model::saveMJB     )
       .function("ptr", &Model::ptr, allow_raw_pointers())
       .function("free"            , &Model::free        )
       .function("getVal"          , &Model::getVal      )
       .function("getOptions"      , &Model::getOptions  )
+      .function("setOptions"      , &Model::setOptions  )
+      .function("getStatistic"    , &Model::getStatistic)
+      .function("getVisual"       , &Model::getVisual   )
+      .function("name2id"         , &Model::name2id     )
+      .function("id2name"         , &Model::id2name     )
       // MJMODEL_BINDINGS
       .property("nq"                    , &Model::nq                    )
       .property("nv"                    , &Model::nv                    )
@@ -1317,6 +1874,13 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("free"      , &Simulation::free      )
       .function("applyForce", &Simulation::applyForce)
       .function("applyPose" , &Simulation::applyPose )
+      .property("time"      , &Simulation::getTime, &Simulation::setTime)
+      .property("ncon"      , &Simulation::ncon      )
+      .property("contact"   , &Simulation::contact   )
+      .property("warningStats", &Simulation::warningStats)
+      .function("stateSize" , &Simulation::stateSize )
+      .function("getState"  , &Simulation::getState  )
+      .function("setState"  , &Simulation::setState  )
       // MJDATA_BINDINGS
       .property("qpos"                  , &Simulation::qpos                  )
       .property("qvel"                  , &Simulation::qvel                  )
@@ -1400,18 +1964,19 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("inverse"               , &Simulation::inverse               )
       .function("forwardSkip"           , &Simulation::forwardSkip           )
       .function("inverseSkip"           , &Simulation::inverseSkip           )
-      .function("defaultSolRefImp"      , &Simulation::defaultSolRefImp      , allow_raw_pointers())
+      .function("defaultSolRefImp"      , &Simulation::defaultSolRefImp      )
       .function("sizeModel"             , &Simulation::sizeModel             )
       .function("resetData"             , &Simulation::resetData             )
       .function("resetDataDebug"        , &Simulation::resetDataDebug        )
       .function("resetDataKeyframe"     , &Simulation::resetDataKeyframe     )
       .function("deleteData"            , &Simulation::deleteData            )
       .function("resetCallbacks"        , &Simulation::resetCallbacks        )
+      .function("setConst"              , &Simulation::setConst              )
       .function("printFormattedModel"   , &Simulation::printFormattedModel   )
       .function("printModel"            , &Simulation::printModel            )
       .function("printFormattedData"    , &Simulation::printFormattedData    )
       .function("printData"             , &Simulation::printData             )
-      .function("_printMat"             , &Simulation::_printMat             , allow_raw_pointers())
+      .function("_printMat"             , &Simulation::_printMat             )
       .function("fwdPosition"           , &Simulation::fwdPosition           )
       .function("fwdVelocity"           , &Simulation::fwdVelocity           )
       .function("fwdActuation"          , &Simulation::fwdActuation          )
@@ -1438,39 +2003,55 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("transmission"          , &Simulation::transmission          )
       .function("crbCalculate"          , &Simulation::crbCalculate          )
       .function("factorM"               , &Simulation::factorM               )
-      .function("solveM"                , &Simulation::solveM                , allow_raw_pointers())
-      .function("solveM2"               , &Simulation::solveM2               , allow_raw_pointers())
+      .function("solveM"                , &Simulation::solveM                )
+      .function("solveM2"               , &Simulation::solveM2               )
       .function("comVel"                , &Simulation::comVel                )
       .function("passive"               , &Simulation::passive               )
       .function("subtreeVel"            , &Simulation::subtreeVel            )
-      .function("rne"                   , &Simulation::rne                   , allow_raw_pointers())
+      .function("rne"                   , &Simulation::rne                   )
       .function("rnePostConstraint"     , &Simulation::rnePostConstraint     )
       .function("collision"             , &Simulation::collision             )
       .function("makeConstraint"        , &Simulation::makeConstraint        )
       .function("projectConstraint"     , &Simulation::projectConstraint     )
       .function("referenceConstraint"   , &Simulation::referenceConstraint   )
+      .function("constraintUpdate"      , &Simulation::constraintUpdate      )
       .function("isPyramidal"           , &Simulation::isPyramidal           )
       .function("isSparse"              , &Simulation::isSparse              )
       .function("isDual"                , &Simulation::isDual                )
-      .function("mulJacVec"             , &Simulation::mulJacVec             , allow_raw_pointers())
-      .function("mulJacTVec"            , &Simulation::mulJacTVec            , allow_raw_pointers())
-      .function("jacSubtreeCom"         , &Simulation::jacSubtreeCom         , allow_raw_pointers())
+      .function("mulJacVec"             , &Simulation::mulJacVec             )
+      .function("mulJacTVec"            , &Simulation::mulJacTVec            )
+      .function("jac"                   , &Simulation::jac                   )
+      .function("jacBody"               , &Simulation::jacBody               )
+      .function("jacBodyCom"            , &Simulation::jacBodyCom            )
+      .function("jacSubtreeCom"         , &Simulation::jacSubtreeCom         )
+      .function("jacGeom"               , &Simulation::jacGeom               )
+      .function("jacSite"               , &Simulation::jacSite               )
+      .function("jacPointAxis"          , &Simulation::jacPointAxis          )
       .function("name2id"               , &Simulation::name2id               )
       .function("id2name"               , &Simulation::id2name               )
-      .function("fullM"                 , &Simulation::fullM                 , allow_raw_pointers())
-      .function("differentiatePos"      , &Simulation::differentiatePos      , allow_raw_pointers())
-      .function("integratePos"          , &Simulation::integratePos          , allow_raw_pointers())
-      .function("normalizeQuat"         , &Simulation::normalizeQuat         , allow_raw_pointers())
+      .function("fullM"                 , &Simulation::fullM                 )
+      .function("mulM"                  , &Simulation::mulM                  )
+      .function("mulM2"                 , &Simulation::mulM2                 )
+      .function("applyFT"               , &Simulation::applyFT               )
+      .function("objectVelocity"        , &Simulation::objectVelocity        )
+      .function("objectAcceleration"    , &Simulation::objectAcceleration    )
+      .function("contactForce"          , &Simulation::contactForce          )
+      .function("differentiatePos"      , &Simulation::differentiatePos      )
+      .function("integratePos"          , &Simulation::integratePos          )
+      .function("normalizeQuat"         , &Simulation::normalizeQuat         )
+      .function("local2Global"          , &Simulation::local2Global          )
       .function("getTotalmass"          , &Simulation::getTotalmass          )
+      .function("setTotalmass"          , &Simulation::setTotalmass          )
       .function("getPluginConfig"       , &Simulation::getPluginConfig       )
       .function("loadPluginLibrary"     , &Simulation::loadPluginLibrary     )
       .function("version"               , &Simulation::version               )
       .function("versionString"         , &Simulation::versionString         )
-      .function("_rectangle"            , &Simulation::_rectangle            )
-      .function("_finish"               , &Simulation::_finish               )
-      .function("_getError"             , &Simulation::_getError             )
-      .function("i_themeSpacing"        , &Simulation::i_themeSpacing        )
-      .function("i_themeColor"          , &Simulation::i_themeColor          )
+      .function("ray"                   , &Simulation::ray                   )
+      .function("rayHfield"             , &Simulation::rayHfield             )
+      .function("rayMesh"               , &Simulation::rayMesh               )
+      .function("_rayGeom"              , &Simulation::_rayGeom              )
+      .function("_raySkin"              , &Simulation::_raySkin              )
+      .function("_alignToCamera"        , &Simulation::_alignToCamera        )
       .function("_error"                , &Simulation::_error                )
       .function("_error_i"              , &Simulation::_error_i              )
       .function("_error_s"              , &Simulation::_error_s              )
@@ -1482,36 +2063,77 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("_writeLog"             , &Simulation::_writeLog             )
       .function("activate"              , &Simulation::activate              )
       .function("deactivate"            , &Simulation::deactivate            )
-      .function("_zero"                 , &Simulation::_zero                 , allow_raw_pointers())
-      .function("_fill"                 , &Simulation::_fill                 , allow_raw_pointers())
-      .function("_copy"                 , &Simulation::_copy                 , allow_raw_pointers())
-      .function("_sum"                  , &Simulation::_sum                  , allow_raw_pointers())
-      .function("_L1"                   , &Simulation::_L1                   , allow_raw_pointers())
-      .function("_scl"                  , &Simulation::_scl                  , allow_raw_pointers())
-      .function("_add"                  , &Simulation::_add                  , allow_raw_pointers())
-      .function("_sub"                  , &Simulation::_sub                  , allow_raw_pointers())
-      .function("_addTo"                , &Simulation::_addTo                , allow_raw_pointers())
-      .function("_subFrom"              , &Simulation::_subFrom              , allow_raw_pointers())
-      .function("_addToScl"             , &Simulation::_addToScl             , allow_raw_pointers())
-      .function("_addScl"               , &Simulation::_addScl               , allow_raw_pointers())
-      .function("_normalize"            , &Simulation::_normalize            , allow_raw_pointers())
-      .function("_norm"                 , &Simulation::_norm                 , allow_raw_pointers())
-      .function("_dot"                  , &Simulation::_dot                  , allow_raw_pointers())
-      .function("_mulMatVec"            , &Simulation::_mulMatVec            , allow_raw_pointers())
-      .function("_mulMatTVec"           , &Simulation::_mulMatTVec           , allow_raw_pointers())
-      .function("_mulVecMatVec"         , &Simulation::_mulVecMatVec         , allow_raw_pointers())
-      .function("_transpose"            , &Simulation::_transpose            , allow_raw_pointers())
-      .function("_symmetrize"           , &Simulation::_symmetrize           , allow_raw_pointers())
-      .function("_eye"                  , &Simulation::_eye                  , allow_raw_pointers())
-      .function("_mulMatMat"            , &Simulation::_mulMatMat            , allow_raw_pointers())
-      .function("_mulMatMatT"           , &Simulation::_mulMatMatT           , allow_raw_pointers())
-      .function("_mulMatTMat"           , &Simulation::_mulMatTMat           , allow_raw_pointers())
-      .function("_sqrMatTD"             , &Simulation::_sqrMatTD             , allow_raw_pointers())
-      .function("_cholFactor"           , &Simulation::_cholFactor           , allow_raw_pointers())
-      .function("_cholSolve"            , &Simulation::_cholSolve            , allow_raw_pointers())
-      .function("_cholUpdate"           , &Simulation::_cholUpdate           , allow_raw_pointers())
-      .function("_encodePyramid"        , &Simulation::_encodePyramid        , allow_raw_pointers())
-      .function("_decodePyramid"        , &Simulation::_decodePyramid        , allow_raw_pointers())
+      .function("_zero3"                , &Simulation::_zero3                )
+      .function("_copy3"                , &Simulation::_copy3                )
+      .function("_scl3"                 , &Simulation::_scl3                 )
+      .function("_add3"                 , &Simulation::_add3                 )
+      .function("_sub3"                 , &Simulation::_sub3                 )
+      .function("_addTo3"               , &Simulation::_addTo3               )
+      .function("_subFrom3"             , &Simulation::_subFrom3             )
+      .function("_addToScl3"            , &Simulation::_addToScl3            )
+      .function("_addScl3"              , &Simulation::_addScl3              )
+      .function("_normalize3"           , &Simulation::_normalize3           )
+      .function("_norm3"                , &Simulation::_norm3                )
+      .function("_dot3"                 , &Simulation::_dot3                 )
+      .function("_dist3"                , &Simulation::_dist3                )
+      .function("_rotVecMat"            , &Simulation::_rotVecMat            )
+      .function("_rotVecMatT"           , &Simulation::_rotVecMatT           )
+      .function("_cross"                , &Simulation::_cross                )
+      .function("_zero4"                , &Simulation::_zero4                )
+      .function("_unit4"                , &Simulation::_unit4                )
+      .function("_copy4"                , &Simulation::_copy4                )
+      .function("_normalize4"           , &Simulation::_normalize4           )
+      .function("_zero"                 , &Simulation::_zero                 )
+      .function("_fill"                 , &Simulation::_fill                 )
+      .function("_copy"                 , &Simulation::_copy                 )
+      .function("_sum"                  , &Simulation::_sum                  )
+      .function("_L1"                   , &Simulation::_L1                   )
+      .function("_scl"                  , &Simulation::_scl                  )
+      .function("_add"                  , &Simulation::_add                  )
+      .function("_sub"                  , &Simulation::_sub                  )
+      .function("_addTo"                , &Simulation::_addTo                )
+      .function("_subFrom"              , &Simulation::_subFrom              )
+      .function("_addToScl"             , &Simulation::_addToScl             )
+      .function("_addScl"               , &Simulation::_addScl               )
+      .function("_normalize"            , &Simulation::_normalize            )
+      .function("_norm"                 , &Simulation::_norm                 )
+      .function("_dot"                  , &Simulation::_dot                  )
+      .function("_mulMatVec"            , &Simulation::_mulMatVec            )
+      .function("_mulMatTVec"           , &Simulation::_mulMatTVec           )
+      .function("_mulVecMatVec"         , &Simulation::_mulVecMatVec         )
+      .function("_transpose"            , &Simulation::_transpose            )
+      .function("_symmetrize"           , &Simulation::_symmetrize           )
+      .function("_eye"                  , &Simulation::_eye                  )
+      .function("_mulMatMat"            , &Simulation::_mulMatMat            )
+      .function("_mulMatMatT"           , &Simulation::_mulMatMatT           )
+      .function("_mulMatTMat"           , &Simulation::_mulMatTMat           )
+      .function("_sqrMatTD"             , &Simulation::_sqrMatTD             )
+      .function("_transformSpatial"     , &Simulation::_transformSpatial     )
+      .function("_rotVecQuat"           , &Simulation::_rotVecQuat           )
+      .function("_negQuat"              , &Simulation::_negQuat              )
+      .function("_mulQuat"              , &Simulation::_mulQuat              )
+      .function("_mulQuatAxis"          , &Simulation::_mulQuatAxis          )
+      .function("_axisAngle2Quat"       , &Simulation::_axisAngle2Quat       )
+      .function("_quat2Vel"             , &Simulation::_quat2Vel             )
+      .function("_subQuat"              , &Simulation::_subQuat              )
+      .function("_quat2Mat"             , &Simulation::_quat2Mat             )
+      .function("_mat2Quat"             , &Simulation::_mat2Quat             )
+      .function("_derivQuat"            , &Simulation::_derivQuat            )
+      .function("_quatIntegrate"        , &Simulation::_quatIntegrate        )
+      .function("_quatZ2Vec"            , &Simulation::_quatZ2Vec            )
+      .function("_mulPose"              , &Simulation::_mulPose              )
+      .function("_negPose"              , &Simulation::_negPose              )
+      .function("_trnVecPose"           , &Simulation::_trnVecPose           )
+      .function("_cholFactor"           , &Simulation::_cholFactor           )
+      .function("_cholSolve"            , &Simulation::_cholSolve            )
+      .function("_cholUpdate"           , &Simulation::_cholUpdate           )
+      .function("_eig3"                 , &Simulation::_eig3                 )
+      .function("_boxQP"                , &Simulation::_boxQP                )
+      .function("_muscleGain"           , &Simulation::_muscleGain           )
+      .function("_muscleBias"           , &Simulation::_muscleBias           )
+      .function("_muscleDynamics"       , &Simulation::_muscleDynamics       )
+      .function("_encodePyramid"        , &Simulation::_encodePyramid        )
+      .function("_decodePyramid"        , &Simulation::_decodePyramid        )
       .function("_springDamper"         , &Simulation::_springDamper         )
       .function("_min"                  , &Simulation::_min                  )
       .function("_max"                  , &Simulation::_max                  )
@@ -1523,12 +2145,15 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("_writeNumBytes"        , &Simulation::_writeNumBytes        )
       .function("_warningText"          , &Simulation::_warningText          )
       .function("_isBad"                , &Simulation::_isBad                )
-      .function("_isZero"               , &Simulation::_isZero               , allow_raw_pointers())
-      .function("_standardNormal"       , &Simulation::_standardNormal       , allow_raw_pointers())
-      .function("_insertionSort"        , &Simulation::_insertionSort        , allow_raw_pointers())
+      .function("_isZero"               , &Simulation::_isZero               )
+      .function("_standardNormal"       , &Simulation::_standardNormal       )
+      .function("_f2n"                  , &Simulation::_f2n                  )
+      .function("_n2f"                  , &Simulation::_n2f                  )
+      .function("_insertionSort"        , &Simulation::_insertionSort        )
+      .function("_insertionSortInt"     , &Simulation::_insertionSortInt     )
       .function("_Halton"               , &Simulation::_Halton               )
       .function("_sigmoid"              , &Simulation::_sigmoid              )
-      .function("_transitionFD"         , &Simulation::_transitionFD         , allow_raw_pointers())
+      .function("_transitionFD"         , &Simulation::_transitionFD         )
       .function("_pluginCount"          , &Simulation::_pluginCount          )
       ;
 
@@ -1545,6 +2170,13 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("nmeshvert"  , &mjModel::nmeshvert)
       .field("nmeshface"  , &mjModel::nmeshface);
 
+  register_mjtNum_array<2 >("array<mjtNum, 2>");
+  register_mjtNum_array<3 >("array<mjtNum, 3>");
+  register_mjtNum_array<4 >("array<mjtNum, 4>");
+  register_mjtNum_array<5 >("array<mjtNum, 5>");
+  register_mjtNum_array<9 >("array<mjtNum, 9>");
+  register_mjtNum_array<36>("array<mjtNum, 36>");
+
   value_object<mjvPerturb>("mjvPerturb")
       .field("select"    , &mjvPerturb::select)     // selected body id; non-positive: none
       .field("skinselect", &mjvPerturb::skinselect) // selected skin id; negative: none
@@ -1556,6 +2188,10 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("scale"     , &mjvPerturb::scale)      // relative mouse motion-to-space scaling (set by initPerturb)
       ;
 
+  value_object<mjWarningStat>("mjWarningStat")
+      .field("lastinfo", &mjWarningStat::lastinfo)  // info from last warning
+      .field("number"  , &mjWarningStat::number);   // how many times was warning raised
+
   value_object<mjContact>("mjContact")
       .field("dist"         , &mjContact::dist)             // distance between nearest points; neg: penetration
       .field("pos"          , &mjContact::pos)              // position of contact point: midpoint between geoms
@@ -1566,9 +2202,9 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("solimp"       , &mjContact::solimp)           // constraint solver impedance
       .field("mu"           , &mjContact::mu)               // friction of regularized cone, set by mj_makeConstraint
       .field("H"            , &mjContact::H)                // cone Hessian, set by mj_updateConstraint
-      .field("dim"          , &mjContact::H)                // contact space dimensionality: 1, 3, 4 or 6
-      .field("geom1"        , &mjContact::H)                // id of geom 1
-      .field("geom2"        , &mjContact::H)                // id of geom 2
+      .field("dim"          , &mjContact::dim)              // contact space dimensionality: 1, 3, 4 or 6
+      .field("geom1"        , &mjContact::geom1)            // id of geom 1
+      .field("geom2"        , &mjContact::geom2)            // id of geom 2
       .field("exclude"      , &mjContact::exclude)          // 0: include, 1: in gap, 2: fused, 3: equality, 4: no dofs
       .field("efc_address"  , &mjContact::efc_address);     // address in efc; -1: not included, -2-i: distance constraint i
 
@@ -1591,14 +2227,14 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("tolerance"           , &mjOption::tolerance)         // main solver tolerance
       .field("noslip_tolerance"    , &mjOption::noslip_tolerance)  // noslip solver tolerance
       .field("mpr_tolerance"       , &mjOption::mpr_tolerance)     // MPR solver tolerance
-      //.field("gravity"           , &mjOption::gravity)           // gravitational acceleration
-      //.field("wind"              , &mjOption::wind)              // wind (for lift, drag and viscosity)
-      //.field("magnetic"          , &mjOption::magnetic)          // global magnetic flux
+      .field("gravity"             , &mjOption::gravity)           // gravitational acceleration
+      .field("wind"                , &mjOption::wind)              // wind (for lift, drag and viscosity)
+      .field("magnetic"            , &mjOption::magnetic)          // global magnetic flux
       .field("density"             , &mjOption::density)           // density of medium
       .field("viscosity"           , &mjOption::viscosity)         // viscosity of medium
       .field("o_margin"            , &mjOption::o_margin)          // margin
-      //.field("o_solref"          , &mjOption::o_solref)          // solref
-      //.field("o_solimp"          , &mjOption::o_solimp)          // solimp
+      .field("o_solref"            , &mjOption::o_solref)          // solref
+      .field("o_solimp"            , &mjOption::o_solimp)          // solimp
       .field("integrator"          , &mjOption::integrator)        // integration mode (mjtIntegrator)
       .field("collision"           , &mjOption::collision)         // collision mode (mjtCollision)
       .field("cone"                , &mjOption::cone)              // type of friction cone (mjtCone)
@@ -1610,5 +2246,27 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("disableflags"        , &mjOption::disableflags)      // bit flags for disabling standard features
       .field("enableflags"         , &mjOption::enableflags);      // bit flags for enabling optional features
 
+  value_object<mjStatistic>("mjStatistic")
+      .field("meaninertia", &mjStatistic::meaninertia) // mean diagonal inertia
+      .field("meanmass"   , &mjStatistic::meanmass)    // mean body mass
+      .field("meansize"   , &mjStatistic::meansize)    // mean body size
+      .field("extent"     , &mjStatistic::extent)      // spatial extent
+      .field("center"     , &mjStatistic::center);     // center of model
+
+  value_object<mjVisualGlobal>("mjVisualGlobal")
+      .field("fovy"     , &mjVisualGlobal::fovy)      // y-field of view for free camera (degrees)
+      .field("ipd"      , &mjVisualGlobal::ipd)       // inter-pupilary distance for free camera
+      .field("azimuth"  , &mjVisualGlobal::azimuth)   // initial azimuth of free camera (degrees)
+      .field("elevation", &mjVisualGlobal::elevation) // initial elevation of free camera (degrees)
+      .field("linewidth", &mjVisualGlobal::linewidth) // line width for wireframe and ray rendering
+      .field("glow"     , &mjVisualGlobal::glow)      // glow coefficient for selected body
+      .field("realtime" , &mjVisualGlobal::realtime)  // initial real-time factor (1: real time)
+      .field("offwidth" , &mjVisualGlobal::offwidth)  // width of offscreen buffer
+      .field("offheight", &mjVisualGlobal::offheight);// height of offscreen buffer
+
+  // Only the global parameters of mjVisual are bound so far
+  value_object<mjVisual>("mjVisual")
+      .field("global", &mjVisual::global);
+
   register_vector<mjContact>("vector<mjContact>");
 }
@@ -1,4 +1,7 @@
+#include <algorithm>
+#include <array>
 #include <chrono>
+#include <cstdint>
 #include <cstdio>
 #include <cstring>
 #include <string>
@@ -14,35 +17,229 @@
 
 using namespace emscripten;
 
-int finish(const char *msg = NULL, mjModel *m = NULL) {
-  if (m  ) { mj_deleteModel(m); }
-  if (msg) { std::printf("%s\n", msg); }
-  return 0;
+// Components of the simulation state, with the same bit values as mjtState in MuJoCo 3.
+// MuJoCo 2.3.1 has no mj_getState/mj_setState, so Simulation implements them below.
+// Bits 8 (eq_active) and 12 (plugin state) have no counterpart in mjData here.
+enum mjtState {
+  mjSTATE_TIME          = 1<<0,   // time
+  mjSTATE_QPOS          = 1<<1,   // position
+  mjSTATE_QVEL          = 1<<2,   // velocity
+  mjSTATE_ACT           = 1<<3,   // actuator activation
+  mjSTATE_WARMSTART     = 1<<4,   // acceleration used for warmstart
+  mjSTATE_CTRL          = 1<<5,   // control
+  mjSTATE_QFRC_APPLIED  = 1<<6,   // applied generalized force
+  mjSTATE_XFRC_APPLIED  = 1<<7,   // applied Cartesian force/torque
+  mjSTATE_MOCAP_POS     = 1<<9,   // positions of mocap bodies
+  mjSTATE_MOCAP_QUAT    = 1<<10,  // orientations of mocap bodies
+  mjSTATE_USERDATA      = 1<<11,  // user data
+
+  mjNSTATE              = 13,     // number of state bits
+
+  // convenience values for commonly used state specifications
+  mjSTATE_PHYSICS       = mjSTATE_QPOS | mjSTATE_QVEL | mjSTATE_ACT,
+  mjSTATE_FULLPHYSICS   = mjSTATE_PHYSICS | mjSTATE_TIME,
+  mjSTATE_USER          = mjSTATE_CTRL | mjSTATE_QFRC_APPLIED | mjSTATE_XFRC_APPLIED |
+                          mjSTATE_MOCAP_POS | mjSTATE_MOCAP_QUAT | mjSTATE_USERDATA,
+  mjSTATE_INTEGRATION   = mjSTATE_FULLPHYSICS | mjSTATE_USER | mjSTATE_WARMSTART
+};
+
+// The global parameters of mjVisual are an anonymous struct; name it for the bindings
+typedef decltype(mjVisual::global) mjVisualGlobal;
+
+// embind passes fixed-size mjtNum arrays in value_object fields (mjContact::pos, ...)
+// as std::array<mjtNum, N>, which must be registered as a JS array of N numbers.
+template <size_t N, size_t I = 0>
+struct mjtNumArrayElements {
+  static void add(value_array<std::array<mjtNum, N>> &array) {
+    array.element(emscripten::index<I>());
+    mjtNumArrayElements<N, I + 1>::add(array);
+  }
+};
+template <size_t N>
+struct mjtNumArrayElements<N, N> {
+  static void add(value_array<std::array<mjtNum, N>> &array) {}
+};
+template <size_t N>
+void register_mjtNum_array(const char *name) {
+  value_array<std::array<mjtNum, N>> array(name);
+  mjtNumArrayElements<N>::add(array);
+}
+
+// MuJoCo returns NULL for missing names (e.g. mj_id2name of an unnamed body); those become ""
+std::string toString(const char *str) { return str ? std::string(str) : std::string(); }
+
+// Raises a JS Error named "MuJoCoError"; C++ destructors are skipped, so release everything before calling it
+void throwError(const std::string &message) {
+  val error = val::global("Error").new_(message);
+  error.set("name", std::string("MuJoCoError"));
+  error.throw_();
+}
+
+// mju_error must not return; the default handler exits the program, so errors are thrown to JS instead
+void handleError(const char *msg) { throwError(msg); }
+
+// Receives mju_warning messages (including the first of each mjData warning); console.warn when unset
+val *warningHandler = NULL;
+void handleWarning(const char *msg) {
+  if (warningHandler) { (*warningHandler)(std::string(msg)); }
+  else { val::global("console").call<void>("warn", std::string(msg)); }
+}
+void setWarningHandler(val handler) {
+  delete warningHandler;
+  warningHandler = (handler.isUndefined() || handler.isNull()) ? NULL : new val(handler);
+}
+
+// Copies a file into a virtual file system; MuJoCo looks files up by their name without the path.
+// Returns why the file could not be added, or "" when it was
+std::string addFileVFS(mjVFS *vfs, const std::string &name, const void *data, int size) {
+  int result = mj_makeEmptyFileVFS(vfs, name.c_str(), size);
+  if (result != 0) {
+    return result == 1 ? "Too many files for the virtual file system" :
+                         "Two files are named like " + name + "; file names must be unique without their paths";
+  }
+  std::memcpy(vfs->filedata[vfs->nfile - 1], data, size);
+  return "";
 }
 
+// The bytes of a Uint8Array, an ArrayBuffer or a string
+std::vector<uint8_t> bytesFromJS(const val &data) {
+  if (data.isString()) {
+    std::string text = data.as<std::string>();
+    return std::vector<uint8_t>(text.begin(), text.end());
+  }
+  return convertJSArrayToNumberVector<uint8_t>(val::global("Uint8Array").new_(data));
+}
+
+// Copies the files of an object that maps file names to their contents into a virtual file system.
+// Returns why a file could not be added, or ""; its copies are released by then, so callers may throw
+std::string addAssetsVFS(mjVFS *vfs, const val &assets) {
+  if (assets.isUndefined() || assets.isNull()) { return ""; }
+  val names = val::global("Object").call<val>("keys", assets);
+  int nasset = names["length"].as<int>();
+  for (int i = 0; i < nasset; i++) {
+    std::string name = names[i].as<std::string>();
+    std::vector<uint8_t> bytes = bytesFromJS(assets[name]);
+    std::string failure = addFileVFS(vfs, name, bytes.data(), bytes.size());
+    if (!failure.empty()) { return failure; }
+  }
+  return "";
+}
+
+// Checks an array argument of a generated binding before anything is copied, since throwError skips
+// destructors. size is what MuJoCo reads or writes (from the model, the other arguments or a fixed
+// extent); null and undefined are only accepted where nullable, i.e. for outputs and optional inputs.
+void checkArray(const val &array, int size, bool nullable, const char *function, const char *name) {
+  if (array.isNull() || array.isUndefined()) {
+    if (!nullable) { throwError(std::string(function) + ": " + name + " is required"); }
+    return;
+  }
+  int length = array["length"].as<int>();
+  if (size < 0 || length < size) {
+    throwError(std::string(function) + ": " + name + " needs " + std::to_string(size) +
+               " values, got " + std::to_string(length));
+  }
+}
+
+// An array argument of a generated binding: MuJoCo works on a copy of exactly size elements that
+// lives for the duration of the call, so it never keeps pointers into JS-owned or detachable memory
+// and never writes past the end of a short JS array. What MuJoCo wrote is copied back into the JS
+// array with copyBack, and into a new typed array with result. null and undefined are passed as NULL
+// for outputs MuJoCo can skip (optional), like the rotational Jacobian of mj_jac; other outputs get zeros.
+template <typename T>
+class JSArray {
+public:
+  JSArray(val array, int size, bool optional = false)
+      : array(array), given(!array.isNull() && !array.isUndefined()), null(!given && optional) {
+    if (given) { data = convertJSArrayToNumberVector<T>(array); }
+    if (!null) { data.resize(size); }
+  }
+  T *ptr() { return null ? NULL : data.data(); }
+  void copyBack() {
+    if (!given) { return; }
+    for (int i = 0; i < (int)data.size(); i++) { array.set(i, data[i]); }
+  }
+  val result() { return null ? val::null() : val(typed_memory_view(data.size(), data.data())).call<val>("slice"); }
+
+private:
+  val array;
+  bool given;
+  bool null;
+  std::vector<T> data;
+};
+
 class Model {
 public:
   Model() { m = NULL; }
+  explicit Model(mjModel *model) { m = model; }
   Model(const std::string filename) {
     if(0 == filename.compare(filename.length() - 3, 3, "mjb")){
-      char error[1000] = "Could not load mjb model";
-      m = mj_loadModel(filename.c_str(), 0); 
-      if (!m) { finish(error, m); }
+      m = mj_loadModel(filename.c_str(), 0);
+      if (!m) { throwError("Could not load mjb model " + filename); }
     } else {
-      char error[1000] = "Could not load xml model";
-      m = mj_loadXML(filename.c_str(), 0, error, 1000); 
-      if (!m) { finish(error, m); }
+      char error[1000] = "";
+      m = mj_loadXML(filename.c_str(), 0, error, 1000);
+      if (!m) { throwError("Could not load xml model " + filename + ": " + error); }
     }
   }
 
   static Model load_from_xml(const std::string filename) { return Model(filename); }
   static Model load_from_mjb(const std::string filename) { return Model(filename); }
 
+  // Compiles MJCF text; assets maps file names (meshes, textures, included XML) to their contents
+  static Model fromXMLString(const std::string xml, val assets) {
+    mjVFS *vfs = new mjVFS;
+    mj_defaultVFS(vfs);
+    std::string failure = addFileVFS(vfs, "model.xml", xml.data(), xml.size());
+    if (failure.empty()) { failure = addAssetsVFS(vfs, assets); }
+    if (!failure.empty()) {
+      mj_deleteVFS(vfs);
+      delete vfs;
+      throwError(failure);
+    }
+    char error[1000] = "";
+    mjModel *model = mj_loadXML("model.xml", vfs, error, 1000);
+    mj_deleteVFS(vfs);
+    delete vfs;
+    if (!model) { throwError(std::string("Could not load xml model: ") + error); }
+    return Model(model);
+  }
+  static Model fromXMLStringOnly(const std::string xml) { return fromXMLString(xml, val::undefined()); }
+
+  // Loads a binary model written by saveMJB (or mj_saveModel) from an ArrayBuffer or Uint8Array
+  static Model fromMJB(val buffer) {
+    mjVFS *vfs = new mjVFS;
+    mj_defaultVFS(vfs);
+    {
+      // The copy is released before anything can throw; one file always fits an empty file system
+      std::vector<uint8_t> bytes = bytesFromJS(buffer);
+      addFileVFS(vfs, "model.mjb", bytes.data(), bytes.size());
+    }
+    mjModel *model = mj_loadModel("model.mjb", vfs);
+    mj_deleteVFS(vfs);
+    delete vfs;
+    if (!model) { throwError("Could not load mjb model; it must be written by MuJoCo " + std::string(mj_versionString())); }
+    return Model(model);
+  }
+
+  // The compiled model in MuJoCo's binary format, which loads without parsing or compiling
+  val saveMJB() {
+    std::vector<uint8_t> buffer(mj_sizeModel(m));
+    mj_saveModel(m, NULL, buffer.data(), buffer.size());
+    return val::global("Uint8Array").new_(typed_memory_view(buffer.size(), buffer.data()));
+  }
+
   mjModel *ptr       () { return m; }
   mjModel getVal     () { return *m; }
   mjOption getOptions() { return (*m).opt; }
+  void setOptions(mjOption options) { (*m).opt = options; }
+  mjStatistic getStatistic() { return (*m).stat; }
+  mjVisual getVisual  () { return (*m).vis; }
   void free          () { return mju_free(m); }
 
+  // Name lookups by mjtObj type; -1 and "" when there is no such object or name
+  int name2id(int type, const std::string name) { return mj_name2id(m, type, name.c_str()); }
+  std::string id2name(int type, int id) { return toString(mj_id2name(m, type, id)); }
+
   // MJMODEL_DEFINITIONS
 
 private:
@@ -141,12 +338,95 @@ public:
     }
   }
 
+  // Number of mjtNums in a state with the components in spec (a bitmask of mjtState)
+  int stateSize(int spec) {
+    int size = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int componentSize = 0;
+      if (spec & (1<<i)) { stateComponent(1<<i, &componentSize); }
+      size += componentSize;
+    }
+    return size;
+  }
+
+  // Copies the components in spec, in bit order, into a new Float64Array
+  val getState(int spec) {
+    std::vector<mjtNum> state(stateSize(spec));
+    int offset = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int size = 0;
+      mjtNum *component = (spec & (1<<i)) ? stateComponent(1<<i, &size) : NULL;
+      if (size > 0) { mju_copy(state.data() + offset, component, size); }
+      offset += size;
+    }
+    return val::global("Float64Array").new_(typed_memory_view(state.size(), state.data()));
+  }
+
+  // Restores the components in spec from an array laid out by getState
+  void setState(val state, int spec) {
+    // Checked before the copy is made, since throwError skips its destructor
+    int length = state["length"].as<int>();
+    if (length != stateSize(spec)) {
+      throwError("setState: expected " + std::to_string(stateSize(spec)) +
+                 " values for this spec, got " + std::to_string(length));
+    }
+    std::vector<mjtNum> values = convertJSArrayToNumberVector<mjtNum>(state);
+    int offset = 0;
+    for (int i = 0; i < mjNSTATE; i++) {
+      int size = 0;
+      mjtNum *component = (spec & (1<<i)) ? stateComponent(1<<i, &size) : NULL;
+      if (size > 0) { mju_copy(component, values.data() + offset, size); }
+      offset += size;
+    }
+  }
+
+  // Simulation time; scalars in mjData are not covered by the generated bindings
+  mjtNum getTime() const { return _state->ptr()->time; }
+  void   setTime(mjtNum time) { _state->ptr()->time = time; }
+
+  // Number of active contacts
+  int ncon() const { return _state->ptr()->ncon; }
+
+  // Copies the active contacts into a new array of mjContact objects
+  val contact() const {
+    val contacts = val::array();
+    for (int i = 0; i < _state->ptr()->ncon; i++) { contacts.set(i, _state->ptr()->contact[i]); }
+    return contacts;
+  }
+
+  // Counters of the warnings raised since the last reset, indexed by mjtWarning
+  val warningStats() const {
+    val result = val::array();
+    for (int i = 0; i < mjNWARNING; i++) { result.call<void>("push", _state->ptr()->warning[i]); }
+    return result;
+  }
+
   // MJDATA_DEFINITIONS
 
 
 private:
   Model *_model;
   State *_state;
+
+  // Location and length of a single state component in mjData
+  mjtNum *stateComponent(int component, int *size) {
+    mjModel *m = _model->ptr();
+    mjData  *d = _state->ptr();
+    switch (component) {
+      case mjSTATE_TIME        : *size = 1;             return &d->time;
+      case mjSTATE_QPOS        : *size = m->nq;         return d->qpos;
+      case mjSTATE_QVEL        : *size = m->nv;         return d->qvel;
+      case mjSTATE_ACT         : *size = m->na;         return d->act;
+      case mjSTATE_WARMSTART   : *size = m->nv;         return d->qacc_warmstart;
+      case mjSTATE_CTRL        : *size = m->nu;         return d->ctrl;
+      case mjSTATE_QFRC_APPLIED: *size = m->nv;         return d->qfrc_applied;
+      case mjSTATE_XFRC_APPLIED: *size = 6 * m->nbody;  return d->xfrc_applied;
+      case mjSTATE_MOCAP_POS   : *size = 3 * m->nmocap; return d->mocap_pos;
+      case mjSTATE_MOCAP_QUAT  : *size = 4 * m->nmocap; return d->mocap_quat;
+      case mjSTATE_USERDATA    : *size = m->nuserdata;  return d->userdata;
+      default                  : *size = 0;             return NULL;
+    }
+  }
 };
 
 // main function
@@ -159,15 +439,46 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
 
   // MODEL_ENUMS
 
+  enum_<mjtState>("mjtState")
+      .value("mjSTATE_TIME"        , mjtState::mjSTATE_TIME        )
+      .value("mjSTATE_QPOS"        , mjtState::mjSTATE_QPOS        )
+      .value("mjSTATE_QVEL"        , mjtState::mjSTATE_QVEL        )
+      .value("mjSTATE_ACT"         , mjtState::mjSTATE_ACT         )
+      .value("mjSTATE_WARMSTART"   , mjtState::mjSTATE_WARMSTART   )
+      .value("mjSTATE_CTRL"        , mjtState::mjSTATE_CTRL        )
+      .value("mjSTATE_QFRC_APPLIED", mjtState::mjSTATE_QFRC_APPLIED)
+      .value("mjSTATE_XFRC_APPLIED", mjtState::mjSTATE_XFRC_APPLIED)
+      .value("mjSTATE_MOCAP_POS"   , mjtState::mjSTATE_MOCAP_POS   )
+      .value("mjSTATE_MOCAP_QUAT"  , mjtState::mjSTATE_MOCAP_QUAT  )
+      .value("mjSTATE_USERDATA"    , mjtState::mjSTATE_USERDATA    )
+      .value("mjSTATE_PHYSICS"     , mjtState::mjSTATE_PHYSICS     )
+      .value("mjSTATE_FULLPHYSICS" , mjtState::mjSTATE_FULLPHYSICS )
+      .value("mjSTATE_USER"        , mjtState::mjSTATE_USER        )
+      .value("mjSTATE_INTEGRATION" , mjtState::mjSTATE_INTEGRATION );
+
+  // Route MuJoCo's errors and warnings to JavaScript
+  mju_user_error   = handleError;
+  mju_user_warning = handleWarning;
+  function("setWarningHandler", &setWarningHandler);
+
 
   class_<Model>("Model")
       .constructor<>(&Model::load_from_xml)
       .class_function("load_from_xml", &Model::load_from_xml)
       .class_function("load_from_mjb", &Model::load_from_mjb)
+      .class_function("fromXMLString", &Model::fromXMLString)
+      .class_function("fromXMLString", &Model::fromXMLStringOnly)
+      .class_function("fromMJB"      , &Model::fromMJB      )
+      .function("saveMJB"         , &Model::saveMJB     )
       .function("ptr", &Model::ptr, allow_raw_pointers())
       .function("free"            , &Model::free        )
       .function("getVal"          , &Model::getVal      )
       .function("getOptions"      , &Model::getOptions  )
+      .function("setOptions"      , &Model::setOptions  )
+      .function("getStatistic"    , &Model::getStatistic)
+      .function("getVisual"       , &Model::getVisual   )
+      .function("name2id"         , &Model::name2id     )
+      .function("id2name"         , &Model::id2name     )
       // MJMODEL_BINDINGS
 ;
 
@@ -184,6 +495,13 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .function("free"      , &Simulation::free      )
       .function("applyForce", &Simulation::applyForce)
       .function("applyPose" , &Simulation::applyPose )
+      .property("time"      , &Simulation::getTime, &Simulation::setTime)
+      .property("ncon"      , &Simulation::ncon      )
+      .property("contact"   , &Simulation::contact   )
+      .property("warningStats", &Simulation::warningStats)
+      .function("stateSize" , &Simulation::stateSize )
+      .function("getState"  , &Simulation::getState  )
+      .function("setState"  , &Simulation::setState  )
       // MJDATA_BINDINGS
       ;
 
@@ -200,6 +518,13 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("nmeshvert"  , &mjModel::nmeshvert)
       .field("nmeshface"  , &mjModel::nmeshface);
 
+  register_mjtNum_array<2 >("array<mjtNum, 2>");
+  register_mjtNum_array<3 >("array<mjtNum, 3>");
+  register_mjtNum_array<4 >("array<mjtNum, 4>");
+  register_mjtNum_array<5 >("array<mjtNum, 5>");
+  register_mjtNum_array<9 >("array<mjtNum, 9>");
+  register_mjtNum_array<36>("array<mjtNum, 36>");
+
   value_object<mjvPerturb>("mjvPerturb")
       .field("select"    , &mjvPerturb::select)     // selected body id; non-positive: none
       .field("skinselect", &mjvPerturb::skinselect) // selected skin id; negative: none
@@ -211,6 +536,10 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("scale"     , &mjvPerturb::scale)      // relative mouse motion-to-space scaling (set by initPerturb)
       ;
 
+  value_object<mjWarningStat>("mjWarningStat")
+      .field("lastinfo", &mjWarningStat::lastinfo)  // info from last warning
+      .field("number"  , &mjWarningStat::number);   // how many times was warning raised
+
   value_object<mjContact>("mjContact")
       .field("dist"         , &mjContact::dist)             // distance between nearest points; neg: penetration
       .field("pos"          , &mjContact::pos)              // position of contact point: midpoint between geoms
@@ -221,9 +550,9 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("solimp"       , &mjContact::solimp)           // constraint solver impedance
       .field("mu"           , &mjContact::mu)               // friction of regularized cone, set by mj_makeConstraint
       .field("H"            , &mjContact::H)                // cone Hessian, set by mj_updateConstraint
-      .field("dim"          , &mjContact::H)                // contact space dimensionality: 1, 3, 4 or 6
-      .field("geom1"        , &mjContact::H)                // id of geom 1
-      .field("geom2"        , &mjContact::H)                // id of geom 2
+      .field("dim"          , &mjContact::dim)              // contact space dimensionality: 1, 3, 4 or 6
+      .field("geom1"        , &mjContact::geom1)            // id of geom 1
+      .field("geom2"        , &mjContact::geom2)            // id of geom 2
       .field("exclude"      , &mjContact::exclude)          // 0: include, 1: in gap, 2: fused, 3: equality, 4: no dofs
       .field("efc_address"  , &mjContact::efc_address);     // address in efc; -1: not included, -2-i: distance constraint i
 
@@ -246,14 +575,14 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("tolerance"           , &mjOption::tolerance)         // main solver tolerance
       .field("noslip_tolerance"    , &mjOption::noslip_tolerance)  // noslip solver tolerance
       .field("mpr_tolerance"       , &mjOption::mpr_tolerance)     // MPR solver tolerance
-      //.field("gravity"           , &mjOption::gravity)           // gravitational acceleration
-      //.field("wind"              , &mjOption::wind)              // wind (for lift, drag and viscosity)
-      //.field("magnetic"          , &mjOption::magnetic)          // global magnetic flux
+      .field("gravity"             , &mjOption::gravity)           // gravitational acceleration
+      .field("wind"                , &mjOption::wind)              // wind (for lift, drag and viscosity)
+      .field("magnetic"            , &mjOption::magnetic)          // global magnetic flux
       .field("density"             , &mjOption::density)           // density of medium
       .field("viscosity"           , &mjOption::viscosity)         // viscosity of medium
       .field("o_margin"            , &mjOption::o_margin)          // margin
-      //.field("o_solref"          , &mjOption::o_solref)          // solref
-      //.field("o_solimp"          , &mjOption::o_solimp)          // solimp
+      .field("o_solref"            , &mjOption::o_solref)          // solref
+      .field("o_solimp"            , &mjOption::o_solimp)          // solimp
       .field("integrator"          , &mjOption::integrator)        // integration mode (mjtIntegrator)
       .field("collision"           , &mjOption::collision)         // collision mode (mjtCollision)
       .field("cone"                , &mjOption::cone)              // type of friction cone (mjtCone)
@@ -265,5 +594,27 @@ EMSCRIPTEN_BINDINGS(mujoco_wasm) {
       .field("disableflags"        , &mjOption::disableflags)      // bit flags for disabling standard features
       .field("enableflags"         , &mjOption::enableflags);      // bit flags for enabling optional features
 
+  value_object<mjStatistic>("mjStatistic")
+      .field("meaninertia", &mjStatistic::meaninertia) // mean diagonal inertia
+      .field("meanmass"   , &mjStatistic::meanmass)    // mean body mass
+      .field("meansize"   , &mjStatistic::meansize)    // mean body size
+      .field("extent"     , &mjStatistic::extent)      // spatial extent
+      .field("center"     , &mjStatistic::center);     // center of model
+
+  value_object<mjVisualGlobal>("mjVisualGlobal")
+      .field("fovy"     , &mjVisualGlobal::fovy)      // y-field of view for free camera (degrees)
+      .field("ipd"      , &mjVisualGlobal::ipd)       // inter-pupilary distance for free camera
+      .field("azimuth"  , &mjVisualGlobal::azimuth)   // initial azimuth of free camera (degrees)
+      .field("elevation", &mjVisualGlobal::elevation) // initial elevation of free camera (degrees)
+      .field("linewidth", &mjVisualGlobal::linewidth) // line width for wireframe and ray rendering
+      .field("glow"     , &mjVisualGlobal::glow)      // glow coefficient for selected body
+      .field("realtime" , &mjVisualGlobal::realtime)  // initial real-time factor (1: real time)
+      .field("offwidth" , &mjVisualGlobal::offwidth)  // width of offscreen buffer
+      .field("offheight", &mjVisualGlobal::offheight);// height of offscreen buffer
+
+  // Only the global parameters of mjVisual are bound so far
+  value_object<mjVisual>("mjVisual")
+      .field("global", &mjVisual::global);
+
   register_vector<mjContact>("vector<mjContact>");
 }
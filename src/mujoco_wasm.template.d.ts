@@ -277,13 +277,222 @@ type ReturnToType<R extends Emscripten.JSType | null> = R extends null
 
 // ENUMS
 
+/** Components of the simulation state for Simulation.getState/setState, as bit flags.
+ * Values match mjtState in MuJoCo 3; combine them with | after reading `.value`. */
+export enum mjtState {
+    /** time                                     */
+    mjSTATE_TIME          = 1<<0,
+    /** position                                 */
+    mjSTATE_QPOS          = 1<<1,
+    /** velocity                                 */
+    mjSTATE_QVEL          = 1<<2,
+    /** actuator activation                      */
+    mjSTATE_ACT           = 1<<3,
+    /** acceleration used for warmstart          */
+    mjSTATE_WARMSTART     = 1<<4,
+    /** control                                  */
+    mjSTATE_CTRL          = 1<<5,
+    /** applied generalized force                */
+    mjSTATE_QFRC_APPLIED  = 1<<6,
+    /** applied Cartesian force/torque           */
+    mjSTATE_XFRC_APPLIED  = 1<<7,
+    /** positions of mocap bodies                */
+    mjSTATE_MOCAP_POS     = 1<<9,
+    /** orientations of mocap bodies             */
+    mjSTATE_MOCAP_QUAT    = 1<<10,
+    /** user data                                */
+    mjSTATE_USERDATA      = 1<<11,
+    /** QPOS | QVEL | ACT                        */
+    mjSTATE_PHYSICS       = mjSTATE_QPOS | mjSTATE_QVEL | mjSTATE_ACT,
+    /** PHYSICS | TIME                           */
+    mjSTATE_FULLPHYSICS   = mjSTATE_PHYSICS | mjSTATE_TIME,
+    /** CTRL | QFRC_APPLIED | XFRC_APPLIED | MOCAP_POS | MOCAP_QUAT | USERDATA */
+    mjSTATE_USER          = mjSTATE_CTRL | mjSTATE_QFRC_APPLIED | mjSTATE_XFRC_APPLIED |
+                            mjSTATE_MOCAP_POS | mjSTATE_MOCAP_QUAT | mjSTATE_USERDATA,
+    /** everything needed to resume integration exactly */
+    mjSTATE_INTEGRATION   = mjSTATE_FULLPHYSICS | mjSTATE_USER | mjSTATE_WARMSTART,
+}
+
+/** Warning statistics of mjData, returned by Simulation.warningStats */
+export interface mjWarningStat {
+  /** info from last warning */
+  lastinfo: number;
+  /** how many times was warning raised */
+  number: number;
+}
+
+/** Errors raised by MuJoCo (mju_error) and failed model loads are thrown as Errors with this name */
+export interface MuJoCoError extends Error {
+  name: "MuJoCoError";
+}
+
+/** Result of collision detection, copied out of mjData by Simulation.contact */
+export interface mjContact {
+  /** distance between nearest points; neg: penetration */
+  dist: number;
+  /** position of contact point: midpoint between geoms */
+  pos: number[];
+  /** contact frame; the normal is in [0-2] */
+  frame: number[];
+  /** include if dist<includemargin=margin-gap */
+  includemargin: number;
+  /** tangent1, 2, spin, roll1, 2 */
+  friction: number[];
+  /** constraint solver reference */
+  solref: number[];
+  /** constraint solver impedance */
+  solimp: number[];
+  /** friction of regularized cone, set by mj_makeConstraint */
+  mu: number;
+  /** cone Hessian, set by mj_updateConstraint */
+  H: number[];
+  /** contact space dimensionality: 1, 3, 4 or 6 */
+  dim: number;
+  /** id of geom 1 */
+  geom1: number;
+  /** id of geom 2 */
+  geom2: number;
+  /** 0: include, 1: in gap, 2: fused, 3: equality, 4: no dofs */
+  exclude: number;
+  /** address in efc; -1: not included, -2-i: distance constraint i */
+  efc_address: number;
+}
+
+/** Model statistics (in qpos0), returned by Model.getStatistic */
+export interface mjStatistic {
+  /** mean diagonal inertia */
+  meaninertia: number;
+  /** mean body mass */
+  meanmass: number;
+  /** mean body size */
+  meansize: number;
+  /** spatial extent */
+  extent: number;
+  /** center of model */
+  center: number[];
+}
+
+/** Physics options, returned by Model.getOptions */
+export interface mjOption {
+  /** timestep */
+  timestep: number;
+  /** update rate for remote API (Hz) */
+  apirate: number;
+  /** ratio of friction-to-normal contact impedance */
+  impratio: number;
+  /** main solver tolerance */
+  tolerance: number;
+  /** noslip solver tolerance */
+  noslip_tolerance: number;
+  /** MPR solver tolerance */
+  mpr_tolerance: number;
+  /** gravitational acceleration (3) */
+  gravity: number[];
+  /** wind (for lift, drag and viscosity) (3) */
+  wind: number[];
+  /** global magnetic flux (3) */
+  magnetic: number[];
+  /** density of medium */
+  density: number;
+  /** viscosity of medium */
+  viscosity: number;
+  /** margin */
+  o_margin: number;
+  /** solref (mjNREF = 2) */
+  o_solref: number[];
+  /** solimp (mjNIMP = 5) */
+  o_solimp: number[];
+  /** integration mode (mjtIntegrator) */
+  integrator: number;
+  /** collision mode (mjtCollision) */
+  collision: number;
+  /** type of friction cone (mjtCone) */
+  cone: number;
+  /** type of Jacobian (mjtJacobian) */
+  jacobian: number;
+  /** solver algorithm (mjtSolver) */
+  solver: number;
+  /** maximum number of main solver iterations */
+  iterations: number;
+  /** maximum number of noslip solver iterations */
+  noslip_iterations: number;
+  /** maximum number of MPR solver iterations */
+  mpr_iterations: number;
+  /** bit flags for disabling standard features (mjtDisableBit) */
+  disableflags: number;
+  /** bit flags for enabling optional features (mjtEnableBit) */
+  enableflags: number;
+}
+
+/** Visualization options, returned by Model.getVisual; only the global parameters are bound */
+export interface mjVisual {
+  global: {
+    /** y-field of view for free camera (degrees) */
+    fovy: number;
+    /** inter-pupilary distance for free camera */
+    ipd: number;
+    /** initial azimuth of free camera (degrees) */
+    azimuth: number;
+    /** initial elevation of free camera (degrees) */
+    elevation: number;
+    /** line width for wireframe and ray rendering */
+    linewidth: number;
+    /** glow coefficient for selected body */
+    glow: number;
+    /** initial real-time factor (1: real time) */
+    realtime: number;
+    /** width of offscreen buffer */
+    offwidth: number;
+    /** height of offscreen buffer */
+    offheight: number;
+  };
+}
+
+/** Model sizes, returned by Model.getVal */
+export interface mjModelSizes {
+  ngeom: number;
+  nq: number;
+  na: number;
+  nv: number;
+  nu: number;
+  nbody: number;
+  nsensordata: number;
+  nmesh: number;
+  nmeshvert: number;
+  nmeshface: number;
+}
+
 export interface Model {
+  /** Loads an MJCF (.xml) or binary (.mjb) model from the Emscripten file system; throws an Error with MuJoCo's message if it fails */
   new (filename : string) : Model;
   load_from_xml(str: string): Model;
+  load_from_mjb(str: string): Model;
+  /** Compiles MJCF text. Assets maps file names (meshes, textures, included XML) to their contents;
+   * MuJoCo matches them by name without the path, so names must be unique. Throws an Error with MuJoCo's message if it fails */
+  fromXMLString(xml: string, assets?: { [filename: string]: Uint8Array | ArrayBuffer | string }): Model;
+  /** Loads a binary model written by saveMJB with the same MuJoCo version */
+  fromMJB(buffer: ArrayBuffer | Uint8Array): Model;
+  /** The compiled model in MuJoCo's binary format, which loads faster than MJCF */
+  saveMJB(): Uint8Array;
   /** Free the memory associated with the model */
   free(): void;
-  /** Retrive various parameters of the current simulation */
-  getOptions(): any;
+  /** Address of the mjModel in the WASM heap */
+  ptr(): number;
+  /** A copy of the model sizes */
+  getVal(): mjModelSizes;
+  /** A copy of the physics options of the model */
+  getOptions(): mjOption;
+  /** Replaces the physics options; simulations of the model use them from their next step.
+   * Every field must be set, so change a copy from getOptions */
+  setOptions(options: mjOption): void;
+  /** Model statistics such as the center and extent, used to place the free camera */
+  getStatistic(): mjStatistic;
+  /** Visualization options such as the free camera's initial azimuth and elevation */
+  getVisual(): mjVisual;
+  /** The id of the object of an mjtObj type with this name, or -1 */
+  name2id(type: number, name: string): number;
+  /** The name of an object of an mjtObj type, or "" if it has none */
+  id2name(type: number, id: number): string;
   // MODEL_INTERFACE
 }
 
@@ -291,6 +500,8 @@ export interface State {
   new (model : Model) : State;
   /** Free the memory associated with the state */
   free(): void;
+  /** Address of the mjData in the WASM heap */
+  ptr(): number;
 }
 
 export interface Simulation {
@@ -308,6 +519,20 @@ export interface Simulation {
             refPosX : number, refPosY : number, refPosZ : number,
             refQuat1: number, refQuat2: number, refQuat3: number, refQuat4: number,
             flg_paused: number): void;
+  /** Simulation time in seconds */
+  time: number;
+  /** Number of values in a state holding the components in spec (a bitmask of mjtState values) */
+  stateSize(spec: number): number;
+  /** Copies the components in spec, in bit order, into a new array */
+  getState(spec: number): Float64Array;
+  /** Restores the components in spec from an array laid out by getState; throws if the length is wrong */
+  setState(state: Float64Array | number[], spec: number): void;
+  /** Number of active contacts */
+  ncon: number;
+  /** Copies of the active contacts, as a new array on every access */
+  contact: mjContact[];
+  /** Warning counters since the last reset, indexed by mjtWarning */
+  warningStats: mjWarningStat[];
   // DATA_INTERFACE
 }
 
@@ -317,6 +542,10 @@ export interface mujoco extends EmscriptenModule {
   Model : Model;
   State : State;
   Simulation : Simulation;
+  mjtState   : { [K in keyof typeof mjtState]: { value: number } };
+  // MODULE_ENUMS
+  /** Receives MuJoCo's warning messages instead of console.warn; pass null to restore it */
+  setWarningHandler(handler: ((message: string) => void) | null): void;
 }
 declare var load_mujoco: EmscriptenModuleFactory<mujoco>;
 export default load_mujoco;
@@ -7,10 +7,11 @@ auto_gen_lines = {
     "data_bindings"    : [],
     "data_typescript"  : [],
     "enums_typescript" : [],
+    "module_typescript": [],
 
 }
 parse_mode = (None, None)
-types_to_array_types = {"int":"Int32Array", "mjtNum":"Float64Array", "float": "Float32Array", "mjtByte": "Uint8Array", "char": "Uint8Array", "uintptr_t":"BigUint64Array"}
+types_to_array_types = {"int":"Int32Array", "mjtNum":"Float64Array", "float": "Float32Array", "mjtByte": "Uint8Array", "char": "Uint8Array", "uintptr_t":"Uint32Array"}
 
 def parse_pointer_line(line:str, header_lines:list[str], mj_definitions:list[str], emscripten_bindings:list[str], typescript_definitions:list[str]):
     elements = line.strip("    X(").split(""")""")[0].strip().split(",")
@@ -87,84 +88,238 @@ with open("include/mujoco/mjxmacro.h") as f:
         if "#define MJDATA_POINTERS" in line:
             parse_mode = ("pointers", "data")
 
+import re
 import functions
-from ast_nodes import ValueType
+from ast_nodes import ValueType, ArrayType, PointerType
+
+# Element types of the pointer and array arguments that are passed as JS arrays
+array_element_types = {"mjtNum": "mjtNum", "int": "int", "mjtByte": "mjtByte", "unsigned char": "mjtByte", "float": "float"}
+element_array_types = {"mjtNum": "Float64Array", "int": "Int32Array", "mjtByte": "Uint8Array", "float": "Float32Array"}
+
+# mjModel pointers are passed now, but the Simulation's model must not be freed behind its back
+unsafe_functions = {"mj_deleteModel"}
+
+# How many elements MuJoCo reads or writes through each pointer argument, as C++ expressions of the
+# model (m), the data (d) and the function's other arguments. Functions with pointer arguments that
+# are not listed (e.g. sparse matrices, whose sizes depend on their contents) are not bound.
+array_sizes = {
+    "mj_defaultSolRefImp": {"solref": "mjNREF", "solimp": "mjNIMP"},
+    "mju_printMat"       : {"mat": "nr*nc"},
+    "mj_solveM"          : {"x": "n*m->nv", "y": "n*m->nv"},
+    "mj_solveM2"         : {"x": "n*m->nv", "y": "n*m->nv"},
+    "mj_rne"             : {"result": "m->nv"},
+    "mj_constraintUpdate": {"jar": "d->nefc"},
+    "mj_mulJacVec"       : {"res": "d->nefc", "vec": "m->nv"},
+    "mj_mulJacTVec"      : {"res": "m->nv", "vec": "d->nefc"},
+    "mj_jac"             : {"jacp": "3*m->nv", "jacr": "3*m->nv"},
+    "mj_jacBody"         : {"jacp": "3*m->nv", "jacr": "3*m->nv"},
+    "mj_jacBodyCom"      : {"jacp": "3*m->nv", "jacr": "3*m->nv"},
+    "mj_jacSubtreeCom"   : {"jacp": "3*m->nv"},
+    "mj_jacGeom"         : {"jacp": "3*m->nv", "jacr": "3*m->nv"},
+    "mj_jacSite"         : {"jacp": "3*m->nv", "jacr": "3*m->nv"},
+    "mj_jacPointAxis"    : {"jacPoint": "3*m->nv", "jacAxis": "3*m->nv"},
+    "mj_fullM"           : {"dst": "m->nv*m->nv", "M": "m->nM"},
+    "mj_mulM"            : {"res": "m->nv", "vec": "m->nv"},
+    "mj_mulM2"           : {"res": "m->nv", "vec": "m->nv"},
+    "mj_applyFT"         : {"qfrc_target": "m->nv"},
+    "mj_differentiatePos": {"qvel": "m->nv", "qpos1": "m->nq", "qpos2": "m->nq"},
+    "mj_integratePos"    : {"qpos": "m->nq", "qvel": "m->nv"},
+    "mj_normalizeQuat"   : {"qpos": "m->nq"},
+    "mj_ray"             : {"geomgroup": "mjNGROUP"},
+    "mju_raySkin"        : {"face": "3*nface", "vert": "3*nvert"},
+    "mju_zero"           : {"res": "n"},
+    "mju_fill"           : {"res": "n"},
+    "mju_copy"           : {"res": "n", "data": "n"},
+    "mju_sum"            : {"vec": "n"},
+    "mju_L1"             : {"vec": "n"},
+    "mju_scl"            : {"res": "n", "vec": "n"},
+    "mju_add"            : {"res": "n", "vec1": "n", "vec2": "n"},
+    "mju_sub"            : {"res": "n", "vec1": "n", "vec2": "n"},
+    "mju_addTo"          : {"res": "n", "vec": "n"},
+    "mju_subFrom"        : {"res": "n", "vec": "n"},
+    "mju_addToScl"       : {"res": "n", "vec": "n"},
+    "mju_addScl"         : {"res": "n", "vec1": "n", "vec2": "n"},
+    "mju_normalize"      : {"res": "n"},
+    "mju_norm"           : {"res": "n"},
+    "mju_dot"            : {"vec1": "n", "vec2": "n"},
+    "mju_mulMatVec"      : {"res": "nr", "mat": "nr*nc", "vec": "nc"},
+    "mju_mulMatTVec"     : {"res": "nc", "mat": "nr*nc", "vec": "nr"},
+    "mju_mulVecMatVec"   : {"vec1": "n", "mat": "n*n", "vec2": "n"},
+    "mju_transpose"      : {"res": "nr*nc", "mat": "nr*nc"},
+    "mju_symmetrize"     : {"res": "n*n", "mat": "n*n"},
+    "mju_eye"            : {"mat": "n*n"},
+    "mju_mulMatMat"      : {"res": "r1*c2", "mat1": "r1*c1", "mat2": "c1*c2"},
+    "mju_mulMatMatT"     : {"res": "r1*r2", "mat1": "r1*c1", "mat2": "r2*c1"},
+    "mju_mulMatTMat"     : {"res": "c1*c2", "mat1": "r1*c1", "mat2": "r1*c2"},
+    "mju_sqrMatTD"       : {"res": "nc*nc", "mat": "nr*nc", "diag": "nr"},
+    "mju_cholFactor"     : {"mat": "n*n"},
+    "mju_cholSolve"      : {"res": "n", "mat": "n*n", "vec": "n"},
+    "mju_cholUpdate"     : {"mat": "n*n", "x": "n"},
+    "mju_boxQP"          : {"res": "n", "R": "n*(n+7)", "index": "n", "H": "n*n", "g": "n", "lower": "n", "upper": "n"},
+    "mju_encodePyramid"  : {"pyramid": "2*(dim-1)", "force": "dim", "mu": "dim-1"},
+    "mju_decodePyramid"  : {"force": "dim", "pyramid": "2*(dim-1)", "mu": "dim-1"},
+    "mju_isZero"         : {"vec": "n"},
+    "mju_standardNormal" : {"num2": "1"},
+    "mju_f2n"            : {"res": "n", "vec": "n"},
+    "mju_n2f"            : {"res": "n", "vec": "n"},
+    "mju_insertionSort"  : {"list": "n"},
+    "mju_insertionSortInt": {"list": "n"},
+    "mjd_transitionFD"   : {"A": "(2*m->nv+m->na)*(2*m->nv+m->na)", "B": "(2*m->nv+m->na)*m->nu",
+                            "C": "m->nsensordata*(2*m->nv+m->na)", "D": "m->nsensordata*m->nu"},
+}
+
+# Pointer arguments MuJoCo skips when they are NULL; null is passed through for them
+optional_arrays = {
+    "mj_jac": {"jacp", "jacr"}, "mj_jacBody": {"jacp", "jacr"}, "mj_jacBodyCom": {"jacp", "jacr"},
+    "mj_jacGeom": {"jacp", "jacr"}, "mj_jacSite": {"jacp", "jacr"}, "mj_ray": {"geomgroup"},
+    "mju_sqrMatTD": {"diag"}, "mju_boxQP": {"index", "lower", "upper"}, "mju_standardNormal": {"num2"},
+    "mjd_transitionFD": {"A", "B", "C", "D"},
+}
+
+def cpp_size(size):
+    """A size expression of array_sizes as C++ inside Simulation"""
+    return re.sub(r"\bd->", "_state->ptr()->", re.sub(r"\bm->", "_model->ptr()->", size))
+
+def array_argument(param_type):
+    """Returns (element type, fixed size or 0, whether MuJoCo writes to it) for a pointer or
+    array argument that can be passed as a JS array, or None"""
+    if isinstance(param_type, ArrayType) and len(param_type.extents) == 1:
+        inner, size = param_type.inner_type, param_type.extents[0]
+    elif isinstance(param_type, PointerType):
+        inner, size = param_type.inner_type, 0
+    else:
+        return None
+    if not isinstance(inner, ValueType) or inner.name not in array_element_types:
+        return None
+    return array_element_types[inner.name], size, not inner.is_const
+
 for function in functions.FUNCTIONS:
     #print("Function:", function)
     param_types = [param.decltype for param in functions.FUNCTIONS[function].parameters]
     name = function[3:] if function != "mj_crb" else function[3:] + "Calculate"
-    function_def = "  void "+name.ljust(22)+"() { "+function.ljust(28)+"("
     def_args   = []
     def_params = []
     def_typescript = []
-    need_raw_pinters = False
+    array_args = []  # JS arrays that are copied for the call: (argument, element type, size, output, optional)
     return_decl = functions.FUNCTIONS[function].return_type.decl()
     valid_function = return_decl == "const char *" or (not ("*" in return_decl) and not ("[" in return_decl))
+    valid_function = valid_function and function not in unsafe_functions
+    # There is no OpenGL context or UI in the browser build, and their structs are not bound
+    valid_function = valid_function and not function.startswith(("mjr_", "mjui_"))
     for param in functions.FUNCTIONS[function].parameters:
         param_type = param.type.decl()
-        if(param.decltype == "const mjModel *"):
+        array = array_argument(param.type)
+        if(param.decltype in ["const mjModel *", "mjModel *"]):
             def_params.append("_model->ptr()")
-        elif(param.decltype == "mjData *"):
+        elif(param.decltype in ["const mjData *", "mjData *"]):
             def_params.append("_state->ptr()")
         elif(param.decltype == "const char *"):
             def_args  .append("std::string "+param.name)
             def_params.append(param.name+".c_str()")
             def_typescript.append(param.name + " : string")
-        elif("mjtNum *" in param.decltype):
-            def_args  .append("val "+param.name)#(str(param)) # UNTESTED, WE DON'T KNOW IF THIS WORKS
-            #def_params.append(param.name +'["buffer"].as<mjtNum*>()')
-            #def_params.append('reinterpret_cast<mjtNum*>('+param.name +')') #.global("byteOffset").as<unsigned>()
-            def_params.append('reinterpret_cast<mjtNum*>('+param.name+'["byteOffset"].as<int>())') #.global("byteOffset").as<unsigned>()
-            def_typescript.append(param.name + " : Float64Array")
-            need_raw_pinters = True
+        elif array is not None:
+            element, size, output = array
+            size = str(size) if size > 0 else array_sizes.get(function, {}).get(param.name)
+            if size is None:
+                valid_function = False
+                continue
+            optional = param.name in optional_arrays.get(function, set())
+            def_args  .append("val "+param.name)
+            def_params.append(param.name+"_.ptr()")
+            array_args.append((param.name, element, size, output, optional))
+            typed_array = element_array_types[element]
+            # Outputs can be null (MuJoCo then writes into a new array); inputs only when they are optional
+            def_typescript.append(param.name + " : " + (typed_array if output else typed_array + " | number[]") + (" | null" if output or optional else ""))
         elif (not ("*" in param_type) and not ("[" in param_type) and not (param_type == "mjfPluginLibraryLoadCallback")):
             def_args  .append(str(param))
             def_params.append(param.name)
-            param_type = param_type.replace("mjtNum","number").replace("int","number").replace("float","number").replace("size_t", "number").replace("unsigned char", "string")
+            param_type = param_type.replace("mjtNum","number").replace("int","number").replace("float","number").replace("size_t", "number").replace("mjtByte", "number").replace("unsigned char", "string")
             def_typescript.append(param.name + " : " + param_type)
         else:
             valid_function = False
+    # Functions taking two models or two datas (copies) can't be bound to one Simulation
+    if def_params.count("_model->ptr()") > 1 or def_params.count("_state->ptr()") > 1:
+        valid_function = False
     if valid_function:
-        is_string = False
-        to_return = function.ljust(28)+"("+(", ".join(def_params)).ljust(20)
-        if return_decl == "const char *":
-            return_decl = "std::string"
-            to_return = "std::string(" + to_return + ")"
-        auto_gen_lines["data_definitions"].append("  "+return_decl.ljust(6)+" "+name.ljust(20)+"("+(", ".join(def_args)).ljust(20)+") { return "+to_return+"); }")
-        auto_gen_lines["data_bindings"   ].append('      .function('+('"'+name+'"').ljust(23)+' , &Simulation::'+name.ljust(22)+(')'if not need_raw_pinters else ', allow_raw_pointers())')) #<arg<mjtNum*>>
-        auto_gen_lines["data_typescript" ].append("  /** "+ functions.FUNCTIONS[function].doc + ("    [Only works with MuJoCo Allocated Arrays!]" if need_raw_pinters else "") +"*/")
+        call = function.ljust(28)+"("+(", ".join(def_params)).ljust(20)+")"
+        outputs = [(arg, element, optional) for arg, element, size, output, optional in array_args if output]
         returnType = functions.FUNCTIONS[function].return_type
         returnType = returnType.inner_type.name if "*" in returnType.decl() else returnType.name
         returnType = returnType.replace("mjtNum","number").replace("int","number").replace("float","number").replace("char", "string")
+        if return_decl == "const char *":
+            return_decl = "std::string"
+            call = "toString(" + call + ")"
+        if len(array_args) == 0:
+            body = "return "+call+";"
+        else:
+            # Check every length before copying anything, copy the arrays in, call, and copy the outputs back out
+            body  = " ".join("checkArray("+arg+", "+cpp_size(size)+", "+("true" if output or optional else "false")+', "'+function+'", "'+arg+'");'
+                             for arg, element, size, output, optional in array_args)
+            body += " " + " ".join("JSArray<"+element+"> "+arg+"_("+arg+", "+cpp_size(size)+(", true" if optional else "")+");"
+                                   for arg, element, size, output, optional in array_args)
+            body += (" " + call + ";") if return_decl == "void" else (" "+return_decl+" result = "+call+";")
+            body += "".join(" "+arg+"_.copyBack();" for arg, element, optional in outputs)
+            if return_decl != "void":
+                body += " return result;"
+            elif len(outputs) == 1:
+                # Functions that only write arrays return them as new typed arrays
+                return_decl = "val"
+                body += " return "+outputs[0][0]+"_.result();"
+                returnType = element_array_types[outputs[0][1]] + (" | null" if outputs[0][2] else "")
+            elif len(outputs) > 1:
+                return_decl = "val"
+                body += " val result = val::object();"
+                body += "".join(' result.set("'+arg+'", '+arg+'_.result());' for arg, element, optional in outputs)
+                body += " return result;"
+                returnType = "{ " + "; ".join(arg+": "+element_array_types[element]+(" | null" if optional else "") for arg, element, optional in outputs) + " }"
+        auto_gen_lines["data_definitions"].append("  "+return_decl.ljust(6)+" "+name.ljust(20)+"("+(", ".join(def_args)).ljust(20)+") { "+body+" }")
+        auto_gen_lines["data_bindings"   ].append('      .function('+('"'+name+'"').ljust(23)+' , &Simulation::'+name.ljust(22)+')')
+        sizes = ", ".join(arg+" ["+re.sub(r"\b[md]->", "", size)+"]" for arg, element, size, output, optional in array_args if output)
+        auto_gen_lines["data_typescript" ].append("  /** "+ functions.FUNCTIONS[function].doc + ("    [Writes into "+sizes+"]" if sizes else "") +"*/")
         auto_gen_lines["data_typescript" ].append('  '+name.ljust(22)+'('+", ".join(def_typescript)+'): '+returnType+';')
 
 
-# Parse mjmodel.h for enums
-cur_enum_name = None
-for line in model_lines:
-    line = line.strip()
+# Parse the headers for enums; TypeScript gets their values, which are not always consecutive
+enum_values = {}
+def parse_enums(header_lines:list[str]):
+    cur_enum_name = None
+    next_value = 0
+    for line in header_lines:
+        line = line.strip()
+
+        if cur_enum_name is not None and line.startswith("}"):
+            cur_enum_name = None
+            auto_gen_lines["model_enums"].append('  ;')
+            auto_gen_lines["enums_typescript"].append( "}")
 
-    if cur_enum_name is not None and line.startswith("}"):
-        cur_enum_name = None
-        auto_gen_lines["model_enums"].append('  ;')
-        auto_gen_lines["enums_typescript"].append( "}")
+        if cur_enum_name is not None and len(line) > 0:
+            parts = line.split("//")
+            parts = [part.strip() for part in parts]
+            if len(parts[0]) > 0 and len(parts[0].split(" ")) > 0:
+                meat = parts[0].split(" ")[0].split(",")[0]; potatos = parts[1] if len(parts) > 1 else ""
+                # Values are either given (e.g. "= 1<<3", "= 100") or one more than the previous one
+                if "=" in parts[0]:
+                    next_value = eval(parts[0].split("=")[1].strip().rstrip(","), {}, enum_values)
+                enum_values[meat] = next_value; next_value += 1
+                auto_gen_lines["model_enums"].append('      .value('+('"'+meat+'"').ljust(25)+', '+cur_enum_name.ljust(25)+'::'+meat.ljust(25)+')')
+                if potatos:
+                    auto_gen_lines["enums_typescript"].append("    /** "+potatos.ljust(40)+" */")
+                auto_gen_lines["enums_typescript"].append("    "+meat+" = "+str(enum_values[meat])+",")
 
-    if cur_enum_name is not None and len(line) > 0:
-        parts = line.split("//")
-        parts = [part.strip() for part in parts]
-        if len(parts[0]) > 0 and len(parts[0].split(" ")) > 0:
-            meat = parts[0].split(" ")[0].split(",")[0]; potatos = parts[1]
-            auto_gen_lines["model_enums"].append('      .value('+('"'+meat+'"').ljust(25)+', '+cur_enum_name.ljust(25)+'::'+meat.ljust(25)+')')
-            auto_gen_lines["enums_typescript"].append("    /** "+potatos.ljust(40)+" */")
-            auto_gen_lines["enums_typescript"].append("    "+meat.ljust(25)+",")
 
+        if line.startswith("typedef enum"):
+            cur_enum_name = line.split(" ")[2][:-1]
+            next_value = 0
+            auto_gen_lines["model_enums"].append('  enum_<'+cur_enum_name+'>("'+cur_enum_name+'")')
+            if len(line.split("//")) > 1:
+                auto_gen_lines["enums_typescript"].append("/** "+line.split("//")[1].strip().ljust(40)+" */")
+            auto_gen_lines["enums_typescript"].append("export enum "+cur_enum_name +" {")
+            # The module exposes each enum as an object of { value } entries
+            auto_gen_lines["module_typescript"].append("  "+cur_enum_name.ljust(22)+": { [K in keyof typeof "+cur_enum_name+"]: { value: number } };")
 
-    if line.startswith("typedef enum"):
-        cur_enum_name = line.split(" ")[2][:-1]
-        auto_gen_lines["model_enums"].append('  enum_<'+cur_enum_name+'>("'+cur_enum_name+'")')
-        if len(line.split("//")) > 1:
-            auto_gen_lines["enums_typescript"].append("/** "+line.split("//")[1].ljust(40)+" */")
-        auto_gen_lines["enums_typescript"].append("export enum "+cur_enum_name +" {")
+for header in ["mjmodel.h", "mjdata.h", "mjvisualize.h", "mjrender.h", "mjui.h", "mjplugin.h"]:
+    with open("include/mujoco/"+header) as f:
+        parse_enums(f.readlines())
 
 # Insert our auto-generated bindings into our template files
 with open("src/main.template.cc") as f:
@@ -185,5 +340,6 @@ with open("src/mujoco_wasm.template.d.ts") as f:
     content = content.replace("// MODEL_INTERFACE", "// MODEL_INTERFACE\n"+"\n".join(auto_gen_lines["model_typescript"]))
     content = content.replace("// DATA_INTERFACE" , "// DATA_INTERFACE\n" +"\n".join(auto_gen_lines[ "data_typescript"]))
     content = content.replace("// ENUMS" , "// ENUMS\n" +"\n".join(auto_gen_lines[ "enums_typescript"]))
+    content = content.replace("// MODULE_ENUMS", "// MODULE_ENUMS\n"+"\n".join(auto_gen_lines["module_typescript"]))
     with open("dist/mujoco_wasm.d.ts", mode="w") as f:
         f.write(content)